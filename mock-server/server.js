@@ -0,0 +1,1304 @@
+// Local mock backend for working on the dashboard offline.
+//
+//   npm run mock:server
+//   REACT_APP_API_BASE_URL=http://localhost:5001/api npm start
+//
+// or, to keep the real API and only mock the live channel:
+//   REACT_APP_LIVE_URL=http://localhost:5001/api npm start
+//
+// Any email/password logs in, until the account registers or resets a password; from then on that password
+// is checked. Verification and password reset emails aren't sent: their links are logged and listed at
+// /api/mail/outbox (links point at MOCK_APP_URL, default http://localhost:3000). Routes for one account's data
+// only answer that account's access token, sent as a bearer token (or ?access_token= on the live stream). Devices wander around a small area and alerts are generated periodically,
+// streamed over Server-Sent Events at /api/live/:email. New high-severity and geofence alerts are also sent
+// as Web Push notifications to browsers that enabled them in Settings (see webPush.js; MOCK_PUSH_DRY_RUN=1
+// only records them at /api/push/outbox).
+//
+// The accounts in MOCK_ADMIN_EMAILS (comma-separated, default security@campus.test) are campus security and
+// can open the organisation console. They log in with MOCK_ADMIN_PASSWORD (default campus-security) rather
+// than any password, and a couple of seeded student accounts give the console something to show. They also answer owners' "contact campus security"
+// conversations; finder reports from /found/:deviceId are conversations between the owner and the finder.
+
+const http = require('http');
+const crypto = require('crypto');
+const { createWebPush } = require('./webPush');
+const { getTagCode } = require('./tagCodes');
+
+const PORT = process.env.MOCK_PORT || 5001;
+const CAMPUS_CENTER = { latitude: 6.9271, longitude: 79.8612 };
+const TICK_INTERVAL = 2000;
+const TRANSFER_TTL = 48 * 60 * 60 * 1000;
+const PAIRING_TTL = 10 * 60 * 1000;
+const MAX_SHARE_TTL = 30 * 24 * 60 * 60 * 1000;
+const MAX_MESSAGE_LENGTH = 1000;
+const MIN_PASSWORD_LENGTH = 6;
+const VERIFY_EMAIL_TTL = 48 * 60 * 60 * 1000;
+const PASSWORD_RESET_TTL = 60 * 60 * 1000;
+const APP_URL = process.env.MOCK_APP_URL || 'http://localhost:3000';
+// Finder photos arrive as data URLs already scaled down by the browser
+const MAX_PHOTO_LENGTH = 2 * 1024 * 1024;
+// No 0/O or 1/I so codes survive being read aloud
+const PAIRING_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const ALERT_EVERY_TICKS = 10;
+const SEED_STUDENTS = ['student.one@campus.test', 'student.two@campus.test'];
+const ADMIN_EMAILS = (process.env.MOCK_ADMIN_EMAILS || 'security@campus.test').split(',').map(email => email.trim()).filter(Boolean);
+const ADMIN_PASSWORD = process.env.MOCK_ADMIN_PASSWORD || 'campus-security';
+// Sections the dashboard generates when no layout has been saved; their type doubles as the id
+const DEFAULT_SECTIONS = [
+  { id: 'library', type: 'library', name: 'Library Section' },
+  { id: 'lab', type: 'lab', name: 'Laboratory Section' },
+  { id: 'classroom', type: 'classroom', name: 'Classroom Section' },
+  { id: 'admin', type: 'admin', name: 'Administration Section' }
+];
+// A weekday the insights endpoint pretends to have learned: [section type, from hour, to hour, minutes per hour]
+const MOCK_ROUTINE = [
+  ['library', 8, 10, 45],
+  ['classroom', 10, 12, 50],
+  ['admin', 12, 13, 20],
+  ['lab', 13, 16, 40],
+  ['library', 16, 18, 30]
+];
+// Each "normal" label raises the anomaly threshold a little and each confirmation lowers it
+const BASELINE_THRESHOLD = 0.7;
+const FEEDBACK_STEP = 0.02;
+// Laptops stay in the bag except where people sit down to work
+const LAPTOP_SECTION_TYPES = ['library', 'lab'];
+
+const users = new Map();
+const streams = new Map();
+const history = new Map();
+const transfers = new Map();
+const pairingCodes = new Map();
+const shares = new Map();
+const conversations = new Map();
+const pushSubscriptions = new Map();
+// Kept apart from `users` so password hashes never end up in a response
+const accounts = new Map();
+const emailTokens = new Map();
+const mailOutbox = [];
+// Token -> email, so routes can tell who is asking. Refresh tokens are kept apart: they only buy new access tokens
+const sessions = new Map();
+const refreshTokens = new Map();
+const webPush = createWebPush({
+  subject: process.env.MOCK_PUSH_SUBJECT || 'mailto:mock@localhost',
+  dryRun: process.env.MOCK_PUSH_DRY_RUN === '1'
+});
+let campusLayout = [];
+let tick = 0;
+
+const getUser = (email) => {
+  if (!users.has(email)) {
+    const now = new Date().toISOString();
+    users.set(email, {
+      progress: 0,
+      alerts: [],
+      geofenceRules: [],
+      feedback: [],
+      devices: [
+        {
+          device_id: `mock_phone_${email}`,
+          device_name: 'Mock Phone',
+          device_type: 'mobile',
+          is_mobile: true,
+          created_at: now,
+          last_updated: now,
+          last_location: makeLocation(CAMPUS_CENTER, true)
+        },
+        {
+          device_id: `mock_laptop_${email}`,
+          device_name: 'Mock Laptop',
+          device_type: 'laptop',
+          is_mobile: false,
+          created_at: now,
+          last_updated: now,
+          last_location: makeLocation(CAMPUS_CENTER, false)
+        }
+      ]
+    });
+  }
+  return users.get(email);
+};
+
+function makeLocation({ latitude, longitude }, isMobile) {
+  return {
+    latitude,
+    longitude,
+    accuracy: isMobile ? 8 : 40,
+    heading: isMobile ? Math.random() * 360 : null,
+    speed: isMobile ? Math.random() * 1.5 : 0,
+    source: 'mock_server',
+    location_type: 'mock',
+    gps_quality: isMobile ? 'good' : 'moderate',
+    is_mobile: isMobile,
+    timestamp: new Date().toISOString()
+  };
+}
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*'
+  });
+  res.end(JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolve) => {
+  let data = '';
+  req.on('data', chunk => { data += chunk; });
+  req.on('end', () => {
+    try {
+      resolve(data ? JSON.parse(data) : {});
+    } catch (e) {
+      resolve({});
+    }
+  });
+});
+
+const getRole = (email) => (ADMIN_EMAILS.includes(email) ? 'admin' : 'student');
+
+const createAccessToken = (email) => {
+  const token = `mock-access-${crypto.randomBytes(8).toString('hex')}`;
+  sessions.set(token, email);
+  return token;
+};
+
+const issueTokens = (email) => {
+  const refreshToken = `mock-refresh-${crypto.randomBytes(8).toString('hex')}`;
+  refreshTokens.set(refreshToken, email);
+  return {
+    email,
+    role: getRole(email),
+    access_token: createAccessToken(email),
+    refresh_token: refreshToken
+  };
+};
+
+const hashPassword = (password, salt = crypto.randomBytes(8).toString('hex')) => ({
+  salt,
+  hash: crypto.scryptSync(password, salt, 32).toString('hex')
+});
+
+const checkPassword = (account, password) => typeof password === 'string'
+  && hashPassword(password, account.password.salt).hash === account.password.hash;
+
+const isValidPassword = (password) => typeof password === 'string' && password.length >= MIN_PASSWORD_LENGTH;
+
+// Accounts that only ever used the "any password" login count as verified
+const getAccount = (email) => accounts.get(email) || { password: null, email_verified: true };
+
+const sendMail = (email, subject, link) => {
+  mailOutbox.push({ to: email, subject, link, sent_at: new Date().toISOString() });
+  console.log(`[mail] ${email}: ${subject} ${link}`);
+};
+
+const sendEmailToken = (email, purpose) => {
+  const token = crypto.randomBytes(16).toString('hex');
+  const ttl = purpose === 'verify_email' ? VERIFY_EMAIL_TTL : PASSWORD_RESET_TTL;
+  emailTokens.set(token, { email, purpose, expires_at: new Date(Date.now() + ttl).toISOString() });
+  if (purpose === 'verify_email') {
+    sendMail(email, 'Verify your email', `${APP_URL}/verify-email/${token}`);
+  } else {
+    sendMail(email, 'Reset your password', `${APP_URL}/reset-password/${token}`);
+  }
+};
+
+// Answers the token's email, or sends the error itself
+const consumeEmailToken = (res, token, purpose) => {
+  const entry = emailTokens.get(token);
+  if (!entry || entry.purpose !== purpose) {
+    sendJson(res, 400, { error: 'This link is invalid or has already been used', code: 'INVALID_TOKEN' });
+    return null;
+  }
+  emailTokens.delete(token);
+  if (new Date(entry.expires_at) < new Date()) {
+    sendJson(res, 410, { error: 'This link has expired', code: 'TOKEN_EXPIRED' });
+    return null;
+  }
+  return entry.email;
+};
+
+const endSessions = (email) => {
+  [sessions, refreshTokens].forEach(tokens => {
+    [...tokens].filter(([, owner]) => owner === email).forEach(([token]) => tokens.delete(token));
+  });
+};
+
+const getCaller = (req) => sessions.get((req.headers.authorization || '').replace(/^Bearer /, ''));
+
+// Answers 401 itself and returns null when nobody is signed in
+const requireSignedIn = (req, res) => {
+  const caller = getCaller(req);
+  if (!caller) {
+    sendJson(res, 401, { error: 'Log in again to continue', code: 'UNAUTHORIZED' });
+    return null;
+  }
+  return caller;
+};
+
+// Answers 401/403 itself and returns false unless the caller is signed in as `email`
+const requireCaller = (req, res, email) => {
+  const caller = requireSignedIn(req, res);
+  if (!caller) return false;
+  if (caller !== email) {
+    sendJson(res, 403, { error: 'You can only do this for your own account', code: 'FORBIDDEN' });
+    return false;
+  }
+  return true;
+};
+
+// Answers 401/403 itself and returns false when the caller isn't campus security
+const requireAdmin = (req, res) => {
+  const email = getCaller(req);
+  if (!email) {
+    sendJson(res, 401, { error: 'Log in again to continue', code: 'UNAUTHORIZED' });
+    return false;
+  }
+  if (getRole(email) !== 'admin') {
+    sendJson(res, 403, { error: 'Only campus security staff can do this', code: 'FORBIDDEN' });
+    return false;
+  }
+  return true;
+};
+
+const isOpenAlert = (alert) => alert.status !== 'resolved';
+
+const findDeviceOwner = (deviceId) => {
+  for (const [email, user] of users) {
+    if (user.devices.some(d => d.device_id === deviceId)) return email;
+  }
+  return null;
+};
+
+// The found-device page is opened with a device id (QR code) or a typed tag code
+const resolveFoundDevice = (idOrCode) => {
+  const code = String(idOrCode).toUpperCase().replace(/[^A-Z0-9]/g, '');
+  for (const [email, user] of users) {
+    const device = user.devices.find(d => d.device_id === idOrCode || getTagCode(d.device_id) === code);
+    if (device) return { ownerEmail: email, device };
+  }
+  return null;
+};
+
+const recordHistory = (device) => {
+  if (!device.last_location) return;
+  if (!history.has(device.device_id)) {
+    history.set(device.device_id, []);
+  }
+  const { latitude, longitude, accuracy, timestamp } = device.last_location;
+  history.get(device.device_id).push({ latitude, longitude, accuracy, timestamp });
+};
+
+const getAnomalyThreshold = (user) => {
+  const normal = user.feedback.filter(entry => entry.label === 'normal').length;
+  const suspicious = user.feedback.length - normal;
+  return Math.min(0.95, Math.max(0.5, BASELINE_THRESHOLD + (normal - suspicious) * FEEDBACK_STEP));
+};
+
+const buildInsights = (user) => {
+  const sections = DEFAULT_SECTIONS.map(fallback => {
+    const saved = campusLayout.find(section => section.type === fallback.type);
+    return saved ? { id: saved.id, type: saved.type, name: saved.name } : fallback;
+  });
+  const minutesFor = (types) => sections.map(section => {
+    const minutes_by_hour = new Array(24).fill(0);
+    MOCK_ROUTINE
+      .filter(([type]) => type === section.type && types.includes(type))
+      .forEach(([, from, to, minutes]) => {
+        for (let hour = from; hour < to; hour++) minutes_by_hour[hour] += minutes;
+      });
+    return { section_id: section.id, section_name: section.name, minutes_by_hour };
+  }).filter(row => row.minutes_by_hour.some(minutes => minutes > 0));
+  const toShares = (rows) => {
+    const total = rows.reduce((sum, row) => sum + row.minutes_by_hour.reduce((a, b) => a + b, 0), 0);
+    return rows.map(row => ({
+      section_id: row.section_id,
+      section_name: row.section_name,
+      share: row.minutes_by_hour.reduce((a, b) => a + b, 0) / total,
+      visits_per_day: MOCK_ROUTINE.filter(([type]) => sections.find(s => s.id === row.section_id).type === type).length
+    })).sort((a, b) => b.share - a.share);
+  };
+
+  const allTypes = DEFAULT_SECTIONS.map(section => section.type);
+  return {
+    learning_progress: user.progress,
+    heatmap: user.progress > 0 ? minutesFor(allTypes) : [],
+    routine: {
+      typical_arrival: user.progress > 0 ? '07:55' : null,
+      typical_departure: user.progress > 0 ? '17:50' : null,
+      arrival_spread_minutes: 20,
+      departure_spread_minutes: 35,
+      days_observed: Math.floor(user.progress / 100 * 7)
+    },
+    devices: user.progress > 0 ? user.devices.map(device => (device.is_mobile
+      ? { device_id: device.device_id, typical_arrival: '07:55', typical_departure: '17:50', sections: toShares(minutesFor(allTypes)) }
+      : { device_id: device.device_id, typical_arrival: '08:05', typical_departure: '15:55', sections: toShares(minutesFor(LAPTOP_SECTION_TYPES)) }
+    )) : [],
+    feedback: {
+      normal_count: user.feedback.filter(entry => entry.label === 'normal').length,
+      suspicious_count: user.feedback.filter(entry => entry.label === 'suspicious').length,
+      baseline_threshold: BASELINE_THRESHOLD,
+      anomaly_threshold: getAnomalyThreshold(user),
+      recent: user.feedback.slice(-10).reverse()
+    }
+  };
+};
+
+const broadcast = (email, type, payload) => {
+  const clients = streams.get(email);
+  if (!clients) return;
+  const message = `event: ${type}\ndata: ${JSON.stringify(payload)}\n\n`;
+  clients.forEach(res => res.write(message));
+};
+
+const getActiveShares = () => [...shares.values()]
+  .filter(share => !share.revoked_at && new Date(share.expires_at) > new Date());
+
+// Owners and any trusted contact the device is currently shared with get the same event
+const broadcastLocation = (email, device) => {
+  const payload = {
+    device_id: device.device_id,
+    location: device.last_location,
+    last_updated: device.last_updated
+  };
+  broadcast(email, 'device_location', payload);
+  getActiveShares()
+    .filter(share => share.owner_email === email && share.device_ids.includes(device.device_id))
+    .forEach(share => broadcast(share.contact_email, 'device_location', payload));
+};
+
+// Conversations are attached to one device: a finder report is one between the owner and whoever found
+// it, and owners can open one with campus security. Each side's read_at marks how far it has read;
+// campus security reads as one team. Finders have no account and prove who they are with their token.
+const getConversationRole = (conversation, email) => {
+  if (email && email === conversation.owner_email) return 'owner';
+  if (conversation.kind === 'security' && getRole(email) === 'admin') return 'security';
+  return null;
+};
+
+const findFinderConversation = (conversationId, token) => {
+  const conversation = conversations.get(conversationId);
+  return conversation && token && token === conversation.finder_token ? conversation : null;
+};
+
+const countUnread = (conversation, role) => conversation.messages
+  .filter(message => message.sender !== role && message.created_at > (conversation.read_at[role] || ''))
+  .length;
+
+const summarizeConversation = (conversation, role) => {
+  const { finder_token, contact, photo, messages, read_at, ...summary } = conversation;
+  return {
+    ...summary,
+    role,
+    unread_count: countUnread(conversation, role),
+    last_message: messages[messages.length - 1] || null
+  };
+};
+
+// Everyone on the owner's side gets the event, including the sender's other tabs
+const broadcastToConversation = (conversation, type, payload) => {
+  broadcast(conversation.owner_email, type, payload);
+  if (conversation.kind === 'security') {
+    [...streams.keys()]
+      .filter(email => email !== conversation.owner_email && getRole(email) === 'admin')
+      .forEach(email => broadcast(email, type, payload));
+  }
+};
+
+const addMessage = (conversation, sender, body) => {
+  const message = { sender, body: body.trim(), created_at: new Date().toISOString() };
+  conversation.messages.push(message);
+  conversation.updated_at = message.created_at;
+  // Nobody has unread messages they wrote themselves
+  conversation.read_at[sender] = message.created_at;
+  broadcastToConversation(conversation, 'message', {
+    conversation_id: conversation.conversation_id,
+    device_id: conversation.device_id,
+    message
+  });
+  return message;
+};
+
+const isValidMessage = (body) => typeof body === 'string' && body.trim().length > 0 && body.length <= MAX_MESSAGE_LENGTH;
+
+const shouldNotify = (alert) => alert.severity === 'high' || (alert.type || '').startsWith('geofence_');
+
+const notifyAlert = (email, alert) => {
+  const subscriptions = pushSubscriptions.get(email) || [];
+  subscriptions.forEach(subscription => {
+    webPush.send(subscription, {
+      alert_id: alert.alert_id,
+      type: alert.type,
+      severity: alert.severity,
+      title: alert.type.replace(/_/g, ' ').toUpperCase(),
+      message: alert.message
+    })
+      .then(status => {
+        if (status === 404 || status === 410) {
+          pushSubscriptions.set(email, (pushSubscriptions.get(email) || []).filter(s => s.endpoint !== subscription.endpoint));
+          console.log(`[push] dropped expired subscription for ${email}`);
+        }
+      })
+      .catch(err => console.log(`[push] delivery to ${email} failed: ${err.message}`));
+  });
+};
+
+const raiseAlert = (email, alert) => {
+  getUser(email).alerts.push(alert);
+  broadcast(email, 'alert', alert);
+  if (shouldNotify(alert)) notifyAlert(email, alert);
+};
+
+const openStream = (req, res, email) => {
+  // EventSource can't send headers, so the client puts its access token in the query string
+  const token = new URL(req.url, 'http://localhost').searchParams.get('access_token');
+  if (!token || sessions.get(token) !== email) {
+    sendJson(res, 401, { error: 'Log in again to continue', code: 'UNAUTHORIZED' });
+    return;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'Access-Control-Allow-Origin': '*'
+  });
+  res.write(': connected\n\n');
+
+  if (!streams.has(email)) {
+    streams.set(email, new Set());
+  }
+  streams.get(email).add(res);
+  console.log(`[live] ${email} connected (${streams.get(email).size} open)`);
+
+  req.on('close', () => {
+    streams.get(email).delete(res);
+    console.log(`[live] ${email} disconnected`);
+  });
+};
+
+const routes = [
+  ['GET', /^\/api\/health$/, (req, res) => sendJson(res, 200, { status: 'ok', mock: true })],
+  ['POST', /^\/api\/(login|register)$/, async (req, res, [action]) => {
+    const { email, password, device_id } = await readBody(req);
+    if (action === 'register') {
+      if (accounts.has(email)) {
+        sendJson(res, 409, { error: 'An account with this email already exists. Log in or reset your password.', code: 'EMAIL_TAKEN' });
+        return;
+      }
+      if (!isValidPassword(password)) {
+        sendJson(res, 400, { error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`, code: 'WEAK_PASSWORD' });
+        return;
+      }
+      accounts.set(email, { password: hashPassword(password), email_verified: false });
+      sendEmailToken(email, 'verify_email');
+    } else if (accounts.has(email) && !checkPassword(accounts.get(email), password)) {
+      sendJson(res, 401, { error: 'Incorrect email or password', code: 'INVALID_CREDENTIALS' });
+      return;
+    }
+    const user = getUser(email);
+    const needsSetup = !!device_id && !user.devices.some(d => d.device_id === device_id);
+    sendJson(res, 200, {
+      ...issueTokens(email),
+      email_verified: getAccount(email).email_verified,
+      device_info: { needs_setup: needsSetup, device_id }
+    });
+  }],
+  ['POST', /^\/api\/verify_email$/, async (req, res) => {
+    const { token } = await readBody(req);
+    const email = consumeEmailToken(res, token, 'verify_email');
+    if (!email) return;
+    accounts.set(email, { ...getAccount(email), email_verified: true });
+    sendJson(res, 200, { success: true, email });
+  }],
+  ['POST', /^\/api\/verify_email\/resend$/, async (req, res) => {
+    const { email } = await readBody(req);
+    if (getCaller(req) !== email) {
+      sendJson(res, 401, { error: 'Log in again to resend the link', code: 'UNAUTHORIZED' });
+      return;
+    }
+    if (getAccount(email).email_verified) {
+      sendJson(res, 409, { error: 'This email is already verified', code: 'ALREADY_VERIFIED' });
+      return;
+    }
+    sendEmailToken(email, 'verify_email');
+    sendJson(res, 200, { success: true });
+  }],
+  // Answers the same whether or not the account exists, so the form can't be used to find accounts
+  ['POST', /^\/api\/password\/forgot$/, async (req, res) => {
+    const { email } = await readBody(req);
+    if (typeof email !== 'string' || !email.includes('@')) {
+      sendJson(res, 400, { error: 'Enter the email address you registered with', code: 'INVALID_EMAIL' });
+      return;
+    }
+    // Only registered accounts have a password to reset; `users` also holds any email a route was called with.
+    // Staff passwords come from MOCK_ADMIN_PASSWORD, since anyone can read reset links from the outbox.
+    if (accounts.has(email) && getRole(email) !== 'admin') sendEmailToken(email, 'password_reset');
+    sendJson(res, 200, { success: true });
+  }],
+  ['POST', /^\/api\/password\/reset$/, async (req, res) => {
+    const { token, password } = await readBody(req);
+    if (!isValidPassword(password)) {
+      sendJson(res, 400, { error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`, code: 'WEAK_PASSWORD' });
+      return;
+    }
+    const email = consumeEmailToken(res, token, 'password_reset');
+    if (!email) return;
+    // Following the link proves the inbox is theirs, and anyone else signed in is logged out
+    accounts.set(email, { password: hashPassword(password), email_verified: true });
+    endSessions(email);
+    sendJson(res, 200, { success: true, email });
+  }],
+  ['POST', /^\/api\/password\/change$/, async (req, res) => {
+    const { email, current_password, new_password } = await readBody(req);
+    if (getCaller(req) !== email) {
+      sendJson(res, 401, { error: 'Log in again to change your password', code: 'UNAUTHORIZED' });
+      return;
+    }
+    const account = getAccount(email);
+    if (account.password && !checkPassword(account, current_password)) {
+      sendJson(res, 403, { error: 'Your current password is incorrect', code: 'WRONG_PASSWORD' });
+      return;
+    }
+    if (!isValidPassword(new_password)) {
+      sendJson(res, 400, { error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`, code: 'WEAK_PASSWORD' });
+      return;
+    }
+    accounts.set(email, { ...account, password: hashPassword(new_password) });
+    sendJson(res, 200, { success: true });
+  }],
+  ['GET', /^\/api\/mail\/outbox$/, (req, res) => sendJson(res, 200, { messages: mailOutbox })],
+  ['POST', /^\/api\/refresh$/, async (req, res) => {
+    const { refresh_token } = await readBody(req);
+    const email = refreshTokens.get(refresh_token);
+    // Unknown or revoked, so the client's "refresh failed, log out" path can be tried against the mock
+    if (!email) {
+      sendJson(res, 401, { error: 'Refresh token is invalid or has been revoked', code: 'INVALID_REFRESH_TOKEN' });
+      return;
+    }
+    sendJson(res, 200, { access_token: createAccessToken(email) });
+  }],
+  ['POST', /^\/api\/logout$/, async (req, res) => {
+    const { refresh_token } = await readBody(req);
+    refreshTokens.delete(refresh_token);
+    sendJson(res, 200, { success: true });
+  }],
+  ['GET', /^\/api\/devices\/([^/]+)$/, (req, res, [email]) => {
+    if (!requireCaller(req, res, email)) return;
+    sendJson(res, 200, getUser(email).devices);
+  }],
+  ['GET', /^\/api\/alerts\/([^/]+)$/, (req, res, [email]) => {
+    if (!requireCaller(req, res, email)) return;
+    sendJson(res, 200, getUser(email).alerts);
+  }],
+  ['POST', /^\/api\/alerts\/status$/, async (req, res) => {
+    const { email, alert_ids, status } = await readBody(req);
+    if (!requireCaller(req, res, email)) return;
+    if (!['new', 'acknowledged', 'resolved'].includes(status) || !Array.isArray(alert_ids)) {
+      sendJson(res, 400, { error: 'Unknown alert status', code: 'INVALID_STATUS' });
+      return;
+    }
+    const statusUpdatedAt = new Date().toISOString();
+    const updated = getUser(email).alerts.filter(alert => alert_ids.includes(alert.alert_id));
+    updated.forEach(alert => {
+      alert.status = status;
+      alert.status_updated_at = statusUpdatedAt;
+    });
+    const updatedIds = updated.map(alert => alert.alert_id);
+    broadcast(email, 'alert_status', { alert_ids: updatedIds, status, status_updated_at: statusUpdatedAt });
+    sendJson(res, 200, { success: true, updated: updatedIds });
+  }],
+  ['GET', /^\/api\/behavior\/progress\/([^/]+)$/, (req, res, [email]) => {
+    if (!requireCaller(req, res, email)) return;
+    const user = getUser(email);
+    sendJson(res, 200, {
+      learning_progress: user.progress,
+      behavior_summary: { schedule_consistency: 0.8, learned_patterns: Math.floor(user.progress / 10), devices_analyzed: user.devices.length, days_observed: Math.floor(user.progress / 100 * 7) }
+    });
+  }],
+  ['GET', /^\/api\/behavior\/insights\/([^/]+)$/, (req, res, [email]) => {
+    if (!requireCaller(req, res, email)) return;
+    sendJson(res, 200, buildInsights(getUser(email)));
+  }],
+  ['POST', /^\/api\/behavior\/feedback$/, async (req, res) => {
+    const { email, alert_id, device_id, label } = await readBody(req);
+    if (!requireCaller(req, res, email)) return;
+    if (!['normal', 'suspicious'].includes(label)) {
+      sendJson(res, 400, { error: 'Feedback label must be normal or suspicious', code: 'INVALID_LABEL' });
+      return;
+    }
+    const user = getUser(email);
+    const alert = user.alerts.find(a => a.alert_id === alert_id);
+    if (!alert) {
+      sendJson(res, 404, { error: 'Alert not found', code: 'ALERT_NOT_FOUND' });
+      return;
+    }
+
+    const submittedAt = new Date().toISOString();
+    const hour = new Date(alert.created_at).toLocaleTimeString('en-GB', { timeZone: 'Asia/Colombo', hour: '2-digit', minute: '2-digit' });
+    const effect = label === 'normal'
+      ? `movement like this around ${hour} is now treated as part of the routine`
+      : `movement like this around ${hour} will be flagged sooner`;
+    // A changed mind replaces the earlier label instead of counting twice
+    user.feedback = [
+      ...user.feedback.filter(entry => entry.alert_id !== alert_id),
+      { alert_id, device_id: device_id || alert.device_id, label, submitted_at: submittedAt, effect }
+    ];
+
+    alert.feedback = { label, submitted_at: submittedAt };
+    alert.status = label === 'normal' ? 'resolved' : 'acknowledged';
+    alert.status_updated_at = submittedAt;
+    broadcast(email, 'alert_status', {
+      alert_ids: [alert_id],
+      status: alert.status,
+      status_updated_at: submittedAt,
+      feedback: alert.feedback
+    });
+    sendJson(res, 200, { success: true, alert, anomaly_threshold: getAnomalyThreshold(user) });
+  }],
+  // Device ids are printed on tags and shown on lock screens, so this never says whose a device is
+  ['GET', /^\/api\/check_device_global\/([^/]+)$/, (req, res, [deviceId]) => {
+    const ownerEmail = findDeviceOwner(deviceId);
+    const caller = getCaller(req);
+    sendJson(res, 200, ownerEmail ? { exists: true, owned_by_you: !!caller && caller === ownerEmail } : { exists: false });
+  }],
+  ['POST', /^\/api\/(create_or_update_device|update_device_location)$/, async (req, res) => {
+    const { email, device_id, location, device_data } = await readBody(req);
+    if (!requireCaller(req, res, email)) return;
+    const user = getUser(email);
+    const deviceId = device_id || device_data?.device_id;
+    let device = user.devices.find(d => d.device_id === deviceId);
+    if (!device && device_data) {
+      device = { ...device_data, created_at: new Date().toISOString() };
+      user.devices.push(device);
+    }
+    if (device) {
+      device.last_location = location || device_data?.location || device.last_location;
+      device.last_updated = new Date().toISOString();
+      recordHistory(device);
+      broadcastLocation(email, device);
+    }
+    sendJson(res, 200, { success: true, action: 'updated', device_id: deviceId, anomalies_detected: 0 });
+  }],
+  ['PUT', /^\/api\/devices\/([^/]+)$/, async (req, res, [deviceId]) => {
+    const { email, device_name, device_type } = await readBody(req);
+    if (!requireCaller(req, res, email)) return;
+    const device = getUser(email).devices.find(d => d.device_id === deviceId);
+    if (!device) {
+      sendJson(res, 404, { error: 'Device not found', code: 'DEVICE_NOT_FOUND' });
+      return;
+    }
+    if (device_name) device.device_name = device_name;
+    if (device_type) device.device_type = device_type;
+    sendJson(res, 200, { success: true, device });
+  }],
+  ['DELETE', /^\/api\/devices\/([^/]+)$/, async (req, res, [deviceId]) => {
+    const { email } = await readBody(req);
+    if (!requireCaller(req, res, email)) return;
+    const user = getUser(email);
+    if (!user.devices.some(d => d.device_id === deviceId)) {
+      sendJson(res, 404, { error: 'Device not found', code: 'DEVICE_NOT_FOUND' });
+      return;
+    }
+    user.devices = user.devices.filter(d => d.device_id !== deviceId);
+    history.delete(deviceId);
+    sendJson(res, 200, { success: true, device_id: deviceId });
+  }],
+  ['POST', /^\/api\/devices\/([^/]+)\/transfer$/, async (req, res, [deviceId]) => {
+    const { email, to_email, password } = await readBody(req);
+    if (!requireCaller(req, res, email)) return;
+    // Accounts that never set a password (the "any password" login) have nothing to re-check
+    const account = getAccount(email);
+    if (account.password && !checkPassword(account, password)) {
+      sendJson(res, 403, { error: 'Your password is incorrect', code: 'WRONG_PASSWORD' });
+      return;
+    }
+    const device = getUser(email).devices.find(d => d.device_id === deviceId);
+    if (!device) {
+      sendJson(res, 404, { error: 'Device not found', code: 'DEVICE_NOT_FOUND' });
+      return;
+    }
+    if (!to_email || to_email === email) {
+      sendJson(res, 400, { error: 'Enter the email of the account that should receive the device', code: 'INVALID_RECIPIENT' });
+      return;
+    }
+    const transfer = {
+      transfer_id: `transfer_${crypto.randomBytes(6).toString('hex')}`,
+      device_id: deviceId,
+      device_name: device.device_name,
+      from_email: email,
+      to_email,
+      status: 'pending',
+      created_at: new Date().toISOString(),
+      expires_at: new Date(Date.now() + TRANSFER_TTL).toISOString()
+    };
+    transfers.set(transfer.transfer_id, transfer);
+    sendJson(res, 200, { success: true, transfer });
+  }],
+  ['POST', /^\/api\/pairing\/codes$/, async (req, res) => {
+    const { email } = await readBody(req);
+    if (!requireCaller(req, res, email)) return;
+    const code = Array.from(crypto.randomBytes(6), byte => PAIRING_ALPHABET[byte % PAIRING_ALPHABET.length]).join('');
+    const pairing = { code, email, status: 'pending', device: null, expires_at: new Date(Date.now() + PAIRING_TTL).toISOString() };
+    pairingCodes.set(code, pairing);
+    sendJson(res, 200, { code, expires_at: pairing.expires_at });
+  }],
+  ['GET', /^\/api\/pairing\/codes\/([^/]+)$/, (req, res, [code]) => {
+    const email = new URL(req.url, 'http://localhost').searchParams.get('email');
+    if (!requireCaller(req, res, email)) return;
+    const pairing = pairingCodes.get(code);
+    if (!pairing || pairing.email !== email) {
+      sendJson(res, 404, { error: 'Pairing code not found', code: 'PAIRING_NOT_FOUND' });
+      return;
+    }
+    const expired = pairing.status === 'pending' && new Date(pairing.expires_at) <= new Date();
+    sendJson(res, 200, { status: expired ? 'expired' : pairing.status, device: pairing.device });
+  }],
+  ['GET', /^\/api\/pairing\/([^/]+)$/, (req, res, [code]) => {
+    const pairing = pairingCodes.get(code.toUpperCase());
+    if (!pairing) {
+      sendJson(res, 404, { error: 'Pairing code not found', code: 'PAIRING_NOT_FOUND' });
+    } else if (pairing.status !== 'pending' || new Date(pairing.expires_at) <= new Date()) {
+      sendJson(res, 410, { error: 'Pairing code has expired or was already used', code: 'PAIRING_EXPIRED' });
+    } else {
+      // Anyone holding the code can ask, so the account's email stays out of the answer
+      sendJson(res, 200, { expires_at: pairing.expires_at });
+    }
+  }],
+  // Lets the new device warn about a device registered elsewhere before the form is filled in. Answers like
+  // /check_device_global, with the pairing's account in place of the caller.
+  ['GET', /^\/api\/pairing\/([^/]+)\/device\/([^/]+)$/, (req, res, [code, deviceId]) => {
+    const pairing = pairingCodes.get(code.toUpperCase());
+    if (!pairing || pairing.status !== 'pending' || new Date(pairing.expires_at) <= new Date()) {
+      sendJson(res, 410, { error: 'Pairing code has expired or was already used', code: 'PAIRING_EXPIRED' });
+      return;
+    }
+    const ownerEmail = findDeviceOwner(deviceId);
+    sendJson(res, 200, ownerEmail ? { exists: true, owned_by_you: ownerEmail === pairing.email } : { exists: false });
+  }],
+  ['POST', /^\/api\/pairing\/([^/]+)\/complete$/, async (req, res, [code]) => {
+    const { device_data } = await readBody(req);
+    const pairing = pairingCodes.get(code.toUpperCase());
+    if (!pairing || pairing.status !== 'pending' || new Date(pairing.expires_at) <= new Date()) {
+      sendJson(res, 410, { error: 'Pairing code has expired or was already used', code: 'PAIRING_EXPIRED' });
+      return;
+    }
+    const ownerEmail = findDeviceOwner(device_data.device_id);
+    if (ownerEmail && ownerEmail !== pairing.email) {
+      sendJson(res, 409, { error: 'This device is registered to another account', code: 'DEVICE_OWNED_BY_OTHER' });
+      return;
+    }
+    const user = getUser(pairing.email);
+    const now = new Date().toISOString();
+    const device = {
+      ...device_data,
+      created_at: now,
+      last_updated: now,
+      last_location: device_data.location
+    };
+    delete device.location;
+    user.devices = user.devices.filter(d => d.device_id !== device.device_id).concat(device);
+    recordHistory(device);
+    pairing.status = 'claimed';
+    pairing.device = { device_id: device.device_id, device_name: device.device_name };
+    sendJson(res, 200, {
+      ...issueTokens(pairing.email),
+      device_info: { needs_setup: false, device_id: device.device_id }
+    });
+  }],
+  ['GET', /^\/api\/transfers\/([^/]+)$/, (req, res, [email]) => {
+    if (!requireCaller(req, res, email)) return;
+    const pending = [...transfers.values()].filter(t => t.status === 'pending' && new Date(t.expires_at) > new Date());
+    sendJson(res, 200, {
+      incoming: pending.filter(t => t.to_email === email),
+      outgoing: pending.filter(t => t.from_email === email)
+    });
+  }],
+  ['POST', /^\/api\/transfers\/([^/]+)\/(accept|decline|cancel)$/, async (req, res, [transferId, action]) => {
+    const { email } = await readBody(req);
+    if (!requireCaller(req, res, email)) return;
+    const transfer = transfers.get(transferId);
+    const party = action === 'cancel' ? transfer?.from_email : transfer?.to_email;
+    if (!transfer || transfer.status !== 'pending' || party !== email) {
+      sendJson(res, 404, { error: 'Transfer not found or no longer pending', code: 'TRANSFER_NOT_FOUND' });
+      return;
+    }
+    if (action === 'accept') {
+      const sender = getUser(transfer.from_email);
+      const device = sender.devices.find(d => d.device_id === transfer.device_id);
+      if (!device) {
+        sendJson(res, 409, { error: 'The device is no longer registered to the sender', code: 'DEVICE_NOT_FOUND' });
+        return;
+      }
+      sender.devices = sender.devices.filter(d => d.device_id !== transfer.device_id);
+      getUser(email).devices.push({ ...device, is_lost: false, lost_since: null });
+      // The previous owner's movements are not the new owner's business
+      history.delete(transfer.device_id);
+    }
+    transfer.status = { accept: 'accepted', decline: 'declined', cancel: 'cancelled' }[action];
+    sendJson(res, 200, { success: true, transfer });
+  }],
+  ['GET', /^\/api\/shares\/([^/]+)$/, (req, res, [email]) => {
+    if (!requireCaller(req, res, email)) return;
+    const active = getActiveShares();
+    sendJson(res, 200, {
+      outgoing: active.filter(share => share.owner_email === email),
+      incoming: active.filter(share => share.contact_email === email)
+    });
+  }],
+  ['POST', /^\/api\/shares$/, async (req, res) => {
+    const { email, contact_email, device_ids, expires_at } = await readBody(req);
+    if (!requireCaller(req, res, email)) return;
+    const owned = getUser(email).devices.map(device => device.device_id);
+    const expiresAt = new Date(expires_at).getTime();
+    if (!contact_email || contact_email === email) {
+      sendJson(res, 400, { error: 'Enter the email of the person you want to share with', code: 'INVALID_CONTACT' });
+      return;
+    }
+    if (!Array.isArray(device_ids) || device_ids.length === 0 || !device_ids.every(id => owned.includes(id))) {
+      sendJson(res, 400, { error: 'Choose devices registered to your account', code: 'INVALID_DEVICES' });
+      return;
+    }
+    if (!(expiresAt > Date.now() && expiresAt <= Date.now() + MAX_SHARE_TTL)) {
+      sendJson(res, 400, { error: 'Shares must end within 30 days', code: 'INVALID_EXPIRY' });
+      return;
+    }
+    const share = {
+      share_id: `share_${crypto.randomBytes(6).toString('hex')}`,
+      owner_email: email,
+      contact_email,
+      device_ids,
+      created_at: new Date().toISOString(),
+      expires_at: new Date(expiresAt).toISOString(),
+      revoked_at: null
+    };
+    shares.set(share.share_id, share);
+    broadcast(contact_email, 'share_changed', { share_id: share.share_id });
+    sendJson(res, 201, { success: true, share });
+  }],
+  ['DELETE', /^\/api\/shares\/([^/]+)$/, async (req, res, [shareId]) => {
+    const { email } = await readBody(req);
+    if (!requireCaller(req, res, email)) return;
+    const share = shares.get(shareId);
+    if (!share || share.revoked_at || ![share.owner_email, share.contact_email].includes(email)) {
+      sendJson(res, 404, { error: 'Share not found', code: 'SHARE_NOT_FOUND' });
+      return;
+    }
+    share.revoked_at = new Date().toISOString();
+    broadcast(share.contact_email, 'share_changed', { share_id: shareId });
+    sendJson(res, 200, { success: true, share_id: shareId });
+  }],
+  ['GET', /^\/api\/shared_devices\/([^/]+)$/, (req, res, [email]) => {
+    if (!requireCaller(req, res, email)) return;
+    // Looked up through the owner's current devices, so a transferred or removed device drops out
+    const devices = getActiveShares()
+      .filter(share => share.contact_email === email)
+      .flatMap(share => getUser(share.owner_email).devices
+        .filter(device => share.device_ids.includes(device.device_id))
+        .map(device => ({ ...device, shared_by: share.owner_email, shared_until: share.expires_at, share_id: share.share_id })));
+    sendJson(res, 200, { devices });
+  }],
+  ['GET', /^\/api\/found\/([^/]+)$/, (req, res, [idOrCode]) => {
+    const found = resolveFoundDevice(idOrCode);
+    if (!found) {
+      sendJson(res, 404, { error: 'No device is registered with this tag', code: 'DEVICE_NOT_FOUND' });
+      return;
+    }
+    const { device } = found;
+    // Public: nothing that identifies the owner, including the device name
+    sendJson(res, 200, { device_id: device.device_id, device_type: device.device_type, is_lost: !!device.is_lost });
+  }],
+  ['POST', /^\/api\/found\/([^/]+)\/reports$/, async (req, res, [idOrCode]) => {
+    const { message, contact, photo, location } = await readBody(req);
+    const found = resolveFoundDevice(idOrCode);
+    if (!found) {
+      sendJson(res, 404, { error: 'No device is registered with this tag', code: 'DEVICE_NOT_FOUND' });
+      return;
+    }
+    if (!isValidMessage(message)) {
+      sendJson(res, 400, { error: `Write a message of up to ${MAX_MESSAGE_LENGTH} characters`, code: 'INVALID_MESSAGE' });
+      return;
+    }
+    if (photo && (typeof photo !== 'string' || !photo.startsWith('data:image/') || photo.length > MAX_PHOTO_LENGTH)) {
+      sendJson(res, 400, { error: 'The photo must be an image under 2 MB', code: 'INVALID_PHOTO' });
+      return;
+    }
+
+    const { ownerEmail, device } = found;
+    const deviceId = device.device_id;
+    const now = new Date().toISOString();
+    const conversation = {
+      conversation_id: `conv_${crypto.randomBytes(6).toString('hex')}`,
+      kind: 'finder_report',
+      finder_token: crypto.randomBytes(16).toString('hex'),
+      device_id: deviceId,
+      device_name: device.device_name,
+      device_type: device.device_type,
+      owner_email: ownerEmail,
+      contact: contact ? String(contact).slice(0, 200) : null,
+      photo: photo || null,
+      location: location && typeof location.latitude === 'number' && typeof location.longitude === 'number' ? location : null,
+      messages: [],
+      read_at: {},
+      created_at: now,
+      updated_at: now
+    };
+    conversations.set(conversation.conversation_id, conversation);
+    raiseAlert(ownerEmail, {
+      alert_id: `mock_alert_${crypto.randomBytes(6).toString('hex')}`,
+      type: 'finder_report',
+      severity: 'high',
+      device_id: deviceId,
+      report_id: conversation.conversation_id,
+      location: conversation.location,
+      message: `Someone found ${device.device_name} and left a message: "${message.trim()}"`,
+      created_at: now
+    });
+    addMessage(conversation, 'finder', message);
+    sendJson(res, 201, { report_id: conversation.conversation_id, finder_token: conversation.finder_token });
+  }],
+  // The finder's view of their report: no owner email, device name or contact details
+  ['GET', /^\/api\/found_reports\/([^/]+)$/, (req, res, [reportId]) => {
+    const token = new URL(req.url, 'http://localhost').searchParams.get('token');
+    const conversation = findFinderConversation(reportId, token);
+    if (!conversation) {
+      sendJson(res, 404, { error: 'Report not found', code: 'REPORT_NOT_FOUND' });
+      return;
+    }
+    conversation.read_at.finder = new Date().toISOString();
+    sendJson(res, 200, {
+      report_id: conversation.conversation_id,
+      device_type: conversation.device_type,
+      messages: conversation.messages,
+      has_photo: !!conversation.photo,
+      created_at: conversation.created_at
+    });
+  }],
+  ['POST', /^\/api\/found_reports\/([^/]+)\/messages$/, async (req, res, [reportId]) => {
+    const { token, body } = await readBody(req);
+    const conversation = findFinderConversation(reportId, token);
+    if (!conversation) {
+      sendJson(res, 404, { error: 'Report not found', code: 'REPORT_NOT_FOUND' });
+      return;
+    }
+    if (!isValidMessage(body)) {
+      sendJson(res, 400, { error: `Write a message of up to ${MAX_MESSAGE_LENGTH} characters`, code: 'INVALID_MESSAGE' });
+      return;
+    }
+    sendJson(res, 201, { success: true, message: addMessage(conversation, 'finder', body) });
+  }],
+  // The caller's side of a conversation comes from their access token, never from the request
+  ['GET', /^\/api\/conversations$/, (req, res) => {
+    const email = requireSignedIn(req, res);
+    if (!email) return;
+    const visible = [...conversations.values()]
+      .map(conversation => [conversation, getConversationRole(conversation, email)])
+      .filter(([, role]) => role)
+      .map(([conversation, role]) => summarizeConversation(conversation, role))
+      .sort((a, b) => b.updated_at.localeCompare(a.updated_at));
+    sendJson(res, 200, { conversations: visible });
+  }],
+  ['GET', /^\/api\/conversations\/([^/]+)$/, (req, res, [conversationId]) => {
+    const email = requireSignedIn(req, res);
+    if (!email) return;
+    const conversation = conversations.get(conversationId);
+    const role = conversation && getConversationRole(conversation, email);
+    if (!role) {
+      sendJson(res, 404, { error: 'Conversation not found', code: 'CONVERSATION_NOT_FOUND' });
+      return;
+    }
+    sendJson(res, 200, {
+      ...summarizeConversation(conversation, role),
+      messages: conversation.messages,
+      contact: conversation.contact || null,
+      photo: conversation.photo || null
+    });
+  }],
+  ['POST', /^\/api\/conversations$/, async (req, res) => {
+    const email = requireSignedIn(req, res);
+    if (!email) return;
+    const { device_id, body } = await readBody(req);
+    const device = getUser(email).devices.find(d => d.device_id === device_id);
+    if (!device) {
+      sendJson(res, 404, { error: 'Device not found', code: 'DEVICE_NOT_FOUND' });
+      return;
+    }
+    if (body !== undefined && !isValidMessage(body)) {
+      sendJson(res, 400, { error: `Write a message of up to ${MAX_MESSAGE_LENGTH} characters`, code: 'INVALID_MESSAGE' });
+      return;
+    }
+    // One security conversation per device, so staff don't get the same case twice
+    let conversation = [...conversations.values()].find(c => c.kind === 'security' && c.device_id === device_id && c.owner_email === email);
+    if (!conversation) {
+      const now = new Date().toISOString();
+      conversation = {
+        conversation_id: `conv_${crypto.randomBytes(6).toString('hex')}`,
+        kind: 'security',
+        device_id,
+        device_name: device.device_name,
+        device_type: device.device_type,
+        owner_email: email,
+        location: device.last_location || null,
+        messages: [],
+        read_at: {},
+        created_at: now,
+        updated_at: now
+      };
+      conversations.set(conversation.conversation_id, conversation);
+    }
+    if (body !== undefined) addMessage(conversation, 'owner', body);
+    sendJson(res, 201, { success: true, conversation: summarizeConversation(conversation, 'owner') });
+  }],
+  ['POST', /^\/api\/conversations\/([^/]+)\/messages$/, async (req, res, [conversationId]) => {
+    const email = requireSignedIn(req, res);
+    if (!email) return;
+    const { body } = await readBody(req);
+    const conversation = conversations.get(conversationId);
+    const role = conversation && getConversationRole(conversation, email);
+    if (!role) {
+      sendJson(res, 404, { error: 'Conversation not found', code: 'CONVERSATION_NOT_FOUND' });
+      return;
+    }
+    if (!isValidMessage(body)) {
+      sendJson(res, 400, { error: `Write a message of up to ${MAX_MESSAGE_LENGTH} characters`, code: 'INVALID_MESSAGE' });
+      return;
+    }
+    sendJson(res, 201, { success: true, message: addMessage(conversation, role, body) });
+  }],
+  ['POST', /^\/api\/conversations\/([^/]+)\/read$/, async (req, res, [conversationId]) => {
+    const email = requireSignedIn(req, res);
+    if (!email) return;
+    const conversation = conversations.get(conversationId);
+    const role = conversation && getConversationRole(conversation, email);
+    if (!role) {
+      sendJson(res, 404, { error: 'Conversation not found', code: 'CONVERSATION_NOT_FOUND' });
+      return;
+    }
+    conversation.read_at[role] = new Date().toISOString();
+    broadcastToConversation(conversation, 'conversation_read', { conversation_id: conversationId, role });
+    sendJson(res, 200, { success: true });
+  }],
+  ['POST', /^\/api\/devices\/([^/]+)\/(lost|found)$/, async (req, res, [deviceId, action]) => {
+    const { email, lost_since, found_at } = await readBody(req);
+    if (!requireCaller(req, res, email)) return;
+    const user = getUser(email);
+    const device = user.devices.find(d => d.device_id === deviceId);
+    if (!device) {
+      sendJson(res, 404, { error: 'Device not found', code: 'DEVICE_NOT_FOUND' });
+      return;
+    }
+    device.is_lost = action === 'lost';
+    device.lost_since = device.is_lost ? lost_since : null;
+    if (!device.is_lost) {
+      const alert = {
+        alert_id: `mock_alert_${crypto.randomBytes(6).toString('hex')}`,
+        type: 'device_recovered',
+        severity: 'low',
+        device_id: deviceId,
+        message: `${device.device_name} was marked as found`,
+        created_at: found_at || new Date().toISOString()
+      };
+      raiseAlert(email, alert);
+    }
+    sendJson(res, 200, { success: true, device_id: deviceId, is_lost: device.is_lost });
+  }],
+  ['GET', /^\/api\/devices\/([^/]+)\/history$/, (req, res, [deviceId]) => {
+    const caller = getCaller(req);
+    if (!caller) {
+      sendJson(res, 401, { error: 'Log in again to continue', code: 'UNAUTHORIZED' });
+      return;
+    }
+    const ownerEmail = findDeviceOwner(deviceId);
+    const sharedWithCaller = getActiveShares()
+      .some(share => share.owner_email === ownerEmail && share.contact_email === caller && share.device_ids.includes(deviceId));
+    if (caller !== ownerEmail && !sharedWithCaller) {
+      sendJson(res, 404, { error: 'Device not found', code: 'DEVICE_NOT_FOUND' });
+      return;
+    }
+    const query = new URL(req.url, 'http://localhost').searchParams;
+    const from = new Date(query.get('from') || 0).getTime();
+    const to = new Date(query.get('to') || Date.now()).getTime();
+    const points = (history.get(deviceId) || []).filter(point => {
+      const time = new Date(point.timestamp).getTime();
+      return time >= from && time <= to;
+    });
+    sendJson(res, 200, { device_id: deviceId, history: points });
+  }],
+  ['GET', /^\/api\/campus\/layout$/, (req, res) => sendJson(res, 200, { sections: campusLayout })],
+  ['PUT', /^\/api\/campus\/layout$/, async (req, res) => {
+    if (!requireAdmin(req, res)) return;
+    const { sections } = await readBody(req);
+    if (!Array.isArray(sections) || !sections.every(section => section && typeof section === 'object' && !Array.isArray(section))) {
+      sendJson(res, 400, { error: 'The layout must be a list of sections', code: 'INVALID_LAYOUT' });
+      return;
+    }
+    campusLayout = sections;
+    sendJson(res, 200, { sections: campusLayout });
+  }],
+  ['GET', /^\/api\/geofence\/rules\/([^/]+)$/, (req, res, [email]) => {
+    if (!requireCaller(req, res, email)) return;
+    sendJson(res, 200, { rules: getUser(email).geofenceRules });
+  }],
+  ['PUT', /^\/api\/geofence\/rules\/([^/]+)$/, async (req, res, [email]) => {
+    if (!requireCaller(req, res, email)) return;
+    const { rules } = await readBody(req);
+    const user = getUser(email);
+    user.geofenceRules = Array.isArray(rules) ? rules : [];
+    sendJson(res, 200, { rules: user.geofenceRules });
+  }],
+  ['POST', /^\/api\/geofence\/events$/, async (req, res) => {
+    const event = await readBody(req);
+    if (!requireCaller(req, res, event.email)) return;
+    const user = getUser(event.email);
+    // Every open dashboard reports the same crossing under the same id, so keep only the first
+    if (!user.alerts.some(alert => alert.alert_id === event.event_id)) {
+      const alert = {
+        alert_id: event.event_id,
+        type: `geofence_${event.event}`,
+        severity: event.severity || 'low',
+        device_id: event.device_id,
+        section_id: event.section_id,
+        rule_id: event.rule_id || null,
+        location: event.location,
+        message: `${event.device_name || event.device_id} ${event.event === 'enter' ? 'entered' : event.event === 'exit' ? 'left' : 'is still in'} ${event.section_name}`,
+        created_at: event.timestamp || new Date().toISOString()
+      };
+      raiseAlert(event.email, alert);
+    }
+    sendJson(res, 200, { success: true, event_id: event.event_id });
+  }],
+  ['GET', /^\/api\/push\/vapid_public_key$/, (req, res) => sendJson(res, 200, { public_key: webPush.publicKey })],
+  ['POST', /^\/api\/push\/subscriptions$/, async (req, res) => {
+    const { email, device_id, subscription } = await readBody(req);
+    if (!requireCaller(req, res, email)) return;
+    if (!email || !subscription || !subscription.endpoint || !subscription.keys) {
+      sendJson(res, 400, { error: 'email and a push subscription are required', code: 'INVALID_SUBSCRIPTION' });
+      return;
+    }
+    const others = (pushSubscriptions.get(email) || []).filter(s => s.endpoint !== subscription.endpoint);
+    pushSubscriptions.set(email, [...others, { ...subscription, device_id }]);
+    sendJson(res, 201, { success: true });
+  }],
+  ['DELETE', /^\/api\/push\/subscriptions$/, async (req, res) => {
+    const { email, endpoint } = await readBody(req);
+    if (!requireCaller(req, res, email)) return;
+    pushSubscriptions.set(email, (pushSubscriptions.get(email) || []).filter(s => s.endpoint !== endpoint));
+    sendJson(res, 200, { success: true });
+  }],
+  ['POST', /^\/api\/push\/test$/, async (req, res) => {
+    const { email } = await readBody(req);
+    if (!requireCaller(req, res, email)) return;
+    if (!(pushSubscriptions.get(email) || []).length) {
+      sendJson(res, 404, { error: 'No browser has enabled notifications for this account', code: 'NO_SUBSCRIPTIONS' });
+      return;
+    }
+    notifyAlert(email, {
+      alert_id: `mock_alert_${crypto.randomBytes(6).toString('hex')}`,
+      type: 'test_notification',
+      severity: 'high',
+      message: 'Alert notifications are working on this browser.'
+    });
+    sendJson(res, 200, { success: true });
+  }],
+  ['GET', /^\/api\/push\/outbox$/, (req, res) => sendJson(res, 200, { messages: webPush.getOutbox() })],
+  ['GET', /^\/api\/admin\/users$/, (req, res) => {
+    if (!requireAdmin(req, res)) return;
+    sendJson(res, 200, {
+      users: [...users].map(([email, user]) => ({
+        email,
+        role: getRole(email),
+        device_count: user.devices.length,
+        lost_count: user.devices.filter(device => device.is_lost).length,
+        open_alert_count: user.alerts.filter(isOpenAlert).length,
+        last_seen: user.devices.map(device => device.last_updated).filter(Boolean).sort().pop() || null
+      }))
+    });
+  }],
+  ['GET', /^\/api\/admin\/devices$/, (req, res) => {
+    if (!requireAdmin(req, res)) return;
+    sendJson(res, 200, {
+      devices: [...users].flatMap(([email, user]) => user.devices.map(device => ({ ...device, owner_email: email })))
+    });
+  }],
+  ['GET', /^\/api\/admin\/alerts$/, (req, res) => {
+    if (!requireAdmin(req, res)) return;
+    const limit = Number(new URL(req.url, 'http://localhost').searchParams.get('limit')) || 50;
+    const alerts = [...users]
+      .flatMap(([email, user]) => user.alerts.map(alert => ({ ...alert, owner_email: email })))
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+    sendJson(res, 200, { alerts: alerts.slice(0, limit) });
+  }],
+  ['GET', /^\/api\/live\/([^/]+)$/, (req, res, [email]) => openStream(req, res, email)]
+];
+
+const server = http.createServer((req, res) => {
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+    });
+    res.end();
+    return;
+  }
+
+  const path = req.url.split('?')[0];
+  for (const [method, pattern, handler] of routes) {
+    const match = path.match(pattern);
+    if (req.method === method && match) {
+      handler(req, res, match.slice(1).map(decodeURIComponent));
+      return;
+    }
+  }
+
+  sendJson(res, 404, { error: `Mock server has no route for ${req.method} ${path}` });
+});
+
+// Move mock devices a few metres each tick and occasionally raise an alert
+setInterval(() => {
+  tick += 1;
+
+  users.forEach((user, email) => {
+    user.devices
+      .filter(device => device.device_id.startsWith('mock_'))
+      .forEach(device => {
+        const previous = device.last_location || CAMPUS_CENTER;
+        device.last_location = makeLocation({
+          latitude: previous.latitude + (Math.random() - 0.5) * 0.00004,
+          longitude: previous.longitude + (Math.random() - 0.5) * 0.00004
+        }, device.is_mobile);
+        device.last_updated = new Date().toISOString();
+        recordHistory(device);
+        broadcastLocation(email, device);
+      });
+
+    if (user.progress < 100) {
+      user.progress = Math.min(100, user.progress + 1);
+      broadcast(email, 'behavior_progress', {
+        learning_progress: user.progress,
+        behavior_summary: { schedule_consistency: 0.8, learned_patterns: Math.floor(user.progress / 10), devices_analyzed: user.devices.length, days_observed: Math.floor(user.progress / 100 * 7) }
+      });
+    }
+
+    // Feedback visibly changes the mock: a raised threshold skips some of the generated anomalies.
+    // Removing or transferring devices can leave an account with none to raise an alert about.
+    if (tick % ALERT_EVERY_TICKS === 0 && user.devices.length > 0 && Math.random() >= (getAnomalyThreshold(user) - BASELINE_THRESHOLD) * 5) {
+      const device = user.devices[Math.floor(Math.random() * user.devices.length)];
+      const alert = {
+        alert_id: `mock_alert_${crypto.randomBytes(6).toString('hex')}`,
+        type: 'suspicious_behavior',
+        severity: Math.random() < 0.3 ? 'high' : 'medium',
+        device_id: device.device_id,
+        message: `${device.device_name} moved outside its usual pattern (mock)`,
+        created_at: new Date().toISOString()
+      };
+      raiseAlert(email, alert);
+    }
+  });
+}, TICK_INTERVAL);
+
+SEED_STUDENTS.forEach(getUser);
+ADMIN_EMAILS.forEach(email => accounts.set(email, { password: hashPassword(ADMIN_PASSWORD), email_verified: true }));
+
+server.listen(PORT, () => {
+  console.log(`Mock backend listening on http://localhost:${PORT}/api`);
+});
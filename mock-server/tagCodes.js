@@ -0,0 +1,26 @@
+// Same derivation as src/tagCodes.js; tags carry this code under the QR code. Codes are returned without
+// the dash so they can be compared with whatever the finder typed once it is stripped down the same way.
+// src/tagCodes.test.js checks that both copies agree.
+
+// No 0/O or 1/I so codes survive being read aloud
+const TAG_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const TAG_HASH_SEEDS = [0x811c9dc5, 0xdeadbeef];
+
+const getTagCode = (deviceId) => TAG_HASH_SEEDS
+  .map(seed => {
+    let hash = seed;
+    for (const char of String(deviceId)) {
+      hash ^= char.codePointAt(0);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    hash >>>= 0;
+    let part = '';
+    for (let i = 0; i < 4; i++) {
+      part += TAG_CODE_ALPHABET[hash % TAG_CODE_ALPHABET.length];
+      hash = Math.floor(hash / TAG_CODE_ALPHABET.length);
+    }
+    return part;
+  })
+  .join('');
+
+module.exports = { getTagCode };
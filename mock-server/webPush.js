@@ -0,0 +1,107 @@
+// Minimal Web Push sender for the mock backend, built on Node's crypto so no extra packages are needed.
+//
+// Generates a fresh VAPID key pair on every start, encrypts payloads with aes128gcm (RFC 8291) and signs
+// the request with a VAPID JWT (RFC 8292). Browsers drop subscriptions made with an older key, so after
+// restarting the mock server turn notifications off and on again in Settings.
+// Only the production build registers a service worker, so test against `npm run build` served locally.
+//
+// With MOCK_PUSH_DRY_RUN=1 nothing is sent to the browser's push service; messages are only recorded in
+// the outbox (GET /api/push/outbox). To see the notification itself, paste an outbox payload into
+// DevTools > Application > Service workers > Push.
+
+const https = require('https');
+const crypto = require('crypto');
+
+const RECORD_SIZE = 4096;
+const OUTBOX_LIMIT = 50;
+
+const toBase64Url = (buffer) => Buffer.from(buffer).toString('base64url');
+const fromBase64Url = (value) => Buffer.from(value, 'base64url');
+
+const createWebPush = ({ subject, dryRun = false }) => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+  const jwk = publicKey.export({ format: 'jwk' });
+  // Uncompressed point, which is what PushManager.subscribe expects as applicationServerKey
+  const rawPublicKey = Buffer.concat([Buffer.from([0x04]), fromBase64Url(jwk.x), fromBase64Url(jwk.y)]);
+  const outbox = [];
+
+  const signVapidToken = (endpoint) => {
+    const header = toBase64Url(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+    const claims = toBase64Url(JSON.stringify({
+      aud: new URL(endpoint).origin,
+      exp: Math.floor(Date.now() / 1000) + 12 * 60 * 60,
+      sub: subject
+    }));
+    const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), { key: privateKey, dsaEncoding: 'ieee-p1363' });
+    return `${header}.${claims}.${toBase64Url(signature)}`;
+  };
+
+  const encrypt = (subscription, payload) => {
+    const userAgentPublicKey = fromBase64Url(subscription.keys.p256dh);
+    const authSecret = fromBase64Url(subscription.keys.auth);
+    const serverKeys = crypto.createECDH('prime256v1');
+    serverKeys.generateKeys();
+    const serverPublicKey = serverKeys.getPublicKey();
+    const sharedSecret = serverKeys.computeSecret(userAgentPublicKey);
+    const salt = crypto.randomBytes(16);
+
+    const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), userAgentPublicKey, serverPublicKey]);
+    const inputKey = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, authSecret, keyInfo, 32));
+    const contentKey = Buffer.from(crypto.hkdfSync('sha256', inputKey, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+    const nonce = Buffer.from(crypto.hkdfSync('sha256', inputKey, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+    const cipher = crypto.createCipheriv('aes-128-gcm', contentKey, nonce);
+    // A single record, so the padding delimiter is 0x02 ("last record")
+    const body = Buffer.concat([cipher.update(Buffer.concat([Buffer.from(payload), Buffer.from([0x02])])), cipher.final(), cipher.getAuthTag()]);
+
+    const recordSize = Buffer.alloc(4);
+    recordSize.writeUInt32BE(RECORD_SIZE);
+    return Buffer.concat([salt, recordSize, Buffer.from([serverPublicKey.length]), serverPublicKey, body]);
+  };
+
+  const record = (entry) => {
+    outbox.unshift({ ...entry, sent_at: new Date().toISOString() });
+    outbox.length = Math.min(outbox.length, OUTBOX_LIMIT);
+  };
+
+  // Resolves with the push service's status code; 404 and 410 mean the subscription is gone for good
+  const send = (subscription, message) => {
+    const payload = JSON.stringify(message);
+    if (dryRun) {
+      record({ endpoint: subscription.endpoint, payload: message, status: 'dry_run' });
+      return Promise.resolve(201);
+    }
+
+    const body = encrypt(subscription, payload);
+    return new Promise((resolve, reject) => {
+      const req = https.request(subscription.endpoint, {
+        method: 'POST',
+        headers: {
+          TTL: '3600',
+          Urgency: message.severity === 'high' ? 'high' : 'normal',
+          'Content-Type': 'application/octet-stream',
+          'Content-Encoding': 'aes128gcm',
+          'Content-Length': body.length,
+          Authorization: `vapid t=${signVapidToken(subscription.endpoint)}, k=${toBase64Url(rawPublicKey)}`
+        }
+      }, (res) => {
+        res.resume();
+        record({ endpoint: subscription.endpoint, payload: message, status: res.statusCode });
+        resolve(res.statusCode);
+      });
+      req.on('error', (err) => {
+        record({ endpoint: subscription.endpoint, payload: message, status: 'error', error: err.message });
+        reject(err);
+      });
+      req.end(body);
+    });
+  };
+
+  return {
+    publicKey: toBase64Url(rawPublicKey),
+    send,
+    getOutbox: () => outbox
+  };
+};
+
+module.exports = { createWebPush };
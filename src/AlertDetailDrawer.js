@@ -0,0 +1,142 @@
+import React, { useState, useEffect } from 'react';
+import { MapContainer, TileLayer, Circle, CircleMarker, Popup } from 'react-leaflet';
+import { getAlertStatus, formatAlertType, fetchAlertPosition } from './alertWorkflow';
+import { isBehaviorAlert } from './behaviorLearning';
+import BehaviorFeedback from './BehaviorFeedback';
+import FinderReportPanel from './FinderReportPanel';
+import { isFinderReport } from './finderReports';
+
+const formatDateTime = (value) => new Date(value).toLocaleString('en-US', { timeZone: 'Asia/Colombo' });
+
+const AlertDetailDrawer = ({ alert, device, userEmail, onStatusChange, onFeedback, onClose }) => {
+  const [position, setPosition] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const status = getAlertStatus(alert);
+
+  useEffect(() => {
+    let cancelled = false;
+    setPosition(null);
+    setError('');
+    setLoading(true);
+
+    fetchAlertPosition(alert, userEmail)
+      .then(result => {
+        if (!cancelled) setPosition(result);
+      })
+      .catch(err => {
+        console.error('Failed to load alert position:', err);
+        if (!cancelled) setError('Could not load the device position for this alert.');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [alert.alert_id, alert._id]);
+
+  const getFixOffset = () => {
+    const seconds = Math.round((new Date(position.timestamp).getTime() - new Date(alert.created_at).getTime()) / 1000);
+    if (Math.abs(seconds) < 5) return 'at the time of the alert';
+    const magnitude = Math.abs(seconds) < 60 ? `${Math.abs(seconds)}s` : `${Math.round(Math.abs(seconds) / 60)} min`;
+    return seconds < 0 ? `${magnitude} before the alert` : `${magnitude} after the alert`;
+  };
+
+  return (
+    <aside className="alert-drawer">
+      <div className="alert-drawer-header">
+        <h3>{formatAlertType(alert.type)}</h3>
+        <button className="alert-drawer-close" onClick={onClose} aria-label="Close alert details">✕</button>
+      </div>
+
+      <div className="alert-drawer-body">
+        <p>{alert.message}</p>
+        <div className="alert-drawer-meta">
+          <div><strong>Raised:</strong> {formatDateTime(alert.created_at)}</div>
+          <div><strong>Device:</strong> {device ? device.device_name : alert.device_id || 'Account-wide'}</div>
+          <div><strong>Severity:</strong> {(alert.severity || 'low').toUpperCase()}</div>
+          <div>
+            <strong>Status:</strong> <span className={`alert-status-badge status-${status}`}>{status.toUpperCase()}</span>
+            {alert.status_updated_at && <small> since {formatDateTime(alert.status_updated_at)}</small>}
+          </div>
+        </div>
+
+        <div className="alert-status-actions">
+          {status === 'new' && (
+            <button className="btn btn-small" onClick={() => onStatusChange([alert], 'acknowledged')}>
+              👁 Acknowledge
+            </button>
+          )}
+          {status !== 'resolved' ? (
+            <button className="btn btn-small btn-found" onClick={() => onStatusChange([alert], 'resolved')}>
+              ✅ Resolve
+            </button>
+          ) : (
+            <button className="btn btn-small btn-secondary" onClick={() => onStatusChange([alert], 'new')}>
+              ↩ Reopen
+            </button>
+          )}
+        </div>
+
+        {isBehaviorAlert(alert) && onFeedback && (
+          <>
+            <h4>Was This You?</h4>
+            <BehaviorFeedback alert={alert} onFeedback={onFeedback} />
+          </>
+        )}
+
+        {isFinderReport(alert) && alert.report_id && (
+          <FinderReportPanel alert={alert} />
+        )}
+
+        <h4>{isFinderReport(alert) ? 'Where the Finder Was' : 'Position at Alert Time'}</h4>
+        {loading && <p className="history-message">Loading position...</p>}
+        {error && <p className="history-message history-error">{error}</p>}
+        {!loading && !error && !position && (
+          <p className="history-message">No position was recorded near the time of this alert.</p>
+        )}
+        {position && (
+          <>
+            <div className="alert-drawer-map">
+              <MapContainer
+                key={`${position.latitude},${position.longitude}`}
+                center={[position.latitude, position.longitude]}
+                zoom={18}
+                style={{ height: '100%', width: '100%' }}
+              >
+                <TileLayer
+                  url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+                  attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+                  maxZoom={22}
+                />
+                {position.accuracy > 0 && (
+                  <Circle
+                    center={[position.latitude, position.longitude]}
+                    radius={position.accuracy}
+                    interactive={false}
+                    pathOptions={{ color: '#ef4444', fillOpacity: 0.1, weight: 1 }}
+                  />
+                )}
+                <CircleMarker
+                  center={[position.latitude, position.longitude]}
+                  radius={8}
+                  pathOptions={{ color: 'white', fillColor: '#ef4444', fillOpacity: 1, weight: 2 }}
+                >
+                  <Popup>{formatDateTime(position.timestamp)}</Popup>
+                </CircleMarker>
+              </MapContainer>
+            </div>
+            <p className="alert-drawer-fix">
+              {position.latitude.toFixed(6)}, {position.longitude.toFixed(6)}
+              {position.accuracy ? ` (±${Math.round(position.accuracy)}m)` : ''}, fix taken {getFixOffset()}
+            </p>
+          </>
+        )}
+      </div>
+    </aside>
+  );
+};
+
+export default AlertDetailDrawer;
@@ -0,0 +1,53 @@
+import React from 'react';
+import { ALERT_STATUSES, DEFAULT_ALERT_FILTERS, formatAlertType } from './alertWorkflow';
+
+const AlertFilters = ({ filters, onChange, alertTypes, devices }) => {
+  const setFilter = (key, value) => onChange({ ...filters, [key]: value });
+
+  const isFiltered = Object.keys(DEFAULT_ALERT_FILTERS).some(key => filters[key] !== DEFAULT_ALERT_FILTERS[key]);
+
+  return (
+    <div className="alert-filters">
+      <select className="form-input" value={filters.status} onChange={(e) => setFilter('status', e.target.value)}>
+        <option value="open">Open</option>
+        {ALERT_STATUSES.map(status => (
+          <option key={status} value={status}>{status.charAt(0).toUpperCase() + status.slice(1)}</option>
+        ))}
+        <option value="all">Any status</option>
+      </select>
+      <select className="form-input" value={filters.type} onChange={(e) => setFilter('type', e.target.value)}>
+        <option value="all">All types</option>
+        {alertTypes.map(type => (
+          <option key={type} value={type}>{formatAlertType(type)}</option>
+        ))}
+      </select>
+      <select className="form-input" value={filters.severity} onChange={(e) => setFilter('severity', e.target.value)}>
+        <option value="all">Any severity</option>
+        <option value="high">High</option>
+        <option value="medium">Medium</option>
+        <option value="low">Low</option>
+      </select>
+      <select className="form-input" value={filters.deviceId} onChange={(e) => setFilter('deviceId', e.target.value)}>
+        <option value="all">All devices</option>
+        {devices.map(device => (
+          <option key={device.device_id} value={device.device_id}>{device.device_name || device.device_id}</option>
+        ))}
+      </select>
+      <label className="alert-filter-date">
+        From
+        <input type="date" className="form-input" value={filters.from} max={filters.to || undefined} onChange={(e) => setFilter('from', e.target.value)} />
+      </label>
+      <label className="alert-filter-date">
+        To
+        <input type="date" className="form-input" value={filters.to} min={filters.from || undefined} onChange={(e) => setFilter('to', e.target.value)} />
+      </label>
+      {isFiltered && (
+        <button className="btn btn-small btn-secondary" onClick={() => onChange(DEFAULT_ALERT_FILTERS)}>
+          Reset
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default AlertFilters;
@@ -1,24 +1,110 @@
 import React, { useState, useEffect } from 'react';
+import { Routes, Route, Navigate, useNavigate, useLocation } from 'react-router-dom';
 import Login from './Login';
 import Register from './Register';
 import Dashboard from './Dashboard';
 import DeviceSetupModal from './DeviceSetupModal';
+import ProtectedRoute from './ProtectedRoute';
+import PairDevice from './PairDevice';
+import FoundDevice from './FoundDevice';
+import ForgotPassword from './ForgotPassword';
+import ResetPassword from './ResetPassword';
+import VerifyEmail from './VerifyEmail';
 import config from './config';
+import {
+  getAccessToken,
+  getRefreshToken,
+  hasSession,
+  saveTokens,
+  getSavedUser,
+  saveUser,
+  clearSession,
+  onSessionExpired,
+  expireSession
+} from './session';
+import { getDeviceInfo } from './deviceIdentity';
+import { onNotificationNavigate, unsubscribeFromPush } from './pushNotifications';
+import { clearOfflineData } from './offlineSupport';
+import { clearLocationQueue } from './locationQueue';
+import { isDemoMode } from './demoMode';
+import { handleDemoRequest } from './demoBackend';
 import './styles.css';
 
+// Signed-out requests: a 401 from these is an answer, not an expired session
+const AUTH_ENDPOINTS = ['/login', '/register', '/refresh', '/password/forgot', '/password/reset', '/verify_email'];
+
+let refreshPromise = null;
+
+const refreshAccessToken = () => {
+  // Share one refresh between concurrent requests that all hit a 401
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const refreshToken = getRefreshToken();
+      if (!refreshToken) {
+        return false;
+      }
+
+      try {
+        const response = await fetch(`${config.API_BASE_URL}/refresh`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ refresh_token: refreshToken }),
+        });
+
+        if (!response.ok) {
+          return false;
+        }
+
+        const data = await response.json();
+        saveTokens(data);
+        console.log('🔑 Access token refreshed');
+        return true;
+      } catch (error) {
+        console.error('Token refresh failed:', error);
+        return false;
+      }
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+
+  return refreshPromise;
+};
+
+const sendRequest = (endpoint, options) => {
+  // Demo mode is answered in the browser and never reaches the real API
+  if (isDemoMode()) {
+    return handleDemoRequest(endpoint, options);
+  }
+
+  const accessToken = getAccessToken();
+
+  return fetch(`${config.API_BASE_URL}${endpoint}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {}),
+      ...options.headers,
+    },
+  });
+};
+
 const apiRequest = async (endpoint, options = {}) => {
   const url = `${config.API_BASE_URL}${endpoint}`;
   
   console.log(`Making API request to: ${url}`);
   
   try {
-    const response = await fetch(url, {
-      headers: {
-        'Content-Type': 'application/json',
-        ...options.headers,
-      },
-      ...options,
-    });
+    let response = await sendRequest(endpoint, options);
+
+    if (response.status === 401 && !AUTH_ENDPOINTS.includes(endpoint)) {
+      const refreshed = await refreshAccessToken();
+      if (!refreshed) {
+        expireSession();
+        throw new Error('Your session has expired. Please log in again.');
+      }
+      response = await sendRequest(endpoint, options);
+    }
     
     if (!response.ok) {
       let errorData;
@@ -27,7 +113,10 @@ const apiRequest = async (endpoint, options = {}) => {
       } catch (parseError) {
         errorData = { error: `HTTP error! status: ${response.status}` };
       }
-      throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+      const httpError = new Error(errorData.error || `HTTP error! status: ${response.status}`);
+      httpError.status = response.status;
+      httpError.code = errorData.code;
+      throw httpError;
     }
     
     return response;
@@ -37,19 +126,22 @@ const apiRequest = async (endpoint, options = {}) => {
     
     if (error.name === 'TypeError' && error.message.includes('Failed to fetch')) {
       const isLocalhost = config.API_BASE_URL.includes('localhost');
+      let networkError;
       
       if (isLocalhost) {
-        throw new Error(`Cannot connect to local backend server at ${config.API_BASE_URL}. Please ensure:
+        networkError = new Error(`Cannot connect to local backend server at ${config.API_BASE_URL}. Please ensure:
 1. Backend server is running locally on port 5000
 2. Run command in backend folder: python app.py
 3. Check that the Flask server is running properly
 4. Your network connection is stable`);
       } else {
-        throw new Error(`Cannot connect to server at ${config.API_BASE_URL}. Please ensure:
+        networkError = new Error(`Cannot connect to server at ${config.API_BASE_URL}. Please ensure:
 1. Backend server is deployed and running
 2. Your network connection is stable
 3. No firewall is blocking the connection`);
       }
+      networkError.isNetworkError = true;
+      throw networkError;
     }
     
     throw error;
@@ -57,6 +149,8 @@ const apiRequest = async (endpoint, options = {}) => {
 };
 
 const testBackendConnection = async () => {
+  if (isDemoMode()) return true;
+
   try {
     const response = await fetch(`${config.API_BASE_URL}/health`);
     if (response.ok) {
@@ -69,69 +163,126 @@ const testBackendConnection = async () => {
   }
 };
 
+const loadSavedUser = () => {
+  const savedUser = getSavedUser();
+  if (!savedUser) return null;
+
+  if (!hasSession()) {
+    // Sessions saved before token auth only hold an email, so they must log in again
+    clearSession();
+    return null;
+  }
+
+  try {
+    return JSON.parse(savedUser);
+  } catch (e) {
+    clearSession();
+    return null;
+  }
+};
+
 function App() {
-  const [user, setUser] = useState(null);
-  const [isLogin, setIsLogin] = useState(true);
+  // Read synchronously so a deep link isn't bounced to /login before the saved session loads
+  const [user, setUser] = useState(loadSavedUser);
   const [showDeviceModal, setShowDeviceModal] = useState(false);
   const [deviceInfo, setDeviceInfo] = useState(null);
   const [connectionError, setConnectionError] = useState('');
   const [backendStatus, setBackendStatus] = useState('checking');
+  const navigate = useNavigate();
+  const location = useLocation();
 
   useEffect(() => {
     testBackendConnection().then(success => {
       setBackendStatus(success ? 'connected' : 'disconnected');
     });
 
-    const savedUser = localStorage.getItem('user');
-    if (savedUser) {
-      try {
-        setUser(JSON.parse(savedUser));
-      } catch (e) {
-        localStorage.removeItem('user');
-      }
-    }
+    onSessionExpired(() => {
+      console.log('Session expired, logging out');
+      handleLogout();
+    });
+
+    // Signed-out users land on /login first and come back to the alert afterwards
+    const stopListening = onNotificationNavigate(url => navigate(url));
+
+    return () => {
+      onSessionExpired(null);
+      stopListening();
+    };
   }, []);
 
-  const handleLogin = (userData) => {
+  const startSession = ({ access_token, refresh_token, ...userData }) => {
+    saveTokens({ access_token, refresh_token });
     setUser(userData);
     setConnectionError('');
-    localStorage.setItem('user', JSON.stringify(userData));
+    saveUser(userData);
+    return userData;
+  };
+
+  const handleLogin = (loginData) => {
+    const userData = startSession(loginData);
     
     if (userData.device_info && userData.device_info.needs_setup) {
-      setDeviceInfo(userData.device_info);
+      // The backend may suggest its own id; this browser's persistent id is the one that counts
+      setDeviceInfo({ ...userData.device_info, ...getDeviceInfo() });
       setShowDeviceModal(true);
     }
+
+    const from = location.state?.from?.pathname || '/dashboard';
+    navigate(from, { replace: true });
   };
 
-  const handleRegister = (userData) => {
-    setUser(userData);
-    setConnectionError('');
-    localStorage.setItem('user', JSON.stringify(userData));
-    
-    const userAgent = navigator.userAgent;
-    const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(userAgent);
-    const deviceType = isMobile ? 'mobile' : 'laptop/desktop';
-    const deviceId = `device_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const handleRegister = (registerData) => {
+    startSession(registerData);
     
     const registrationDeviceInfo = {
       needs_setup: true,
-      device_id: deviceId,
       ip_address: 'auto-detected',
-      device_type: deviceType,
-      user_agent: userAgent,
-      is_mobile: isMobile
+      ...getDeviceInfo()
     };
     
     setDeviceInfo(registrationDeviceInfo);
     setShowDeviceModal(true);
+    navigate('/dashboard', { replace: true });
+  };
+
+  // The paired device gets its own session for the account, so it can report locations straight away
+  const handlePairingComplete = (pairingData) => {
+    startSession(pairingData);
+    setShowDeviceModal(false);
+    setDeviceInfo(null);
+    navigate('/dashboard', { replace: true });
+  };
+
+  // The link may be opened in a browser signed in to a different account, which stays as it is
+  const handleEmailVerified = (email) => {
+    if (!user || user.email !== email) return;
+    const updatedUser = { ...user, email_verified: true };
+    setUser(updatedUser);
+    saveUser(updatedUser);
   };
 
   const handleLogout = () => {
+    const refreshToken = getRefreshToken();
+    if (refreshToken && !isDemoMode()) {
+      // Best effort: the local session is cleared even if the server can't be reached
+      fetch(`${config.API_BASE_URL}/logout`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refresh_token: refreshToken }),
+      }).catch(err => console.error('Failed to revoke refresh token:', err));
+    }
+
+    // This browser shouldn't keep showing the account's alerts once signed out
+    unsubscribeFromPush().catch(err => console.error('Failed to unsubscribe from push:', err));
+    clearOfflineData().catch(err => console.error('Failed to clear offline data:', err));
+    clearLocationQueue().catch(err => console.error('Failed to clear queued location updates:', err));
+
     setUser(null);
     setConnectionError('');
-    localStorage.removeItem('user');
+    clearSession();
     setShowDeviceModal(false);
     setDeviceInfo(null);
+    navigate('/login', { replace: true });
   };
 
   const handleDeviceSetup = async (deviceData) => {
@@ -159,7 +310,7 @@ function App() {
           updatedUser.device_info.needs_setup = false;
         }
         setUser(updatedUser);
-        localStorage.setItem('user', JSON.stringify(updatedUser));
+        saveUser(updatedUser);
         
       } else {
         const errorData = await response.json();
@@ -175,7 +326,7 @@ function App() {
             updatedUser.device_info.needs_setup = false;
           }
           setUser(updatedUser);
-          localStorage.setItem('user', JSON.stringify(updatedUser));
+          saveUser(updatedUser);
         } else {
           setConnectionError(errorData.error || 'Failed to add device');
           alert('Failed to add device. Please try again.');
@@ -194,7 +345,7 @@ function App() {
           updatedUser.device_info.needs_setup = false;
         }
         setUser(updatedUser);
-        localStorage.setItem('user', JSON.stringify(updatedUser));
+        saveUser(updatedUser);
       } else {
         setConnectionError(err.message);
         alert('Error setting up device. Please check your connection.');
@@ -207,16 +358,6 @@ function App() {
     setDeviceInfo(null);
   };
 
-  const switchToRegister = () => {
-    setIsLogin(false);
-    setConnectionError('');
-  };
-
-  const switchToLogin = () => {
-    setIsLogin(true);
-    setConnectionError('');
-  };
-
   const retryConnection = async () => {
     setBackendStatus('checking');
     setConnectionError('');
@@ -260,28 +401,59 @@ function App() {
         </div>
       )}
 
-      {!user ? (
-        isLogin ? (
-          <Login onLogin={handleLogin} onSwitchToRegister={switchToRegister} />
-        ) : (
-          <Register onRegister={handleRegister} onSwitchToLogin={switchToLogin} />
-        )
-      ) : (
-        <>
-          <Dashboard user={user} onLogout={handleLogout} />
-          {showDeviceModal && deviceInfo && (
-            <DeviceSetupModal
-              deviceInfo={deviceInfo}
-              userEmail={user.email}
-              onConfirm={handleDeviceSetup}
-              onSkip={handleSkipDeviceSetup}
-            />
-          )}
-        </>
+      <Routes>
+        <Route
+          path="/login"
+          element={user ? <Navigate to="/dashboard" replace /> : <Login onLogin={handleLogin} />}
+        />
+        <Route
+          path="/register"
+          element={user ? <Navigate to="/dashboard" replace /> : <Register onRegister={handleRegister} />}
+        />
+        <Route
+          path="/forgot-password"
+          element={user ? <Navigate to="/settings" replace /> : <ForgotPassword />}
+        />
+        <Route path="/reset-password/:token" element={<ResetPassword />} />
+        <Route path="/verify-email/:token" element={<VerifyEmail signedIn={!!user} onVerified={handleEmailVerified} />} />
+        <Route path="/pair" element={<PairDevice onPaired={handlePairingComplete} />} />
+        <Route path="/pair/:code" element={<PairDevice onPaired={handlePairingComplete} />} />
+        {/* Public: opened by whoever finds a device, signed in or not */}
+        <Route path="/found" element={<FoundDevice />} />
+        <Route path="/found/:deviceId" element={<FoundDevice />} />
+        {/* Dashboard is the layout for every signed-in page so tracking keeps running while navigating */}
+        <Route
+          element={
+            <ProtectedRoute user={user}>
+              <Dashboard user={user} onLogout={handleLogout} />
+            </ProtectedRoute>
+          }
+        >
+          <Route path="/dashboard" />
+          <Route path="/devices" />
+          <Route path="/devices/:deviceId" />
+          <Route path="/alerts" />
+          <Route path="/alerts/:alertId" />
+          <Route path="/insights" />
+          <Route path="/settings" />
+          <Route path="/campus" />
+          <Route path="/organisation" />
+          <Route path="/messages" />
+          <Route path="/messages/:conversationId" />
+        </Route>
+        <Route path="*" element={<Navigate to={user ? '/dashboard' : '/login'} replace />} />
+      </Routes>
+
+      {user && showDeviceModal && deviceInfo && (
+        <DeviceSetupModal
+          deviceInfo={deviceInfo}
+          onConfirm={handleDeviceSetup}
+          onSkip={handleSkipDeviceSetup}
+        />
       )}
     </div>
   );
 }
 
 export default App;
-export { apiRequest };
\ No newline at end of file
+export { apiRequest, testBackendConnection };
\ No newline at end of file
@@ -0,0 +1,47 @@
+import React, { useState } from 'react';
+import { FEEDBACK_LABELS } from './behaviorLearning';
+
+const formatDateTime = (value) => new Date(value).toLocaleString('en-US', { timeZone: 'Asia/Colombo' });
+
+const BehaviorFeedback = ({ alert, onFeedback }) => {
+  const [changing, setChanging] = useState(false);
+  const feedback = alert.feedback;
+
+  const submit = (label) => {
+    setChanging(false);
+    onFeedback(alert, label);
+  };
+
+  if (feedback && !changing) {
+    return (
+      <div className={`behavior-feedback labelled feedback-${feedback.label}`}>
+        <span>
+          {feedback.label === 'normal' ? '👍 You marked this as normal' : '🚩 You confirmed this as suspicious'}
+          {feedback.submitted_at && <small> on {formatDateTime(feedback.submitted_at)}</small>}
+        </span>
+        <button className="behavior-feedback-change" onClick={() => setChanging(true)}>Change</button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="behavior-feedback">
+      <button
+        className="btn btn-small btn-found"
+        onClick={() => submit('normal')}
+        disabled={feedback?.label === 'normal'}
+      >
+        👍 {FEEDBACK_LABELS.normal}
+      </button>
+      <button
+        className="btn btn-small btn-lost"
+        onClick={() => submit('suspicious')}
+        disabled={feedback?.label === 'suspicious'}
+      >
+        🚩 {FEEDBACK_LABELS.suspicious}
+      </button>
+    </div>
+  );
+};
+
+export default BehaviorFeedback;
@@ -0,0 +1,202 @@
+import React, { useState, useEffect } from 'react';
+import {
+  HOURS,
+  fetchBehaviorInsights,
+  getHeatmapMax,
+  formatHour,
+  formatRoutineTime
+} from './behaviorLearning';
+
+const formatDateTime = (value) => new Date(value).toLocaleString('en-US', { timeZone: 'Asia/Colombo' });
+
+const BehaviorInsights = ({ user, devices, sections, progress, summary }) => {
+  const [insights, setInsights] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadInsights();
+  }, [user.email]);
+
+  const loadInsights = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      setInsights(await fetchBehaviorInsights(user.email));
+    } catch (err) {
+      console.error('Failed to load behavior insights:', err);
+      setError(`Could not load behavior insights: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const getSectionName = (row) => {
+    const section = sections.find(s => s.id === row.section_id);
+    return row.section_name || (section ? section.name : row.section_id);
+  };
+
+  const getDeviceName = (deviceId) => {
+    const device = devices.find(d => d.device_id === deviceId);
+    return device ? device.device_name : deviceId;
+  };
+
+  const heatmapMax = insights ? getHeatmapMax(insights.heatmap) : 0;
+  const routine = insights?.routine || {};
+  const feedback = insights?.feedback;
+
+  return (
+    <div className="insights-page">
+      <div className="settings-section">
+        <div className="insights-header">
+          <h3>Learned Routine</h3>
+          <button className="btn btn-small btn-secondary" onClick={loadInsights} disabled={loading}>
+            🔄 Refresh
+          </button>
+        </div>
+        <p>
+          This is what the model currently treats as normal. Alerts are raised when a device moves
+          outside this pattern, so check it looks right before relying on them.
+        </p>
+        <div className="insights-stats">
+          <div className="insights-stat">
+            <strong>Learning Progress:</strong>
+            <span>{Math.round(progress)}%</span>
+          </div>
+          <div className="insights-stat">
+            <strong>Days Observed:</strong>
+            <span>{routine.days_observed ?? 0}</span>
+          </div>
+          {summary && (
+            <div className="insights-stat">
+              <strong>Schedule Consistency:</strong>
+              <span>{(summary.schedule_consistency * 100).toFixed(0)}%</span>
+            </div>
+          )}
+          <div className="insights-stat">
+            <strong>Typical Arrival:</strong>
+            <span>{formatRoutineTime(routine.typical_arrival, routine.arrival_spread_minutes)}</span>
+          </div>
+          <div className="insights-stat">
+            <strong>Typical Departure:</strong>
+            <span>{formatRoutineTime(routine.typical_departure, routine.departure_spread_minutes)}</span>
+          </div>
+        </div>
+      </div>
+
+      {error && <p className="status-message error">{error}</p>}
+      {loading && !insights && <p className="history-message">Loading behavior insights...</p>}
+
+      {insights && (
+        <>
+          <div className="settings-section">
+            <h3>Time Spent per Section</h3>
+            {insights.heatmap.length === 0 ? (
+              <p>No time has been attributed to campus sections yet.</p>
+            ) : (
+              <div className="insights-heatmap-scroll">
+                <table className="insights-heatmap">
+                  <thead>
+                    <tr>
+                      <th>Section</th>
+                      {HOURS.map(hour => (
+                        <th key={hour} title={formatHour(hour)}>{hour}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {insights.heatmap.map(row => (
+                      <tr key={row.section_id}>
+                        <th>{getSectionName(row)}</th>
+                        {row.minutes_by_hour.map((minutes, hour) => (
+                          <td
+                            key={hour}
+                            title={`${getSectionName(row)}, ${formatHour(hour)}: ${Math.round(minutes)} min per day`}
+                            style={{ backgroundColor: `rgba(102, 126, 234, ${heatmapMax ? minutes / heatmapMax : 0})` }}
+                          />
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+            <small>Average minutes per day spent in each section during each hour (campus time).</small>
+          </div>
+
+          {feedback && (
+            <div className="settings-section">
+              <h3>Effect of Your Feedback</h3>
+              <div className="insights-stats">
+                <div className="insights-stat">
+                  <strong>Marked Normal:</strong>
+                  <span>{feedback.normal_count}</span>
+                </div>
+                <div className="insights-stat">
+                  <strong>Confirmed Suspicious:</strong>
+                  <span>{feedback.suspicious_count}</span>
+                </div>
+                <div className="insights-stat">
+                  <strong>Alert Threshold:</strong>
+                  <span>
+                    {Math.round(feedback.baseline_threshold * 100)}% → {Math.round(feedback.anomaly_threshold * 100)}%
+                  </span>
+                </div>
+              </div>
+              <small>
+                A higher threshold means a movement has to look more unusual before it raises an alert.
+                Marking alerts as normal raises it; confirming them lowers it.
+              </small>
+              {feedback.recent.length === 0 ? (
+                <p>You haven't labelled any behavior alerts yet. Use the buttons on a suspicious behavior alert to teach the model.</p>
+              ) : (
+                <ul className="insights-feedback-list">
+                  {feedback.recent.map(entry => (
+                    <li key={entry.alert_id}>
+                      <span>{entry.label === 'normal' ? '👍' : '🚩'}</span>
+                      <span>
+                        <strong>{getDeviceName(entry.device_id)}:</strong> {entry.effect}
+                      </span>
+                      <small>{formatDateTime(entry.submitted_at)}</small>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+
+          <div className="settings-section">
+            <h3>Sections Each Device Visits</h3>
+            {insights.devices.length === 0 ? (
+              <p>No device routines have been learned yet.</p>
+            ) : (
+              <div className="insights-devices">
+                {insights.devices.map(device => (
+                  <div key={device.device_id} className="insights-device">
+                    <h4>{getDeviceName(device.device_id)}</h4>
+                    <p>
+                      <strong>Usually arrives:</strong> {formatRoutineTime(device.typical_arrival)}
+                      {' · '}
+                      <strong>leaves:</strong> {formatRoutineTime(device.typical_departure)}
+                    </p>
+                    {device.sections.map(section => (
+                      <div key={section.section_id} className="insights-section-share">
+                        <span className="insights-section-name">{getSectionName(section)}</span>
+                        <div className="insights-share-bar">
+                          <div style={{ width: `${Math.round(section.share * 100)}%` }} />
+                        </div>
+                        <span>{Math.round(section.share * 100)}%</span>
+                      </div>
+                    ))}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default BehaviorInsights;
@@ -0,0 +1,385 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { MapContainer, TileLayer, Polygon, Polyline, Marker, useMap, useMapEvents } from 'react-leaflet';
+import L from 'leaflet';
+import { SECTION_TYPES, getSectionType, createSectionId, saveCampusLayout } from './campusLayout';
+import { sectionsFromGeoJSON, layoutToGeoJSON, downloadGeoJSON, readGeoJSONFile } from './geojson';
+
+const vertexIcon = L.divIcon({
+  className: 'campus-vertex-icon',
+  html: '<div class="campus-vertex"></div>',
+  iconSize: [14, 14],
+  iconAnchor: [7, 7],
+});
+
+function DrawingHandler({ drawing, onAddPoint }) {
+  useMapEvents({
+    click: (event) => {
+      if (drawing) {
+        onAddPoint([event.latlng.lat, event.latlng.lng]);
+      }
+    }
+  });
+  return null;
+}
+
+function FitToLayout({ sections, fallbackCenter }) {
+  const map = useMap();
+
+  useEffect(() => {
+    const points = sections.flatMap(section => section.coordinates);
+    if (points.length > 0) {
+      map.fitBounds(L.latLngBounds(points), { padding: [40, 40], maxZoom: 20 });
+    } else if (fallbackCenter) {
+      map.setView(fallbackCenter, 19);
+    }
+    // Only frame the map when the editor opens, not while shapes are being edited
+  }, [map]);
+
+  return null;
+}
+
+const CampusEditor = ({ sections: savedSections, devices, onSaved }) => {
+  const [sections, setSections] = useState(savedSections || []);
+  const [selectedId, setSelectedId] = useState(null);
+  const [drawing, setDrawing] = useState(false);
+  const [draftPoints, setDraftPoints] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [dirty, setDirty] = useState(false);
+  const [replaceOnImport, setReplaceOnImport] = useState(false);
+  const importInputRef = useRef(null);
+
+  useEffect(() => {
+    if (!dirty) {
+      setSections(savedSections || []);
+    }
+  }, [savedSections]);
+
+  const selectedSection = sections.find(section => section.id === selectedId);
+
+  const getFallbackCenter = () => {
+    const located = devices.find(device => device.last_location?.latitude && device.last_location?.longitude);
+    if (located) {
+      return [located.last_location.latitude, located.last_location.longitude];
+    }
+    return [6.9271, 79.8612];
+  };
+
+  const updateSections = (updater) => {
+    setSections(updater);
+    setDirty(true);
+    setMessage(null);
+  };
+
+  const startDrawing = () => {
+    setSelectedId(null);
+    setDraftPoints([]);
+    setDrawing(true);
+  };
+
+  const cancelDrawing = () => {
+    setDraftPoints([]);
+    setDrawing(false);
+  };
+
+  const finishDrawing = () => {
+    if (draftPoints.length < 3) {
+      setMessage({ type: 'error', text: 'A building needs at least 3 corners.' });
+      return;
+    }
+
+    const template = getSectionType('other');
+    const newSection = {
+      id: createSectionId(),
+      name: `Building ${sections.length + 1}`,
+      type: template.type,
+      color: template.color,
+      description: template.description,
+      coordinates: draftPoints
+    };
+
+    updateSections(prev => [...prev, newSection]);
+    setSelectedId(newSection.id);
+    setDraftPoints([]);
+    setDrawing(false);
+  };
+
+  const updateSelected = (changes) => {
+    updateSections(prev => prev.map(section =>
+      section.id === selectedId ? { ...section, ...changes } : section
+    ));
+  };
+
+  const changeType = (type) => {
+    const template = getSectionType(type);
+    updateSelected({ type, color: template.color, description: template.description });
+  };
+
+  const moveVertex = (sectionId, vertexIndex, latlng) => {
+    updateSections(prev => prev.map(section => {
+      if (section.id !== sectionId) return section;
+      const coordinates = section.coordinates.map((point, index) =>
+        index === vertexIndex ? [latlng.lat, latlng.lng] : point
+      );
+      return { ...section, coordinates };
+    }));
+  };
+
+  const removeVertex = (sectionId, vertexIndex) => {
+    const section = sections.find(s => s.id === sectionId);
+    if (!section || section.coordinates.length <= 3) {
+      setMessage({ type: 'error', text: 'A building needs at least 3 corners.' });
+      return;
+    }
+    updateSections(prev => prev.map(s =>
+      s.id === sectionId ? { ...s, coordinates: s.coordinates.filter((_, index) => index !== vertexIndex) } : s
+    ));
+  };
+
+  const deleteSelected = () => {
+    if (!selectedSection || !window.confirm(`Delete "${selectedSection.name}"?`)) return;
+    updateSections(prev => prev.filter(section => section.id !== selectedId));
+    setSelectedId(null);
+  };
+
+  const handleSave = async () => {
+    const unnamed = sections.find(section => !section.name.trim());
+    if (unnamed) {
+      setSelectedId(unnamed.id);
+      setMessage({ type: 'error', text: 'Every building needs a name before saving.' });
+      return;
+    }
+
+    setSaving(true);
+    setMessage(null);
+    try {
+      const saved = await saveCampusLayout(sections);
+      setSections(saved);
+      setDirty(false);
+      onSaved(saved);
+      setMessage({ type: 'success', text: `Campus layout saved (${saved.length} buildings).` });
+    } catch (err) {
+      console.error('Failed to save campus layout:', err);
+      setMessage({ type: 'error', text: `Failed to save campus layout: ${err.message}` });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const imported = sectionsFromGeoJSON(await readGeoJSONFile(file));
+      updateSections(prev => replaceOnImport ? imported : [...prev, ...imported]);
+      setSelectedId(null);
+      cancelDrawing();
+      setMessage({
+        type: 'success',
+        text: `Imported ${imported.length} buildings from ${file.name}. Review them and save the layout.`
+      });
+    } catch (err) {
+      console.error('GeoJSON import failed:', err);
+      setMessage({ type: 'error', text: `Import failed: ${err.message}` });
+    }
+  };
+
+  const handleExport = () => {
+    downloadGeoJSON(layoutToGeoJSON(sections, devices), 'campus-layout.geojson');
+  };
+
+  const discardChanges = () => {
+    setSections(savedSections || []);
+    setSelectedId(null);
+    setDirty(false);
+    setMessage(null);
+    cancelDrawing();
+  };
+
+  return (
+    <div className="campus-editor">
+      <div className="campus-editor-map">
+        <MapContainer
+          center={getFallbackCenter()}
+          zoom={19}
+          minZoom={14}
+          maxZoom={22}
+          style={{ height: '100%', width: '100%' }}
+          doubleClickZoom={!drawing}
+        >
+          <FitToLayout sections={sections} fallbackCenter={getFallbackCenter()} />
+          <DrawingHandler drawing={drawing} onAddPoint={(point) => setDraftPoints(prev => [...prev, point])} />
+          <TileLayer
+            url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+            attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+            maxZoom={22}
+          />
+
+          {sections.map(section => (
+            <Polygon
+              key={section.id}
+              positions={section.coordinates}
+              pathOptions={{
+                color: section.color,
+                fillColor: section.color,
+                fillOpacity: section.id === selectedId ? 0.6 : 0.35,
+                weight: section.id === selectedId ? 4 : 2
+              }}
+              eventHandlers={{
+                click: () => {
+                  if (!drawing) setSelectedId(section.id);
+                }
+              }}
+            />
+          ))}
+
+          {selectedSection && !drawing && selectedSection.coordinates.map((point, index) => (
+            <Marker
+              key={`${selectedSection.id}-${index}`}
+              position={point}
+              icon={vertexIcon}
+              draggable={true}
+              eventHandlers={{
+                dragend: (event) => moveVertex(selectedSection.id, index, event.target.getLatLng()),
+                contextmenu: () => removeVertex(selectedSection.id, index)
+              }}
+            />
+          ))}
+
+          {drawing && draftPoints.length > 0 && (
+            <Polyline positions={draftPoints} pathOptions={{ color: '#6366F1', dashArray: '6, 6' }} />
+          )}
+          {drawing && draftPoints.map((point, index) => (
+            <Marker key={`draft-${index}`} position={point} icon={vertexIcon} />
+          ))}
+        </MapContainer>
+      </div>
+
+      <div className="campus-editor-panel">
+        <div className="section-header">
+          <h3>Campus Layout</h3>
+        </div>
+
+        {message && (
+          <div className={`status-message ${message.type}`}>{message.text}</div>
+        )}
+
+        {drawing ? (
+          <div className="campus-editor-drawing">
+            <p>Click the map to place each corner of the building ({draftPoints.length} placed).</p>
+            <div className="campus-editor-actions">
+              <button className="btn btn-small btn-primary" onClick={finishDrawing}>Finish Shape</button>
+              <button className="btn btn-small" onClick={() => setDraftPoints(prev => prev.slice(0, -1))} disabled={draftPoints.length === 0}>
+                Undo Corner
+              </button>
+              <button className="btn btn-small btn-secondary" onClick={cancelDrawing}>Cancel</button>
+            </div>
+          </div>
+        ) : (
+          <button className="btn btn-small btn-primary" onClick={startDrawing}>➕ Draw New Building</button>
+        )}
+
+        <div className="campus-editor-list">
+          {sections.length === 0 && (
+            <p className="history-message">No buildings yet. Draw one on the map to get started.</p>
+          )}
+          {sections.map(section => (
+            <div
+              key={section.id}
+              className={`campus-editor-item ${section.id === selectedId ? 'selected' : ''}`}
+              onClick={() => !drawing && setSelectedId(section.id)}
+            >
+              <span className="legend-zone-color" style={{ backgroundColor: section.color }}></span>
+              <span>{section.name || 'Unnamed'} ({section.type})</span>
+            </div>
+          ))}
+        </div>
+
+        {selectedSection && !drawing && (
+          <div className="campus-editor-form">
+            <h4>Edit Building</h4>
+            <div className="form-group">
+              <label>Name:</label>
+              <input
+                type="text"
+                className="form-input"
+                value={selectedSection.name}
+                onChange={(e) => updateSelected({ name: e.target.value })}
+              />
+            </div>
+            <div className="form-group">
+              <label>Type:</label>
+              <select className="form-input" value={selectedSection.type} onChange={(e) => changeType(e.target.value)}>
+                {SECTION_TYPES.map(sectionType => (
+                  <option key={sectionType.type} value={sectionType.type}>{sectionType.type}</option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label>Colour:</label>
+              <input
+                type="color"
+                className="campus-color-input"
+                value={selectedSection.color}
+                onChange={(e) => updateSelected({ color: e.target.value })}
+              />
+            </div>
+            <div className="form-group">
+              <label>Description:</label>
+              <input
+                type="text"
+                className="form-input"
+                value={selectedSection.description || ''}
+                onChange={(e) => updateSelected({ description: e.target.value })}
+              />
+            </div>
+            <p className="campus-editor-hint">
+              <small>Drag the corner handles to reshape. Right-click a corner to remove it.</small>
+            </p>
+            <button className="btn btn-small btn-lost" onClick={deleteSelected}>🗑 Delete Building</button>
+          </div>
+        )}
+
+        <div className="campus-editor-geojson">
+          <h4>GeoJSON</h4>
+          <input
+            ref={importInputRef}
+            type="file"
+            accept=".geojson,.json,application/geo+json,application/json"
+            onChange={handleImport}
+            style={{ display: 'none' }}
+          />
+          <label className="campus-editor-checkbox">
+            <input
+              type="checkbox"
+              checked={replaceOnImport}
+              onChange={(e) => setReplaceOnImport(e.target.checked)}
+            />
+            Replace existing buildings on import
+          </label>
+          <div className="campus-editor-actions">
+            <button className="btn btn-small" onClick={() => importInputRef.current.click()} disabled={drawing}>
+              📥 Import GeoJSON
+            </button>
+            <button className="btn btn-small" onClick={handleExport} disabled={sections.length === 0}>
+              📤 Export GeoJSON
+            </button>
+          </div>
+        </div>
+
+        <div className="campus-editor-actions campus-editor-save">
+          <button className="btn btn-small btn-primary" onClick={handleSave} disabled={saving || !dirty}>
+            {saving ? 'Saving...' : '💾 Save Layout'}
+          </button>
+          <button className="btn btn-small btn-secondary" onClick={discardChanges} disabled={saving || !dirty}>
+            Discard Changes
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CampusEditor;
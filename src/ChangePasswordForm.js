@@ -0,0 +1,82 @@
+import React, { useState } from 'react';
+import { changePassword, validateNewPassword, MIN_PASSWORD_LENGTH } from './accountSecurity';
+
+const EMPTY_FORM = { current: '', next: '', confirm: '' };
+
+const ChangePasswordForm = ({ userEmail }) => {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const updateField = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const validationError = form.next === form.current
+      ? 'Choose a password different from your current one'
+      : validateNewPassword(form.next, form.confirm);
+    if (validationError) {
+      setMessage({ type: 'error', text: validationError });
+      return;
+    }
+
+    setBusy(true);
+    setMessage(null);
+    try {
+      await changePassword(userEmail, form.current, form.next);
+      setForm(EMPTY_FORM);
+      setMessage({ type: 'success', text: 'Your password has been changed.' });
+    } catch (err) {
+      console.error('Failed to change password:', err);
+      setMessage({ type: 'error', text: err.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <form className="change-password-form" onSubmit={handleSubmit}>
+      {message && (
+        <div className={`status-message ${message.type}`}>{message.text}</div>
+      )}
+      <div className="form-group">
+        <label>Current password:</label>
+        <input
+          type="password"
+          className="form-input"
+          value={form.current}
+          onChange={updateField('current')}
+          autoComplete="current-password"
+          required
+        />
+      </div>
+      <div className="form-group">
+        <label>New password (at least {MIN_PASSWORD_LENGTH} characters):</label>
+        <input
+          type="password"
+          className="form-input"
+          value={form.next}
+          onChange={updateField('next')}
+          autoComplete="new-password"
+          required
+        />
+      </div>
+      <div className="form-group">
+        <label>Confirm new password:</label>
+        <input
+          type="password"
+          className="form-input"
+          value={form.confirm}
+          onChange={updateField('confirm')}
+          autoComplete="new-password"
+          required
+        />
+      </div>
+      <button type="submit" className="btn btn-small btn-primary" disabled={busy}>
+        {busy ? 'Saving...' : 'Change Password'}
+      </button>
+    </form>
+  );
+};
+
+export default ChangePasswordForm;
@@ -1,8 +1,56 @@
 import React, { useState, useEffect, useRef } from 'react';
-import MapView from './MapView.js';
-import { apiRequest } from './App';
+import { Link, NavLink, useMatch, useNavigate } from 'react-router-dom';
+import MapView, { CampusManager } from './MapView.js';
+import Settings from './Settings';
+import LocationHistory from './LocationHistory';
+import CampusEditor from './CampusEditor';
+import DeviceManager from './DeviceManager';
+import PairingCodePanel from './PairingCodePanel';
+import AlertFilters from './AlertFilters';
+import AlertDetailDrawer from './AlertDetailDrawer';
+import BehaviorInsights from './BehaviorInsights';
+import BehaviorFeedback from './BehaviorFeedback';
+import OrganisationConsole from './OrganisationConsole';
+import DeviceSharing from './DeviceSharing';
+import MessagesPage from './MessagesPage';
+import DemoControls from './DemoControls';
+import EmailVerificationBanner from './EmailVerificationBanner';
+import { apiRequest, testBackendConnection } from './App';
+import { createLiveChannel } from './liveChannel';
+import {
+  isRetryableError,
+  enqueueLocationUpdate,
+  countPendingLocationUpdates,
+  flushLocationQueue
+} from './locationQueue';
+import { SECTION_TYPES, fetchCampusLayout } from './campusLayout';
+import { layoutToGeoJSON, downloadGeoJSON } from './geojson';
+import { createGeofenceEngine, matchesRule, describeGeofenceEvent } from './geofenceEngine';
+import { getFixStatus, describeFixStatus } from './locationFix';
+import { getDeviceId, isMobileDevice } from './deviceIdentity';
+import { getStatus, getStatusIcon } from './deviceStatus';
+import { isShareActive, fetchSharedDevices } from './trustedContacts';
+import { precacheCampusTiles, requestLocationSync, onServiceWorkerMessage } from './offlineSupport';
+import { isDemoMode } from './demoMode';
+import {
+  DEFAULT_ALERT_FILTERS,
+  getAlertStatus,
+  formatAlertType,
+  applyAlertFilters,
+  saveAlertStatus
+} from './alertWorkflow';
+import { FEEDBACK_STATUS, isBehaviorAlert, sendBehaviorFeedback } from './behaviorLearning';
+import { isFinderReport } from './finderReports';
+import { fetchConversations, startSecurityConversation, countUnread } from './messaging';
 import config from './config';
 
+// 'connecting' until the live channel first opens; 'polling' while it is down and the dashboard polls instead
+const LIVE_STATUS_LABELS = {
+  connecting: 'CONNECTING',
+  live: 'LIVE',
+  polling: 'POLLING'
+};
+
 const Dashboard = ({ user, onLogout }) => {
   const [devices, setDevices] = useState([]);
   const [alerts, setAlerts] = useState([]);
@@ -11,8 +59,12 @@ const Dashboard = ({ user, onLogout }) => {
   const [userLocation, setUserLocation] = useState(null);
   const locationWatcherRef = useRef(null);
   const locationIntervalRef = useRef(null);
+  const lostModeFixRef = useRef(null);
+  const lostModeRef = useRef(false);
   const [deviceCheckComplete, setDeviceCheckComplete] = useState(false);
   const [showAllAlerts, setShowAllAlerts] = useState(false);
+  const [alertFilters, setAlertFilters] = useState(DEFAULT_ALERT_FILTERS);
+  const [alertError, setAlertError] = useState('');
   const [behaviorProgress, setBehaviorProgress] = useState(0);
   const [behaviorSummary, setBehaviorSummary] = useState(null);
   const [learningActive, setLearningActive] = useState(false);
@@ -20,30 +72,320 @@ const Dashboard = ({ user, onLogout }) => {
   const [locationUpdates, setLocationUpdates] = useState(0);
   const [realTimeDevices, setRealTimeDevices] = useState({});
   const deviceUpdateTimeoutRef = useRef(null);
-  const [desktopLocationAttempts, setDesktopLocationAttempts] = useState(0);
-  const [desktopSimulatedMovement, setDesktopSimulatedMovement] = useState({});
+  const pollIntervalRef = useRef(null);
+  const [liveStatus, setLiveStatus] = useState('connecting');
+  const [historyTrail, setHistoryTrail] = useState(null);
+  const [pendingUpdates, setPendingUpdates] = useState(0);
+  const pendingUpdatesRef = useRef(0);
+  const [campusLayout, setCampusLayout] = useState(null);
+  const [showPairing, setShowPairing] = useState(false);
+  const mapCampusManagerRef = useRef(null);
+  const geofenceEngineRef = useRef(createGeofenceEngine());
+  const [geofenceRules, setGeofenceRules] = useState([]);
+  const devicesRef = useRef([]);
+  const [sharedDevices, setSharedDevices] = useState([]);
+  const sharedDevicesRef = useRef([]);
+  const [conversations, setConversations] = useState([]);
+  const desktopFixInFlightRef = useRef(false);
+  const hasDesktopFixRef = useRef(false);
+  const deviceMatch = useMatch('/devices/:deviceId');
+  const alertsMatch = useMatch('/alerts');
+  const alertMatch = useMatch('/alerts/:alertId');
+  const settingsMatch = useMatch('/settings');
+  const deviceManagerMatch = useMatch('/devices');
+  const campusEditorMatch = useMatch('/campus');
+  const insightsMatch = useMatch('/insights');
+  const organisationMatch = useMatch('/organisation');
+  const messagesMatch = useMatch('/messages');
+  const conversationMatch = useMatch('/messages/:conversationId');
+  const isAdmin = user.role === 'admin';
+  const selectedDeviceId = deviceMatch?.params.deviceId || null;
+  const selectedAlertId = alertMatch?.params.alertId || null;
+  const selectedConversationId = conversationMatch?.params.conversationId || null;
+  const isMessagesView = !!(messagesMatch || conversationMatch);
+  const isAlertsView = !!(alertsMatch || alertMatch);
+  const navigate = useNavigate();
 
   useEffect(() => {
     initializeDeviceTracking();
     fetchDevices();
     fetchAlerts();
+    loadSharedDevices();
+    loadConversations();
+    loadCampusLayout();
+    loadGeofenceRules();
     startBehaviorMonitoring();
 
-    const interval = setInterval(() => {
-      fetchDevices();
-      fetchAlerts();
-      fetchBehaviorProgress();
-    }, 3000);
+    let liveChannel = null;
+    if (config.LIVE_UPDATES.ENABLED) {
+      liveChannel = createLiveChannel({
+        email: user.email,
+        onEvent: handleLiveEvent,
+        onStatusChange: handleLiveStatusChange
+      });
+    } else {
+      handleLiveStatusChange('disconnected');
+    }
 
     return () => {
       stopAutomaticLocationUpdates();
-      clearInterval(interval);
+      stopPolling();
+      if (liveChannel) {
+        liveChannel.close();
+      }
       if (deviceUpdateTimeoutRef.current) {
         clearTimeout(deviceUpdateTimeoutRef.current);
       }
     };
   }, [user]);
 
+  useEffect(() => {
+    devicesRef.current = devices;
+  }, [devices]);
+
+  useEffect(() => {
+    sharedDevicesRef.current = sharedDevices;
+  }, [sharedDevices]);
+
+  // Replay location updates queued while offline (including ones left over from a previous session)
+  useEffect(() => {
+    countPendingLocationUpdates().then(updatePendingCount);
+
+    const handleOnline = () => replayQueuedLocationUpdates();
+    window.addEventListener('online', handleOnline);
+    const stopSyncListener = onServiceWorkerMessage('flush_location_queue', handleOnline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      stopSyncListener();
+    };
+  }, []);
+
+  const hasPendingUpdates = pendingUpdates > 0;
+
+  useEffect(() => {
+    if (!hasPendingUpdates) return;
+
+    replayQueuedLocationUpdates();
+    const retryInterval = setInterval(replayQueuedLocationUpdates, config.OFFLINE_QUEUE.RETRY_INTERVAL);
+    return () => clearInterval(retryInterval);
+  }, [hasPendingUpdates]);
+
+  const updatePendingCount = (count) => {
+    pendingUpdatesRef.current = count;
+    setPendingUpdates(count);
+  };
+
+  const replayQueuedLocationUpdates = async () => {
+    const connected = await testBackendConnection();
+    if (!connected) return;
+
+    try {
+      const remaining = await flushLocationQueue(sendLocationUpdate);
+      updatePendingCount(remaining);
+      if (remaining === 0) {
+        console.log('✅ All queued location updates delivered');
+        fetchDevices();
+      }
+    } catch (err) {
+      console.error('Failed to replay queued location updates:', err);
+    }
+  };
+
+  const queueLocationUpdate = async (payload) => {
+    try {
+      await enqueueLocationUpdate({ ...payload, queued: true });
+      updatePendingCount(await countPendingLocationUpdates());
+      requestLocationSync().catch(err => console.error('Failed to register background sync:', err));
+    } catch (err) {
+      console.error('Failed to queue location update:', err);
+    }
+  };
+
+  const startPolling = () => {
+    if (pollIntervalRef.current) return;
+
+    console.log('📡 Live channel unavailable, polling for updates');
+    pollIntervalRef.current = setInterval(() => {
+      fetchDevices();
+      fetchAlerts();
+      fetchBehaviorProgress();
+      loadSharedDevices();
+      loadConversations();
+    }, config.LIVE_UPDATES.POLL_INTERVAL);
+  };
+
+  const stopPolling = () => {
+    if (pollIntervalRef.current) {
+      clearInterval(pollIntervalRef.current);
+      pollIntervalRef.current = null;
+    }
+  };
+
+  const handleLiveStatusChange = (status) => {
+    if (status === 'live') {
+      stopPolling();
+      setLiveStatus('live');
+      // Catch up on anything that changed while the stream was down
+      fetchDevices();
+      fetchAlerts();
+      fetchBehaviorProgress();
+      loadSharedDevices();
+      loadConversations();
+    } else if (status === 'disconnected') {
+      startPolling();
+      setLiveStatus('polling');
+    }
+  };
+
+  const applyLocationEvent = (data) => (device) => (
+    device.device_id === data.device_id
+      ? {
+          ...device,
+          last_location: data.location,
+          last_updated: data.last_updated || new Date().toISOString(),
+          is_active: true
+        }
+      : device
+  );
+
+  const handleLiveEvent = (type, data) => {
+    switch (type) {
+      case 'device_location':
+        // Contacts' devices arrive on the same stream as our own
+        if (sharedDevicesRef.current.some(device => device.device_id === data.device_id)) {
+          setSharedDevices(prevDevices => prevDevices.map(applyLocationEvent(data)));
+          break;
+        }
+        // A device we haven't seen yet needs its full record, not just a position
+        if (!devicesRef.current.some(device => device.device_id === data.device_id)) {
+          fetchDevices();
+          break;
+        }
+        setDevices(prevDevices => prevDevices.map(applyLocationEvent(data)));
+        break;
+      case 'share_changed':
+        loadSharedDevices();
+        break;
+      // Only unread counts and ordering change; an open thread refetches itself from the new summary
+      case 'message':
+      case 'conversation_read':
+        loadConversations();
+        break;
+      case 'alert':
+        setAlerts(prevAlerts => {
+          const alertId = data.alert_id || data._id;
+          if (alertId && prevAlerts.some(alert => (alert.alert_id || alert._id) === alertId)) {
+            return prevAlerts;
+          }
+          return [...prevAlerts, data];
+        });
+        break;
+      case 'alert_status':
+        setAlerts(prevAlerts => prevAlerts.map(alert =>
+          data.alert_ids.includes(getAlertId(alert))
+            ? {
+              ...alert,
+              status: data.status,
+              status_updated_at: data.status_updated_at,
+              ...(data.feedback ? { feedback: data.feedback } : {})
+            }
+            : alert
+        ));
+        break;
+      case 'behavior_progress':
+        setBehaviorProgress(data.learning_progress);
+        setBehaviorSummary(data.behavior_summary);
+        if (data.learning_progress >= 100) {
+          setLearningActive(false);
+        }
+        break;
+      default:
+        break;
+    }
+  };
+
+  const loadCampusLayout = async () => {
+    try {
+      setCampusLayout(await fetchCampusLayout());
+    } catch (err) {
+      console.error('Failed to load campus layout, using generated sections:', err);
+    }
+  };
+
+  const loadGeofenceRules = async () => {
+    try {
+      const response = await apiRequest(`/geofence/rules/${user.email}`);
+      const data = await response.json();
+      setGeofenceRules(data.rules || []);
+    } catch (err) {
+      console.error('Failed to load geofence rules:', err);
+    }
+  };
+
+  const saveGeofenceRules = async (rules) => {
+    const response = await apiRequest(`/geofence/rules/${user.email}`, {
+      method: 'PUT',
+      body: JSON.stringify({ rules }),
+    });
+    const data = await response.json();
+    setGeofenceRules(data.rules || rules);
+  };
+
+  // A saved layout is available before the map mounts; the generated one only exists once MapView builds it
+  const getGeofenceCampusManager = () => {
+    if (campusLayout && campusLayout.length > 0) {
+      return new CampusManager(null, campusLayout);
+    }
+    return mapCampusManagerRef.current;
+  };
+
+  const reportGeofenceEvents = (events) => {
+    const geofenceAlerts = events.map(event => {
+      const rule = geofenceRules.find(candidate => matchesRule(candidate, event));
+      return {
+        alert_id: event.event_id,
+        type: `geofence_${event.event}`,
+        device_id: event.device_id,
+        section_id: event.section_id,
+        rule_id: rule ? rule.rule_id : null,
+        severity: rule ? 'high' : 'low',
+        message: describeGeofenceEvent(event),
+        location: event.location,
+        created_at: event.timestamp
+      };
+    });
+
+    setAlerts(prevAlerts => [
+      ...prevAlerts,
+      ...geofenceAlerts.filter(alert => !prevAlerts.some(existing => getAlertId(existing) === alert.alert_id))
+    ]);
+
+    events.forEach((event, index) => {
+      apiRequest('/geofence/events', {
+        method: 'POST',
+        body: JSON.stringify({
+          ...event,
+          email: user.email,
+          rule_id: geofenceAlerts[index].rule_id,
+          severity: geofenceAlerts[index].severity
+        }),
+      }).catch(err => console.error('Failed to send geofence event:', err));
+    });
+  };
+
+  // Section ids change with the layout, so membership has to be rebuilt rather than reported as exits
+  useEffect(() => {
+    geofenceEngineRef.current.reset();
+  }, [campusLayout]);
+
+  useEffect(() => {
+    const events = geofenceEngineRef.current.update(getMergedDevices(), getGeofenceCampusManager());
+    if (events.length > 0) {
+      events.forEach(event => console.log('🚧 Geofence:', describeGeofenceEvent(event)));
+      reportGeofenceEvents(events);
+    }
+  }, [devices, realTimeDevices, campusLayout]);
+
   const startBehaviorMonitoring = () => {
     setLearningActive(true);
     console.log('🎯 Behavior learning monitoring started');
@@ -66,24 +408,9 @@ const Dashboard = ({ user, onLogout }) => {
     }
   };
 
-  const simulateLearningComplete = async () => {
-    try {
-      const response = await apiRequest(`/behavior/simulate_complete/${user.email}`, {
-        method: 'POST'
-      });
-      
-      if (response.ok) {
-        setBehaviorProgress(100);
-        setLearningActive(false);
-        alert('🎉 Behavior learning simulated as complete for demo!');
-      }
-    } catch (err) {
-      console.error('Failed to simulate learning complete:', err);
-    }
-  };
 
   const initializeDeviceTracking = async () => {
-    const deviceId = await getCurrentDeviceId();
+    const deviceId = getDeviceId();
     setCurrentDeviceId(deviceId);
     
     const deviceExists = await checkDeviceExists(deviceId);
@@ -98,18 +425,6 @@ const Dashboard = ({ user, onLogout }) => {
     }
   };
 
-  const getCurrentDeviceId = async () => {
-    if (user.device_info?.device_id) {
-      return user.device_info.device_id;
-    }
-    
-    const userAgent = navigator.userAgent;
-    const isMobile = isMobileDevice();
-    const deviceId = `device_${user.email}_${isMobile ? 'mobile' : 'laptop'}_${btoa(userAgent).slice(0, 10)}`;
-    
-    return deviceId;
-  };
-
   const checkDeviceExists = async (deviceId) => {
     try {
       const response = await apiRequest(`/devices/${user.email}`);
@@ -123,24 +438,20 @@ const Dashboard = ({ user, onLogout }) => {
     }
   };
 
-  const isMobileDevice = () => {
-    return /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
-  };
-
   const startAdvancedLocationTracking = (deviceId) => {
     console.log('Starting advanced location tracking for device:', deviceId);
     
     if (isMobileDevice()) {
       startMobileGPSTracking(deviceId);
     } else {
-      startEnhancedDesktopLocationTracking(deviceId);
+      startDesktopLocationTracking(deviceId);
     }
   };
 
   const startMobileGPSTracking = (deviceId) => {
     if (!navigator.geolocation) {
       console.warn('Geolocation not supported, falling back to desktop mode');
-      startEnhancedDesktopLocationTracking(deviceId);
+      startDesktopLocationTracking(deviceId);
       return;
     }
 
@@ -154,7 +465,7 @@ const Dashboard = ({ user, onLogout }) => {
       },
       (error) => {
         console.error('Initial GPS fix failed:', error);
-        startEnhancedDesktopLocationTracking(deviceId);
+        startDesktopLocationTracking(deviceId);
       },
       {
         enableHighAccuracy: true,
@@ -173,7 +484,7 @@ const Dashboard = ({ user, onLogout }) => {
         // Don't fall back immediately, try a few times
         setTimeout(() => {
           if (locationStatus === 'tracking_mobile_gps') {
-            startEnhancedDesktopLocationTracking(deviceId);
+            startDesktopLocationTracking(deviceId);
           }
         }, 30000);
       },
@@ -223,313 +534,153 @@ const Dashboard = ({ user, onLogout }) => {
     updateDeviceLocation(deviceId, location);
   };
 
-  const startEnhancedDesktopLocationTracking = async (deviceId) => {
-    console.log('🚀 Starting ENHANCED desktop location tracking with simulated movement');
-    setLocationStatus('tracking_desktop_enhanced');
+  const startDesktopLocationTracking = async (deviceId) => {
+    console.log('💻 Starting desktop location tracking');
+    setLocationStatus('tracking_desktop');
+
+    await updateDesktopLocation(deviceId);
+    startDesktopUpdateInterval(deviceId);
+  };
+
+  const startDesktopUpdateInterval = (deviceId) => {
+    if (locationIntervalRef.current) {
+      clearInterval(locationIntervalRef.current);
+    }
 
-    // Get initial location with multiple attempts
-    await getDesktopInitialLocation(deviceId);
+    const interval = lostModeRef.current
+      ? config.TRACKING.LOST_DESKTOP_UPDATE_INTERVAL
+      : config.TRACKING.DESKTOP_UPDATE_INTERVAL;
 
-    // Set up enhanced periodic updates with simulated movement
     locationIntervalRef.current = setInterval(async () => {
-      await updateEnhancedDesktopLocation(deviceId);
-    }, 2000); // Update every 2 seconds for responsiveness
+      await updateDesktopLocation(deviceId);
+    }, interval);
   };
 
-  const getDesktopInitialLocation = async (deviceId) => {
-    let locationFound = false;
-    
-    // Try browser geolocation first
-    if (navigator.geolocation) {
-      try {
-        const position = await new Promise((resolve, reject) => {
-          navigator.geolocation.getCurrentPosition(resolve, reject, {
-            enableHighAccuracy: false,
-            timeout: 5000,
-            maximumAge: 0
-          });
-        });
-        
-        const location = {
-          latitude: position.coords.latitude,
-          longitude: position.coords.longitude,
-          accuracy: position.coords.accuracy || 100,
-          city: 'Browser Geolocation',
-          country: 'GPS from Browser',
-          location_type: 'browser_geolocation',
-          timestamp: new Date().toISOString(),
-          source: 'browser_geolocation',
-          is_mobile: false,
-          gps_quality: getGPSQuality(position.coords.accuracy || 100),
-          is_active: true
-        };
-        
-        updateRealTimeDevice(deviceId, location);
-        await updateDeviceLocation(deviceId, location);
-        locationFound = true;
-        setDesktopLocationAttempts(0);
-        
-        // Initialize simulated movement
-        setDesktopSimulatedMovement(prev => ({
-          ...prev,
-          [deviceId]: {
-            baseLat: location.latitude,
-            baseLng: location.longitude,
-            offsetLat: 0,
-            offsetLng: 0,
-            direction: Math.random() * 360
-          }
-        }));
-        
-      } catch (error) {
-        console.log('Browser geolocation failed, trying network services:', error);
-      }
+  const applyLostModeCadence = (deviceId, isLost) => {
+    lostModeRef.current = isLost;
+    console.log(isLost ? '🚨 Device reported lost, escalating tracking' : 'Device found, restoring normal tracking');
+
+    if (locationIntervalRef.current) {
+      startDesktopUpdateInterval(deviceId);
     }
-    
-    // If browser geolocation failed, try network services
-    if (!locationFound) {
-      await updateNetworkLocation(deviceId);
+
+    if (lostModeFixRef.current) {
+      clearInterval(lostModeFixRef.current);
+      lostModeFixRef.current = null;
+    }
+
+    if (isLost && locationWatcherRef.current && navigator.geolocation) {
+      lostModeFixRef.current = setInterval(() => {
+        navigator.geolocation.getCurrentPosition(
+          async (position) => {
+            await processGPSLocation(deviceId, position, 'lost_mode_gps');
+          },
+          (error) => console.error('Lost mode GPS fix failed:', error),
+          { enableHighAccuracy: true, timeout: 10000, maximumAge: 0 }
+        );
+      }, config.TRACKING.LOST_MOBILE_FIX_INTERVAL);
     }
   };
 
-  const updateEnhancedDesktopLocation = async (deviceId) => {
+  // Only real fixes are reported. When the browser and every lookup service fail nothing is sent,
+  // and the last fix is left to age into "stale" on the map instead of being nudged to look live.
+  const updateDesktopLocation = async (deviceId) => {
+    if (desktopFixInFlightRef.current) return;
+    desktopFixInFlightRef.current = true;
+
     try {
-      const networkLocation = await getNetworkBasedLocation();
-      
-      // Apply simulated movement for better UX
-      const enhancedLocation = applySimulatedMovement(deviceId, networkLocation);
-      enhancedLocation.is_active = true;
-      
-      // Update with simulated movement
-      updateRealTimeDevice(deviceId, enhancedLocation);
-      await updateDeviceLocation(deviceId, enhancedLocation);
-      
-    } catch (error) {
-      console.error('Network location update failed:', error);
-      // Even if failed, update with simulated movement to keep device "active"
-      const lastLocation = realTimeDevices[deviceId]?.last_location;
-      if (lastLocation) {
-        const simulatedLocation = applySimulatedMovement(deviceId, lastLocation);
-        simulatedLocation.is_active = true;
-        updateRealTimeDevice(deviceId, simulatedLocation);
+      const location = await getBrowserLocation() || await getNetworkBasedLocation();
+      if (!location) {
+        console.warn('No location fix available for this device');
+        setLocationStatus(hasDesktopFixRef.current ? 'desktop_no_fix' : 'location_unknown');
+        return;
       }
-    }
-  };
 
-  const applySimulatedMovement = (deviceId, baseLocation) => {
-    // Get or initialize simulated movement state
-    let movement = desktopSimulatedMovement[deviceId];
-    
-    if (!movement) {
-      movement = {
-        baseLat: baseLocation.latitude,
-        baseLng: baseLocation.longitude,
-        offsetLat: 0,
-        offsetLng: 0,
-        direction: Math.random() * 360,
-        moveCounter: 0
-      };
-      setDesktopSimulatedMovement(prev => ({
-        ...prev,
-        [deviceId]: movement
-      }));
-    }
-    
-    // Small random movement (simulating network variation)
-    const moveAmount = 0.00001; // About 1 meter
-    const changeDirection = Math.random() < 0.1; // 10% chance to change direction
-    
-    if (changeDirection) {
-      movement.direction = (movement.direction + (Math.random() * 90 - 45)) % 360;
+      hasDesktopFixRef.current = true;
+      setLocationStatus('tracking_desktop');
+      updateRealTimeDevice(deviceId, location);
+      await updateDeviceLocation(deviceId, location);
+    } finally {
+      desktopFixInFlightRef.current = false;
     }
-    
-    // Convert direction to lat/lng offsets
-    const rad = movement.direction * Math.PI / 180;
-    movement.offsetLat += Math.cos(rad) * moveAmount;
-    movement.offsetLng += Math.sin(rad) * moveAmount;
-    
-    // Occasionally reset to base position
-    movement.moveCounter++;
-    if (movement.moveCounter > 50) {
-      movement.offsetLat = 0;
-      movement.offsetLng = 0;
-      movement.moveCounter = 0;
-      movement.direction = Math.random() * 360;
-    }
-    
-    // Apply offset
-    const movedLocation = {
-      ...baseLocation,
-      latitude: movement.baseLat + movement.offsetLat,
-      longitude: movement.baseLng + movement.offsetLng,
-      source: 'network_with_simulation',
-      location_type: 'network_simulated',
-      gps_quality: 'moderate',
-      accuracy: baseLocation.accuracy || 50,
-      timestamp: new Date().toISOString(),
-      is_mobile: false,
-      is_active: true,
-      simulated_movement: true
-    };
-    
-    // Update movement state
-    setDesktopSimulatedMovement(prev => ({
-      ...prev,
-      [deviceId]: movement
-    }));
-    
-    return movedLocation;
   };
 
-  const updateNetworkLocation = async (deviceId) => {
+  const getBrowserLocation = async () => {
+    if (!navigator.geolocation) return null;
+
     try {
-      const networkLocation = await getNetworkBasedLocation();
-      networkLocation.is_active = true;
-      
-      // Initialize simulated movement if not exists
-      if (!desktopSimulatedMovement[deviceId]) {
-        setDesktopSimulatedMovement(prev => ({
-          ...prev,
-          [deviceId]: {
-            baseLat: networkLocation.latitude,
-            baseLng: networkLocation.longitude,
-            offsetLat: 0,
-            offsetLng: 0,
-            direction: Math.random() * 360,
-            moveCounter: 0
-          }
-        }));
-      }
-      
-      updateRealTimeDevice(deviceId, networkLocation);
-      await updateDeviceLocation(deviceId, networkLocation);
+      const position = await new Promise((resolve, reject) => {
+        navigator.geolocation.getCurrentPosition(resolve, reject, {
+          enableHighAccuracy: false,
+          timeout: 5000,
+          maximumAge: 0
+        });
+      });
+
+      return {
+        latitude: position.coords.latitude,
+        longitude: position.coords.longitude,
+        accuracy: position.coords.accuracy,
+        city: 'Browser Geolocation',
+        country: 'GPS from Browser',
+        location_type: 'browser_geolocation',
+        timestamp: new Date(position.timestamp).toISOString(),
+        source: 'browser_geolocation',
+        is_mobile: false,
+        gps_quality: getGPSQuality(position.coords.accuracy),
+        is_active: true
+      };
     } catch (error) {
-      console.error('Network location update failed:', error);
-      // Even if failed, mark device as active to prevent "offline" status
-      const lastLocation = realTimeDevices[deviceId]?.last_location;
-      if (lastLocation) {
-        const simulatedLocation = applySimulatedMovement(deviceId, lastLocation);
-        simulatedLocation.is_active = true;
-        updateRealTimeDevice(deviceId, simulatedLocation);
-      }
+      console.log('Browser geolocation failed, trying network services:', error.message);
+      return null;
     }
   };
 
+  // IP lookups only place the connection's city or ISP, so the large accuracy radius is part of the answer
   const getNetworkBasedLocation = async () => {
-    try {
-      // Try multiple location services with priority
-      const services = [
-        {
-          url: 'https://ipapi.co/json/',
-          priority: 1
-        },
-        {
-          url: 'https://api.ipgeolocation.io/ipgeo?apiKey=demo',
-          priority: 2
-        },
-        {
-          url: 'https://ipinfo.io/json?token=demo',
-          priority: 3
-        },
-        {
-          url: 'https://extreme-ip-lookup.com/json/',
-          priority: 4
-        }
-      ];
+    const services = [
+      'https://ipapi.co/json/',
+      'https://api.ipgeolocation.io/ipgeo?apiKey=demo',
+      'https://ipinfo.io/json?token=demo',
+      'https://extreme-ip-lookup.com/json/'
+    ];
 
-      services.sort((a, b) => a.priority - b.priority);
+    for (const url of services) {
+      try {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), 2000);
 
-      for (const service of services) {
-        try {
-          const controller = new AbortController();
-          const timeoutId = setTimeout(() => controller.abort(), 2000);
-          
-          const response = await fetch(service.url, { 
-            signal: controller.signal 
-          });
-          clearTimeout(timeoutId);
-          
-          if (response.ok) {
-            const data = await response.json();
-            
-            if (data.latitude && data.longitude) {
-              const accuracy = data.accuracy || (data.city ? 500 : 1000);
-              return {
-                latitude: parseFloat(data.latitude),
-                longitude: parseFloat(data.longitude),
-                accuracy: accuracy,
-                city: data.city || data.region || 'Unknown',
-                country: data.country_name || data.country || 'Unknown',
-                location_type: 'network_ip',
-                timestamp: new Date().toISOString(),
-                source: 'network_geolocation',
-                is_mobile: false,
-                gps_quality: getGPSQuality(accuracy),
-                is_active: true,
-                simulated_movement: false
-              };
-            }
+        const response = await fetch(url, {
+          signal: controller.signal
+        });
+        clearTimeout(timeoutId);
+
+        if (response.ok) {
+          const data = await response.json();
+
+          if (data.latitude && data.longitude) {
+            const accuracy = data.accuracy || (data.city ? 5000 : 25000);
+            return {
+              latitude: parseFloat(data.latitude),
+              longitude: parseFloat(data.longitude),
+              accuracy: accuracy,
+              city: data.city || data.region || 'Unknown',
+              country: data.country_name || data.country || 'Unknown',
+              location_type: 'network_ip',
+              timestamp: new Date().toISOString(),
+              source: 'network_geolocation',
+              is_mobile: false,
+              gps_quality: getGPSQuality(accuracy),
+              is_active: true
+            };
           }
-        } catch (error) {
-          console.log(`Service ${service.url} failed:`, error.message);
-          continue;
         }
+      } catch (error) {
+        console.log(`Service ${url} failed:`, error.message);
       }
-
-      // Fallback with movement for better UX
-      const lastLocation = realTimeDevices[currentDeviceId]?.last_location;
-      if (lastLocation && desktopLocationAttempts < 10) {
-        const latVariation = (Math.random() - 0.5) * 0.0001;
-        const lngVariation = (Math.random() - 0.5) * 0.0001;
-        
-        return {
-          latitude: lastLocation.latitude + latVariation,
-          longitude: lastLocation.longitude + lngVariation,
-          accuracy: 1000,
-          city: 'Simulated Location',
-          country: 'Network Fallback',
-          location_type: 'network_simulated',
-          timestamp: new Date().toISOString(),
-          source: 'network_simulation',
-          is_mobile: false,
-          gps_quality: 'moderate',
-          is_active: true,
-          simulated_movement: true
-        };
-      }
-
-      // Final fallback
-      return {
-        latitude: 6.9271 + (Math.random() - 0.5) * 0.001,
-        longitude: 79.8612 + (Math.random() - 0.5) * 0.001,
-        accuracy: 1500,
-        city: 'Colombo',
-        country: 'Sri Lanka',
-        location_type: 'network_fallback',
-        timestamp: new Date().toISOString(),
-        source: 'fallback',
-        is_mobile: false,
-        gps_quality: 'moderate',
-        is_active: true,
-        simulated_movement: false
-      };
-    } catch (error) {
-      console.error('All network location services failed:', error);
-      return {
-        latitude: 6.9271,
-        longitude: 79.8612,
-        accuracy: 2000,
-        city: 'Colombo',
-        country: 'Sri Lanka',
-        location_type: 'default',
-        timestamp: new Date().toISOString(),
-        source: 'default_fallback',
-        is_mobile: false,
-        gps_quality: 'poor',
-        is_active: true,
-        simulated_movement: false
-      };
     }
+
+    return null;
   };
 
   const updateRealTimeDevice = (deviceId, location) => {
@@ -542,22 +693,33 @@ const Dashboard = ({ user, onLogout }) => {
         last_location: location,
         last_updated: new Date().toISOString(),
         is_mobile: location.is_mobile || false,
-        is_active: location.is_active || true,
-        simulated_movement: location.simulated_movement || false
+        is_active: location.is_active || true
       }
     }));
   };
 
+  const sendLocationUpdate = (payload) => {
+    return apiRequest('/update_device_location', {
+      method: 'POST',
+      body: JSON.stringify(payload),
+    });
+  };
+
   const updateDeviceLocation = async (deviceId, location) => {
+    const payload = {
+      email: user.email,
+      device_id: deviceId,
+      location: location
+    };
+
+    // Anything sent now would overtake the backlog, so queue behind it to keep the history in order
+    if (pendingUpdatesRef.current > 0) {
+      await queueLocationUpdate(payload);
+      return;
+    }
+
     try {
-      const response = await apiRequest('/update_device_location', {
-        method: 'POST',
-        body: JSON.stringify({
-          email: user.email,
-          device_id: deviceId,
-          location: location
-        }),
-      });
+      const response = await sendLocationUpdate(payload);
 
       if (response.ok) {
         const result = await response.json();
@@ -571,8 +733,7 @@ const Dashboard = ({ user, onLogout }) => {
                   last_location: location,
                   last_updated: new Date().toISOString(),
                   is_mobile: location.is_mobile || false,
-                  is_active: true,
-                  simulated_movement: location.simulated_movement || false
+                  is_active: true
                 }
               : device
           );
@@ -586,8 +747,7 @@ const Dashboard = ({ user, onLogout }) => {
               last_location: location,
               last_updated: new Date().toISOString(),
               is_mobile: location.is_mobile || false,
-              is_active: true,
-              simulated_movement: location.simulated_movement || false
+              is_active: true
             };
             return [...updatedDevices, newDevice];
           }
@@ -609,14 +769,8 @@ const Dashboard = ({ user, onLogout }) => {
       }
     } catch (err) {
       console.error('Failed to update device location:', err);
-      // Keep device marked as active even if backend fails
-      const lastLocation = realTimeDevices[deviceId]?.last_location;
-      if (lastLocation) {
-        updateRealTimeDevice(deviceId, {
-          ...lastLocation,
-          is_active: true,
-          timestamp: new Date().toISOString()
-        });
+      if (isRetryableError(err)) {
+        await queueLocationUpdate(payload);
       }
     }
   };
@@ -624,9 +778,15 @@ const Dashboard = ({ user, onLogout }) => {
   const stopAutomaticLocationUpdates = () => {
     if (locationWatcherRef.current) {
       navigator.geolocation.clearWatch(locationWatcherRef.current);
+      locationWatcherRef.current = null;
     }
     if (locationIntervalRef.current) {
       clearInterval(locationIntervalRef.current);
+      locationIntervalRef.current = null;
+    }
+    if (lostModeFixRef.current) {
+      clearInterval(lostModeFixRef.current);
+      lostModeFixRef.current = null;
     }
     console.log('Stopped all location tracking');
   };
@@ -653,8 +813,7 @@ const Dashboard = ({ user, onLogout }) => {
               last_location: realTimeDevice.last_location,
               last_updated: realTimeDevice.last_updated,
               is_mobile: realTimeDevice.is_mobile || backendDevice.is_mobile,
-              is_active: true,
-              simulated_movement: realTimeDevice.simulated_movement || false
+              is_active: true
             };
           }
         }
@@ -664,8 +823,7 @@ const Dashboard = ({ user, onLogout }) => {
         
         return {
           ...backendDevice,
-          is_active: deviceAge < 60,
-          simulated_movement: backendDevice.simulated_movement || false
+          is_active: deviceAge < 60
         };
       });
       
@@ -691,6 +849,33 @@ const Dashboard = ({ user, onLogout }) => {
     }
   };
 
+  const loadSharedDevices = async () => {
+    try {
+      setSharedDevices(await fetchSharedDevices(user.email));
+    } catch (err) {
+      console.error('Failed to fetch shared devices:', err);
+    }
+  };
+
+  const loadConversations = async () => {
+    try {
+      setConversations(await fetchConversations());
+    } catch (err) {
+      console.error('Failed to fetch conversations:', err);
+    }
+  };
+
+  const contactSecurity = async (device) => {
+    try {
+      const conversation = await startSecurityConversation(device.device_id);
+      await loadConversations();
+      navigate(`/messages/${conversation.conversation_id}`);
+    } catch (err) {
+      console.error('Failed to contact campus security:', err);
+      alert(`Failed to contact campus security: ${err.message}`);
+    }
+  };
+
   const fetchAlerts = async () => {
     try {
       const response = await apiRequest(`/alerts/${user.email}`);
@@ -701,25 +886,75 @@ const Dashboard = ({ user, onLogout }) => {
     }
   };
 
-  const getStatus = (device) => {
-    if (device.is_active === false) return 'offline';
-    
-    if (!device.last_updated) return 'offline';
-    
-    const lastUpdate = new Date(device.last_updated);
-    const now = new Date();
-    const diffSeconds = (now - lastUpdate) / 1000;
-    
-    if (device.is_mobile) {
-      if (diffSeconds > 45) return 'offline';
-      if (diffSeconds > 25) return 'warning';
-    } else {
-      // Desktop devices have more lenient thresholds
-      if (diffSeconds > 120) return 'offline';
-      if (diffSeconds > 60) return 'warning';
+  const handleDeviceRemoved = (deviceId) => {
+    // Filter locally: a refetch from this render would merge the stale real-time entry straight back in
+    setDevices(prevDevices => prevDevices.filter(device => device.device_id !== deviceId));
+    setRealTimeDevices(prev => {
+      const { [deviceId]: removed, ...rest } = prev;
+      return rest;
+    });
+
+    if (deviceId === currentDeviceId) {
+      stopAutomaticLocationUpdates();
+      setLocationStatus('waiting_for_setup');
+    }
+  };
+
+  const markDeviceLost = async (device) => {
+    const deviceName = device.device_name || device.device_id;
+    if (!window.confirm(`Mark "${deviceName}" as lost? It will be tracked more frequently until it is found.`)) {
+      return;
+    }
+
+    const lostSince = new Date().toISOString();
+    try {
+      await apiRequest(`/devices/${device.device_id}/lost`, {
+        method: 'POST',
+        body: JSON.stringify({
+          email: user.email,
+          lost_since: lostSince,
+          last_location: device.last_location || null
+        }),
+      });
+
+      setDevices(prevDevices => prevDevices.map(d =>
+        d.device_id === device.device_id ? { ...d, is_lost: true, lost_since: lostSince } : d
+      ));
+    } catch (err) {
+      console.error('Failed to mark device as lost:', err);
+      alert(`Failed to mark device as lost: ${err.message}`);
+    }
+  };
+
+  const markDeviceFound = async (device) => {
+    const foundAt = new Date().toISOString();
+    try {
+      await apiRequest(`/devices/${device.device_id}/found`, {
+        method: 'POST',
+        body: JSON.stringify({
+          email: user.email,
+          lost_since: device.lost_since,
+          found_at: foundAt,
+          location: device.last_location || null
+        }),
+      });
+
+      setDevices(prevDevices => prevDevices.map(d =>
+        d.device_id === device.device_id ? { ...d, is_lost: false, lost_since: null, found_at: foundAt } : d
+      ));
+      fetchAlerts();
+    } catch (err) {
+      console.error('Failed to mark device as found:', err);
+      alert(`Failed to mark device as found: ${err.message}`);
     }
-    
-    return 'safe';
+  };
+
+  const getLostDuration = (lostSince) => {
+    const minutes = Math.floor((Date.now() - new Date(lostSince).getTime()) / 60000);
+    if (minutes < 60) return `${minutes}m`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours}h ${minutes % 60}m`;
+    return `${Math.floor(hours / 24)}d ${hours % 24}h`;
   };
 
   const getGPSQuality = (accuracy) => {
@@ -751,8 +986,7 @@ const Dashboard = ({ user, onLogout }) => {
             source: 'manual_gps_high_accuracy',
             is_mobile: isMobileDevice(),
             gps_quality: getGPSQuality(position.coords.accuracy),
-            is_active: true,
-            simulated_movement: false
+            is_active: true
           };
           
           updateRealTimeDevice(currentDeviceId, location);
@@ -762,12 +996,11 @@ const Dashboard = ({ user, onLogout }) => {
           });
           
           await updateDeviceLocation(currentDeviceId, location);
-          setLocationStatus(isMobileDevice() ? 'tracking_mobile_gps' : 'tracking_desktop_enhanced');
+          setLocationStatus(isMobileDevice() ? 'tracking_mobile_gps' : 'tracking_desktop');
         },
         async (error) => {
           console.error('Manual high accuracy location failed:', error);
-          await updateEnhancedDesktopLocation(currentDeviceId);
-          setLocationStatus('tracking_desktop_enhanced');
+          await updateDesktopLocation(currentDeviceId);
         },
         { 
           enableHighAccuracy: true, 
@@ -776,8 +1009,7 @@ const Dashboard = ({ user, onLogout }) => {
         }
       );
     } else {
-      await updateEnhancedDesktopLocation(currentDeviceId);
-      setLocationStatus('tracking_desktop_enhanced');
+      await updateDesktopLocation(currentDeviceId);
     }
   };
 
@@ -785,8 +1017,12 @@ const Dashboard = ({ user, onLogout }) => {
     switch(locationStatus) {
       case 'tracking_mobile_gps': 
         return `🛰️ Live GPS Tracking (Accuracy: ±${gpsAccuracy ? Math.round(gpsAccuracy) : '?'}m)`;
-      case 'tracking_desktop_enhanced': 
-        return '💻 Enhanced Network Tracking (Simulated movement)';
+      case 'tracking_desktop': 
+        return '💻 Desktop Tracking (Browser/Network Location)';
+      case 'desktop_no_fix': 
+        return '⚠️ No Location Fix - Last Known Position Is Going Stale';
+      case 'location_unknown': 
+        return '❓ Location Unknown - No Fix Available';
       case 'waiting_for_setup': 
         return '⏳ Waiting for Device Setup...';
       case 'manual_high_accuracy': 
@@ -798,23 +1034,108 @@ const Dashboard = ({ user, onLogout }) => {
     }
   };
 
+  const getAlertId = (alert) => alert.alert_id || alert._id;
+
+  const getVisibleAlerts = () => {
+    const deviceAlerts = selectedDeviceId
+      ? alerts.filter(alert => alert.device_id === selectedDeviceId)
+      : alerts;
+    return applyAlertFilters(deviceAlerts, alertFilters);
+  };
+
+  const selectedAlert = selectedAlertId
+    ? alerts.find(alert => getAlertId(alert) === selectedAlertId)
+    : null;
+
+  const getAlertTypes = () => [...new Set(alerts.map(alert => alert.type).filter(Boolean))].sort();
+
+  // Applied optimistically; only the alerts touched here are rolled back if the backend refuses
+  const changeAlertStatus = async (targetAlerts, status) => {
+    const alertIds = targetAlerts.map(getAlertId).filter(Boolean);
+    if (alertIds.length === 0) return;
+
+    const previousStatuses = {};
+    targetAlerts.forEach(alert => {
+      previousStatuses[getAlertId(alert)] = { status: alert.status, status_updated_at: alert.status_updated_at };
+    });
+    const updatedAt = new Date().toISOString();
+
+    setAlertError('');
+    setAlerts(prevAlerts => prevAlerts.map(alert =>
+      alertIds.includes(getAlertId(alert)) ? { ...alert, status, status_updated_at: updatedAt } : alert
+    ));
+
+    try {
+      await saveAlertStatus(user.email, alertIds, status);
+    } catch (err) {
+      console.error('Failed to update alert status:', err);
+      setAlertError(`Could not mark ${alertIds.length === 1 ? 'alert' : 'alerts'} as ${status}: ${err.message}`);
+      setAlerts(prevAlerts => prevAlerts.map(alert =>
+        previousStatuses[getAlertId(alert)] ? { ...alert, ...previousStatuses[getAlertId(alert)] } : alert
+      ));
+    }
+  };
+
+  // Optimistic like status changes; the label also moves the alert to the status the backend will give it
+  const submitBehaviorFeedback = async (alert, label) => {
+    const alertId = getAlertId(alert);
+    if (!alertId) return;
+
+    const previous = { status: alert.status, status_updated_at: alert.status_updated_at, feedback: alert.feedback };
+    const submittedAt = new Date().toISOString();
+
+    setAlertError('');
+    setAlerts(prevAlerts => prevAlerts.map(existing =>
+      getAlertId(existing) === alertId
+        ? {
+          ...existing,
+          feedback: { label, submitted_at: submittedAt },
+          status: FEEDBACK_STATUS[label],
+          status_updated_at: submittedAt
+        }
+        : existing
+    ));
+
+    try {
+      await sendBehaviorFeedback(user.email, alert, label);
+    } catch (err) {
+      console.error('Failed to send behavior feedback:', err);
+      setAlertError(`Could not save your feedback: ${err.message}`);
+      setAlerts(prevAlerts => prevAlerts.map(existing =>
+        getAlertId(existing) === alertId ? { ...existing, ...previous } : existing
+      ));
+    }
+  };
+
+  const bulkChangeAlertStatus = (status) => {
+    const targets = getVisibleAlerts().filter(alert => getAlertStatus(alert) !== status);
+    if (targets.length === 0) return;
+    if (!window.confirm(`Mark ${targets.length} shown ${targets.length === 1 ? 'alert' : 'alerts'} as ${status}?`)) return;
+    changeAlertStatus(targets, status);
+  };
+
   const getDisplayAlerts = () => {
-    if (showAllAlerts) {
-      return alerts;
+    const visibleAlerts = getVisibleAlerts();
+    if (showAllAlerts || isAlertsView) {
+      return visibleAlerts;
     }
-    return alerts.slice(-3);
+    return visibleAlerts.slice(-3);
   };
 
   const toggleShowAllAlerts = () => {
     setShowAllAlerts(!showAllAlerts);
   };
 
-  const campusSections = [
-    { name: "Library Section", type: "library", color: "#3B82F6" },
-    { name: "Laboratory Section", type: "lab", color: "#10B981" },
-    { name: "Classroom Section", type: "classroom", color: "#F59E0B" },
-    { name: "Administration Section", type: "admin", color: "#EF4444" }
-  ];
+  // Until staff save a real layout the map generates one section of each built-in type
+  const campusSections = campusLayout && campusLayout.length > 0
+    ? campusLayout
+    : SECTION_TYPES.filter(section => section.type !== 'other');
+
+  // Generated sections use their type as the id
+  const geofenceSections = campusSections.map(section => ({
+    id: section.id || section.type,
+    name: section.name
+  }));
 
   const getLearningStatusText = () => {
     if (behaviorProgress >= 100) {
@@ -826,11 +1147,7 @@ const Dashboard = ({ user, onLogout }) => {
     }
   };
 
-  const getSimulatedDays = () => {
-    return Math.min(7, Math.floor(behaviorProgress / 100 * 7));
-  };
-
-  const getDisplayDevices = () => {
+  const getMergedDevices = () => {
     const displayDevices = [...devices];
     
     Object.values(realTimeDevices).forEach(realTimeDevice => {
@@ -840,8 +1157,7 @@ const Dashboard = ({ user, onLogout }) => {
           ...displayDevices[index],
           last_location: realTimeDevice.last_location,
           last_updated: realTimeDevice.last_updated,
-          is_active: true,
-          simulated_movement: realTimeDevice.simulated_movement || false
+          is_active: true
         };
       } else {
         displayDevices.push({
@@ -851,22 +1167,76 @@ const Dashboard = ({ user, onLogout }) => {
       }
     });
     
-    return displayDevices.map(device => ({
-      ...device,
-      is_active: device.is_active !== false
-    }));
+    return displayDevices;
   };
 
+  const getDisplayDevices = () => {
+    return getMergedDevices()
+      .filter(device => !selectedDeviceId || device.device_id === selectedDeviceId)
+      .map(device => ({
+        ...device,
+        is_active: device.is_active !== false
+      }))
+      // Lost devices go to the top of the list
+      .sort((a, b) => (b.is_lost ? 1 : 0) - (a.is_lost ? 1 : 0));
+  };
+
+  // Read-only devices from trusted contacts; only shown on the overview, never in per-device pages
+  const getVisibleSharedDevices = () => (selectedDeviceId
+    ? []
+    : sharedDevices.filter(device => isShareActive(device.shared_until)));
+
+  const isCurrentDeviceLost = devices.some(device => device.device_id === currentDeviceId && device.is_lost);
+
+  // The lost flag is set from whichever device the owner is using, so this device picks it up from the device list
+  useEffect(() => {
+    if (!currentDeviceId || isCurrentDeviceLost === lostModeRef.current) return;
+    applyLostModeCadence(currentDeviceId, isCurrentDeviceLost);
+  }, [currentDeviceId, isCurrentDeviceLost]);
+
+  // Keep a deep-linked alert in view once the alert list has loaded
+  useEffect(() => {
+    if (!selectedAlertId) return;
+    const element = document.getElementById(`alert-${selectedAlertId}`);
+    if (element) {
+      element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+  }, [selectedAlertId, alerts.length]);
+
   return (
     <div className="dashboard">
       <nav className="navbar">
         <div className="nav-title">
           📍 Smart Device Tracker - AI Behavior Learning
-          <span className="live-indicator">LIVE</span>
+          <span className={`live-indicator live-${liveStatus}`}>
+            {LIVE_STATUS_LABELS[liveStatus]}
+          </span>
           <span className="location-status-badge">{getLocationStatusText()}</span>
           {locationUpdates > 0 && (
             <span className="update-counter">Updates: {locationUpdates}</span>
           )}
+          {pendingUpdates > 0 && (
+            <span className="pending-updates-badge" title="Location updates saved offline, waiting to be sent">
+              ⏳ {pendingUpdates} pending
+            </span>
+          )}
+        </div>
+        <div className="nav-links">
+          <NavLink to="/dashboard" className="nav-link">Dashboard</NavLink>
+          <NavLink to="/alerts" className="nav-link">Alerts</NavLink>
+          <NavLink to="/devices" end className="nav-link">Devices</NavLink>
+          <NavLink to="/insights" className="nav-link">Insights</NavLink>
+          <NavLink to="/messages" className="nav-link">
+            Messages
+            {countUnread(conversations) > 0 && <span className="nav-badge">{countUnread(conversations)}</span>}
+          </NavLink>
+          {isAdmin && (
+            <NavLink to="/organisation" className="nav-link">Organisation</NavLink>
+          )}
+          {isAdmin && (
+            <NavLink to="/campus" className="nav-link">Campus</NavLink>
+          )}
+          <NavLink to="/settings" className="nav-link">Settings</NavLink>
         </div>
         <div className="nav-user">
           Welcome, {user.email}
@@ -874,11 +1244,16 @@ const Dashboard = ({ user, onLogout }) => {
         </div>
       </nav>
 
-      {learningActive && (
+      {isDemoMode() && <DemoControls />}
+
+      {user.email_verified === false && <EmailVerificationBanner email={user.email} />}
+
+      {learningActive && !settingsMatch && !campusEditorMatch && !deviceManagerMatch && !insightsMatch && !organisationMatch && !isMessagesView && (
         <div className="behavior-learning-section">
           <div className="learning-header">
             <h3>🎯 AI Behavior Learning</h3>
             <span className="learning-status">{getLearningStatusText()}</span>
+            <Link to="/insights" className="learning-insights-link">View learned routine →</Link>
           </div>
           
           <div className="progress-container">
@@ -889,7 +1264,9 @@ const Dashboard = ({ user, onLogout }) => {
               ></div>
             </div>
             <div className="progress-info">
-              <span>Simulated Days: {getSimulatedDays()}/7</span>
+              {behaviorSummary?.days_observed !== undefined && (
+                <span>Days Observed: {behaviorSummary.days_observed}</span>
+              )}
               <span>{Math.round(behaviorProgress)}% Complete</span>
             </div>
           </div>
@@ -914,14 +1291,8 @@ const Dashboard = ({ user, onLogout }) => {
           {behaviorProgress < 100 && (
             <div className="learning-tip">
               <small>
-                💡 <strong>Demo Tip:</strong> The system is learning your behavior patterns. 
-                Move between campus sections to help it learn. 
-                Or <button 
-                  className="simulate-btn" 
-                  onClick={simulateLearningComplete}
-                >
-                  Simulate Complete Learning
-                </button>
+                💡 The system is learning your behavior patterns. 
+                Move between campus sections as you normally would to help it learn.
               </small>
             </div>
           )}
@@ -935,24 +1306,100 @@ const Dashboard = ({ user, onLogout }) => {
         </div>
       )}
 
+      {settingsMatch ? (
+        <Settings
+          user={user}
+          currentDeviceId={currentDeviceId}
+          onLogout={onLogout}
+          devices={devices}
+          sections={geofenceSections}
+          geofenceRules={geofenceRules}
+          onSaveGeofenceRules={saveGeofenceRules}
+        />
+      ) : insightsMatch ? (
+        <BehaviorInsights
+          user={user}
+          devices={devices}
+          sections={geofenceSections}
+          progress={behaviorProgress}
+          summary={behaviorSummary}
+        />
+      ) : deviceManagerMatch ? (
+        <div className="settings-page">
+          <DeviceManager
+            user={user}
+            devices={devices}
+            currentDeviceId={currentDeviceId}
+            onDevicesChanged={fetchDevices}
+            onDeviceRemoved={handleDeviceRemoved}
+          />
+          <DeviceSharing user={user} devices={devices} onSharesChanged={loadSharedDevices} />
+        </div>
+      ) : isMessagesView ? (
+        <MessagesPage
+          user={user}
+          conversations={conversations}
+          selectedConversationId={selectedConversationId}
+          onConversationsChanged={loadConversations}
+        />
+      ) : organisationMatch ? (
+        isAdmin ? (
+          <OrganisationConsole campusLayout={campusLayout} />
+        ) : (
+          <div className="settings-page">
+            <div className="settings-section">
+              <h3>Organisation</h3>
+              <p>Only campus security staff can see every user's devices.</p>
+            </div>
+          </div>
+        )
+      ) : campusEditorMatch ? (
+        isAdmin ? (
+          <CampusEditor sections={campusLayout} devices={getDisplayDevices()} onSaved={setCampusLayout} />
+        ) : (
+          <div className="settings-page">
+            <div className="settings-section">
+              <h3>Campus Layout</h3>
+              <p>Only campus administrators can edit the campus layout.</p>
+            </div>
+          </div>
+        )
+      ) : (
       <div className="dashboard-content">
         <div className="devices-section">
           <div className="section-header">
-            <h3>My Devices ({getDisplayDevices().length})</h3>
+            {selectedDeviceId ? (
+              <h3>
+                <Link to="/dashboard" className="back-link">← All devices</Link>
+                Device Details
+              </h3>
+            ) : (
+              <h3>My Devices ({getDisplayDevices().length})</h3>
+            )}
             <div className="location-controls">
               <button className="btn btn-small btn-high-accuracy" onClick={forceHighAccuracyUpdate}>
                 🎯 Update Location
               </button>
+              <button className="btn btn-small" onClick={() => setShowPairing(true)}>
+                ➕ Add Another Device
+              </button>
             </div>
           </div>
           {getDisplayDevices().map((device, index) => (
-            <div key={device.device_id} className="device-card">
+            <div key={device.device_id} className={`device-card ${device.is_lost ? 'device-card-lost' : ''}`}>
+              {device.is_lost && (
+                <div className="lost-banner">
+                  🚨 LOST{device.lost_since && ` since ${new Date(device.lost_since).toLocaleString('en-US', { timeZone: 'Asia/Colombo' })} (${getLostDuration(device.lost_since)})`}
+                </div>
+              )}
               <div className="device-header">
-                <h4>{device.device_name || `Device ${index + 1}`}</h4>
+                <h4>
+                  <Link to={`/devices/${device.device_id}`} className="device-link">
+                    {device.device_name || `Device ${index + 1}`}
+                  </Link>
+                </h4>
                 <span className={`device-status status-${getStatus(device)}`}>
-                  {getStatus(device).toUpperCase()}
-                  {getStatus(device) === 'safe' ? ' 🟢' : 
-                   getStatus(device) === 'warning' ? ' 🟡' : ' 🔴'}
+                  {getStatus(device).toUpperCase()} {getStatusIcon(getStatus(device))}
                 </span>
               </div>
               
@@ -960,7 +1407,7 @@ const Dashboard = ({ user, onLogout }) => {
                 <p><strong>Type:</strong> {device.device_type} {device.is_mobile ? '📱 Mobile' : '💻 Computer'}</p>
                 <p><strong>Location Source:</strong> {device.last_location?.source || 'Network'}</p>
                 <p><strong>Tracking Mode:</strong> 
-                  {device.is_mobile ? ' GPS Live' : device.simulated_movement ? ' Network + Simulation' : ' Network'}
+                  {device.is_mobile ? ' GPS Live' : ' Browser/Network'}
                 </p>
                 <p><strong>GPS Quality:</strong> 
                   {device.last_location?.gps_quality ? 
@@ -978,6 +1425,9 @@ const Dashboard = ({ user, onLogout }) => {
                   }
                 </p>
                 <p><strong>Accuracy:</strong> {device.last_location?.accuracy ? `±${Math.round(device.last_location.accuracy)}m` : 'Unknown'}</p>
+                <p><strong>Position:</strong> 
+                  <span className={`fix-status fix-${getFixStatus(device.last_location)}`}> {describeFixStatus(device.last_location)}</span>
+                </p>
                 <p><strong>Last Update:</strong> {device.last_updated ? 
                   new Date(device.last_updated).toLocaleTimeString('en-US', { 
                     hour: '2-digit', 
@@ -992,34 +1442,83 @@ const Dashboard = ({ user, onLogout }) => {
                 {device.last_location?.speed > 0 && (
                   <p><strong>Speed:</strong> {(device.last_location.speed * 3.6).toFixed(1)} km/h</p>
                 )}
-                
-                {!device.is_mobile && (
-                  <p><strong>Simulated Movement:</strong> 
-                    <span style={{color: device.simulated_movement ? '#10B981' : '#6B7280', fontWeight: 'bold'}}>
-                      {device.simulated_movement ? ' Active' : ' Inactive'}
-                    </span>
-                  </p>
-                )}
+
               </div>
               
               {device.device_id === currentDeviceId && (
                 <div className="current-device-badge">
-                  ✅ Current Device - {isMobileDevice() ? 'Mobile GPS' : 'Enhanced Network'} Tracking Active
+                  ✅ Current Device - {isMobileDevice() ? 'Mobile GPS' : 'Browser/Network'} Tracking Active
+                  {device.is_lost && ' (Lost mode: faster updates)'}
                 </div>
               )}
+
+              <div className="device-actions">
+                {device.is_lost ? (
+                  <>
+                    <button className="btn btn-small btn-found" onClick={() => markDeviceFound(device)}>
+                      ✅ Mark as Found
+                    </button>
+                    <button className="btn btn-small btn-secondary" onClick={() => contactSecurity(device)}>
+                      💬 Contact campus security
+                    </button>
+                  </>
+                ) : (
+                  <button className="btn btn-small btn-lost" onClick={() => markDeviceLost(device)}>
+                    🚨 Mark as Lost
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+          {getVisibleSharedDevices().length > 0 && (
+            <h4 className="shared-devices-heading">Shared With You ({getVisibleSharedDevices().length})</h4>
+          )}
+          {getVisibleSharedDevices().map(device => (
+            <div key={`shared-${device.device_id}`} className={`device-card device-card-shared ${device.is_lost ? 'device-card-lost' : ''}`}>
+              {device.is_lost && (
+                <div className="lost-banner">
+                  🚨 LOST{device.lost_since && ` since ${new Date(device.lost_since).toLocaleString('en-US', { timeZone: 'Asia/Colombo' })} (${getLostDuration(device.lost_since)})`}
+                </div>
+              )}
+              <div className="device-header">
+                <h4>{device.device_name || device.device_id}</h4>
+                <span className={`device-status status-${getStatus(device)}`}>
+                  {getStatus(device).toUpperCase()} {getStatusIcon(getStatus(device))}
+                </span>
+              </div>
+              <div className="shared-badge">
+                👥 Shared by {device.shared_by} until {new Date(device.shared_until).toLocaleString('en-US', { timeZone: 'Asia/Colombo' })}
+              </div>
+              <div className="device-info">
+                <p><strong>Type:</strong> {device.device_type} {device.is_mobile ? '📱 Mobile' : '💻 Computer'}</p>
+                <p><strong>Position:</strong> 
+                  <span className={`fix-status fix-${getFixStatus(device.last_location)}`}> {describeFixStatus(device.last_location)}</span>
+                </p>
+                <p><strong>Last Update:</strong> {device.last_updated ? 
+                  new Date(device.last_updated).toLocaleTimeString('en-US', { 
+                    hour: '2-digit', 
+                    minute: '2-digit', 
+                    second: '2-digit',
+                    timeZone: 'Asia/Colombo' 
+                  }) : 'Never'}</p>
+              </div>
             </div>
           ))}
           {getDisplayDevices().length === 0 && (
             <div className="no-devices">
-              <p>No devices found. Complete device setup to start tracking.</p>
+              {selectedDeviceId ? (
+                <p>This device was not found on your account.</p>
+              ) : (
+                <p>No devices found. Complete device setup to start tracking.</p>
+              )}
             </div>
           )}
         </div>
 
         <div className="alerts-section">
           <div className="section-header">
-            <h3>Alerts ({alerts.length})</h3>
-            {alerts.length > 3 && (
+            <h3>Alerts ({getVisibleAlerts().length})</h3>
+            {getVisibleAlerts().length > 3 && !isAlertsView && (
               <button 
                 className="btn btn-small" 
                 onClick={toggleShowAllAlerts}
@@ -1033,34 +1532,96 @@ const Dashboard = ({ user, onLogout }) => {
               </button>
             )}
           </div>
+
+          <AlertFilters
+            filters={alertFilters}
+            onChange={setAlertFilters}
+            alertTypes={getAlertTypes()}
+            devices={devices}
+          />
+
+          {isAlertsView && getVisibleAlerts().length > 0 && (
+            <div className="alert-bulk-actions">
+              <button className="btn btn-small" onClick={() => bulkChangeAlertStatus('acknowledged')}>
+                👁 Acknowledge All Shown
+              </button>
+              <button className="btn btn-small" onClick={() => bulkChangeAlertStatus('resolved')}>
+                ✅ Resolve All Shown
+              </button>
+            </div>
+          )}
+
+          {alertError && <div className="error-message">{alertError}</div>}
           
-          <div className={`alerts-container ${showAllAlerts ? 'show-all' : 'show-limited'}`}>
-            {getDisplayAlerts().map((alert, index) => (
-              <div key={index} className={`alert-card ${alert.type === 'suspicious_behavior' ? 'behavior-alert' : ''}`}>
-                <div className="alert-header">
-                  <strong>{alert.type.replace('_', ' ').toUpperCase()}</strong>
-                  <span className="alert-time">
-                    {new Date(alert.created_at).toLocaleTimeString('en-US', { timeZone: 'Asia/Colombo' })}
-                  </span>
+          <div className={`alerts-container ${showAllAlerts || isAlertsView ? 'show-all' : 'show-limited'}`}>
+            {getDisplayAlerts().map((alert, index) => {
+              const alertId = getAlertId(alert);
+              const status = getAlertStatus(alert);
+
+              return (
+                <div
+                  key={alertId || `${alert.created_at}-${index}`}
+                  id={alertId ? `alert-${alertId}` : undefined}
+                  className={`alert-card alert-status-${status} ${alert.type === 'suspicious_behavior' ? 'behavior-alert' : ''} ${alert.type?.startsWith('geofence_') ? 'geofence-alert' : ''} ${isFinderReport(alert) ? 'finder-alert' : ''} ${alertId && alertId === selectedAlertId ? 'alert-selected' : ''}`}
+                >
+                  <div className="alert-header">
+                    {alertId ? (
+                      <Link to={`/alerts/${alertId}`} className="alert-link">
+                        <strong>{formatAlertType(alert.type)}</strong>
+                      </Link>
+                    ) : (
+                      <strong>{formatAlertType(alert.type)}</strong>
+                    )}
+                    <span className="alert-time">
+                      {new Date(alert.created_at).toLocaleTimeString('en-US', { timeZone: 'Asia/Colombo' })}
+                    </span>
+                  </div>
+                  <p>{alert.message}</p>
+                  {alert.severity === 'high' && (
+                    <div className="alert-severity high">🚨 HIGH SEVERITY</div>
+                  )}
+                  <div className="alert-card-footer">
+                    <span className={`alert-status-badge status-${status}`}>{status.toUpperCase()}</span>
+                    {alertId && (
+                      <div className="alert-status-actions">
+                        {status === 'new' && (
+                          <button className="btn btn-small" onClick={() => changeAlertStatus([alert], 'acknowledged')}>
+                            Acknowledge
+                          </button>
+                        )}
+                        {status !== 'resolved' && (
+                          <button className="btn btn-small" onClick={() => changeAlertStatus([alert], 'resolved')}>
+                            Resolve
+                          </button>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                  {alertId && isBehaviorAlert(alert) && (
+                    <BehaviorFeedback alert={alert} onFeedback={submitBehaviorFeedback} />
+                  )}
+                  {alertId && isFinderReport(alert) && (
+                    <Link to={`/alerts/${alertId}`} className="finder-alert-link">💬 Read the report and reply →</Link>
+                  )}
                 </div>
-                <p>{alert.message}</p>
-                {alert.severity === 'high' && (
-                  <div className="alert-severity high">🚨 HIGH SEVERITY</div>
-                )}
-              </div>
-            ))}
+              );
+            })}
           </div>
           
-          {alerts.length === 0 && (
+          {getVisibleAlerts().length === 0 && (
             <div className="no-alerts">
-              <p>No alerts - Everything looks good! ✅</p>
+              {alerts.length === 0 ? (
+                <p>No alerts - Everything looks good! ✅</p>
+              ) : (
+                <p>No alerts match these filters.</p>
+              )}
             </div>
           )}
           
-          {!showAllAlerts && alerts.length > 3 && (
+          {!showAllAlerts && !isAlertsView && getVisibleAlerts().length > 3 && (
             <div className="alerts-footer">
               <p className="alerts-more-indicator">
-                ... and {alerts.length - 3} more alerts. 
+                ... and {getVisibleAlerts().length - 3} more alerts. 
                 <span 
                   className="view-all-link" 
                   onClick={toggleShowAllAlerts}
@@ -1074,15 +1635,42 @@ const Dashboard = ({ user, onLogout }) => {
         </div>
 
         <div className="map-section">
-          <h3>Live Device Locations</h3>
+          <h3>{historyTrail ? 'Device Location History' : 'Live Device Locations'}</h3>
           <div className="map-container">
-            <MapView devices={getDisplayDevices()} userLocation={userLocation} />
+            <MapView
+              devices={[...getDisplayDevices(), ...getVisibleSharedDevices()]}
+              userLocation={userLocation}
+              history={historyTrail}
+              savedCampusSections={campusLayout}
+              onCampusChange={(manager) => {
+                mapCampusManagerRef.current = manager;
+                precacheCampusTiles(manager.campusBounds);
+              }}
+            />
           </div>
+
+          {selectedDeviceId && (
+            <LocationHistory
+              deviceId={selectedDeviceId}
+              userEmail={user.email}
+              onTrailChange={setHistoryTrail}
+            />
+          )}
           
           <div className="campus-legend">
-            <h4>Campus Sections</h4>
+            <div className="section-header">
+              <h4>Campus Sections</h4>
+              {campusLayout && campusLayout.length > 0 && (
+                <button
+                  className="btn btn-small"
+                  onClick={() => downloadGeoJSON(layoutToGeoJSON(campusLayout, getDisplayDevices()), 'campus-layout.geojson')}
+                >
+                  📤 Export GeoJSON
+                </button>
+              )}
+            </div>
             {campusSections.map((section, index) => (
-              <div key={index} className="legend-zone-item">
+              <div key={section.id || index} className="legend-zone-item">
                 <span 
                   className="legend-zone-color" 
                   style={{backgroundColor: section.color}}
@@ -1124,6 +1712,26 @@ const Dashboard = ({ user, onLogout }) => {
           </div>
         </div>
       </div>
+      )}
+
+      {selectedAlert && (
+        <AlertDetailDrawer
+          alert={selectedAlert}
+          device={devices.find(device => device.device_id === selectedAlert.device_id)}
+          userEmail={user.email}
+          onStatusChange={changeAlertStatus}
+          onFeedback={submitBehaviorFeedback}
+          onClose={() => navigate('/alerts')}
+        />
+      )}
+
+      {showPairing && (
+        <PairingCodePanel
+          userEmail={user.email}
+          onPaired={fetchDevices}
+          onClose={() => setShowPairing(false)}
+        />
+      )}
     </div>
   );
 };
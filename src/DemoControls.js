@@ -0,0 +1,67 @@
+import React, { useState, useEffect } from 'react';
+import { DEMO_SCENARIOS } from './demoScenarios';
+import {
+  onDemoStateChange,
+  startScenario,
+  resumeScenario,
+  pauseScenario,
+  setScenarioSpeed,
+  completeLearning,
+  raiseSyntheticAlert
+} from './demoBackend';
+
+const SPEEDS = [1, 2, 5];
+
+// Only rendered in demo mode; everything here drives the in-browser demo backend
+const DemoControls = () => {
+  const [demo, setDemo] = useState(null);
+
+  useEffect(() => onDemoStateChange(setDemo), []);
+
+  if (!demo) return null;
+
+  const scenario = DEMO_SCENARIOS.find(s => s.id === demo.scenarioId);
+
+  return (
+    <div className="demo-controls">
+      <span className="demo-badge">DEMO MODE</span>
+      <select
+        className="form-input"
+        value={demo.scenarioId || ''}
+        onChange={(e) => startScenario(e.target.value)}
+      >
+        <option value="" disabled>Choose a scenario</option>
+        {DEMO_SCENARIOS.map(s => (
+          <option key={s.id} value={s.id}>{s.name}</option>
+        ))}
+      </select>
+      {scenario && (
+        <>
+          {demo.playing ? (
+            <button className="btn btn-small btn-secondary" onClick={pauseScenario}>⏸ Pause</button>
+          ) : (
+            <button className="btn btn-small" onClick={resumeScenario}>▶ Play</button>
+          )}
+          <button className="btn btn-small btn-secondary" onClick={() => startScenario(scenario.id)}>⏮ Restart</button>
+          <select
+            className="form-input demo-speed"
+            value={demo.speed}
+            onChange={(e) => setScenarioSpeed(Number(e.target.value))}
+          >
+            {SPEEDS.map(speed => (
+              <option key={speed} value={speed}>{speed}x</option>
+            ))}
+          </select>
+          <span className="demo-clock">{demo.elapsed}s / {demo.duration}s</span>
+        </>
+      )}
+      <button className="btn btn-small" onClick={raiseSyntheticAlert}>🚨 Synthetic Alert</button>
+      {demo.progress < 100 && (
+        <button className="btn btn-small" onClick={completeLearning}>🎓 Complete Learning</button>
+      )}
+      {scenario && <small className="demo-description">{scenario.description}</small>}
+    </div>
+  );
+};
+
+export default DemoControls;
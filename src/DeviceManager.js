@@ -0,0 +1,310 @@
+import React, { useState, useEffect } from 'react';
+import { apiRequest } from './App';
+import DeviceTagSheet from './DeviceTagSheet';
+
+const DEVICE_TYPES = [
+  { value: 'mobile', label: 'Mobile Phone' },
+  { value: 'laptop', label: 'Laptop' },
+  { value: 'desktop', label: 'Desktop' },
+  { value: 'tablet', label: 'Tablet' },
+  { value: 'other', label: 'Other' }
+];
+
+// Older records store the setup modal's detected type
+const normalizeDeviceType = (type) => (type === 'laptop/desktop' ? 'laptop' : type || 'other');
+
+const DeviceManager = ({ user, devices, currentDeviceId, onDevicesChanged, onDeviceRemoved }) => {
+  const [editingId, setEditingId] = useState(null);
+  const [draft, setDraft] = useState({ device_name: '', device_type: 'other' });
+  const [transferDeviceId, setTransferDeviceId] = useState(null);
+  const [transferEmail, setTransferEmail] = useState('');
+  const [transferPassword, setTransferPassword] = useState('');
+  const [transfers, setTransfers] = useState({ incoming: [], outgoing: [] });
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [showTagSheet, setShowTagSheet] = useState(false);
+
+  useEffect(() => {
+    fetchTransfers();
+  }, [user.email]);
+
+  const fetchTransfers = async () => {
+    try {
+      const response = await apiRequest(`/transfers/${user.email}`);
+      const data = await response.json();
+      setTransfers({ incoming: data.incoming || [], outgoing: data.outgoing || [] });
+    } catch (err) {
+      console.error('Failed to fetch device transfers:', err);
+    }
+  };
+
+  const runAction = async (action, successText) => {
+    setBusy(true);
+    setMessage(null);
+    try {
+      await action();
+      setMessage({ type: 'success', text: successText });
+      return true;
+    } catch (err) {
+      console.error('Device management action failed:', err);
+      setMessage({ type: 'error', text: err.message });
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const startEditing = (device) => {
+    setTransferDeviceId(null);
+    setEditingId(device.device_id);
+    setDraft({ device_name: device.device_name || '', device_type: normalizeDeviceType(device.device_type) });
+  };
+
+  const saveDevice = async (device) => {
+    if (!draft.device_name.trim()) {
+      setMessage({ type: 'error', text: 'Device name cannot be empty.' });
+      return;
+    }
+
+    const saved = await runAction(async () => {
+      await apiRequest(`/devices/${device.device_id}`, {
+        method: 'PUT',
+        body: JSON.stringify({
+          email: user.email,
+          device_name: draft.device_name.trim(),
+          device_type: draft.device_type
+        }),
+      });
+      onDevicesChanged();
+    }, `Saved changes to ${draft.device_name.trim()}.`);
+
+    if (saved) {
+      setEditingId(null);
+    }
+  };
+
+  const removeDevice = async (device) => {
+    const deviceName = device.device_name || device.device_id;
+    const warning = device.device_id === currentDeviceId
+      ? `Remove "${deviceName}"? This is the device you are using now, so tracking will stop until you set it up again.`
+      : `Remove "${deviceName}"? Its location history will no longer be shown and it can be registered by anyone.`;
+    if (!window.confirm(warning)) return;
+
+    await runAction(async () => {
+      await apiRequest(`/devices/${device.device_id}`, {
+        method: 'DELETE',
+        body: JSON.stringify({ email: user.email }),
+      });
+      onDeviceRemoved(device.device_id);
+    }, `${deviceName} was removed from your account.`);
+  };
+
+  const openTransfer = (device) => {
+    setEditingId(null);
+    setTransferDeviceId(device.device_id);
+    setTransferEmail('');
+    setTransferPassword('');
+  };
+
+  const startTransfer = async (e, device) => {
+    e.preventDefault();
+    const toEmail = transferEmail.trim().toLowerCase();
+    if (toEmail === user.email.toLowerCase()) {
+      setMessage({ type: 'error', text: 'You already own this device.' });
+      return;
+    }
+
+    const started = await runAction(async () => {
+      await apiRequest(`/devices/${device.device_id}/transfer`, {
+        method: 'POST',
+        body: JSON.stringify({ email: user.email, to_email: toEmail, password: transferPassword }),
+      });
+      await fetchTransfers();
+    }, `Transfer offered to ${toEmail}. It completes when they accept it from their Devices page.`);
+
+    setTransferPassword('');
+    if (started) {
+      setTransferDeviceId(null);
+    }
+  };
+
+  const respondToTransfer = async (transfer, action) => {
+    const successText = {
+      accept: `${transfer.device_name} is now registered to your account.`,
+      decline: `Declined ${transfer.device_name}.`,
+      cancel: `Cancelled the transfer of ${transfer.device_name}.`
+    }[action];
+
+    await runAction(async () => {
+      await apiRequest(`/transfers/${transfer.transfer_id}/${action}`, {
+        method: 'POST',
+        body: JSON.stringify({ email: user.email }),
+      });
+      await fetchTransfers();
+      onDevicesChanged();
+    }, successText);
+  };
+
+  const getPendingTransfer = (deviceId) => transfers.outgoing.find(transfer => transfer.device_id === deviceId);
+
+  const formatExpiry = (expiresAt) => new Date(expiresAt).toLocaleString('en-US', { timeZone: 'Asia/Colombo' });
+
+  return (
+    <div className="device-manager">
+      <div className="section-header">
+        <h3>Manage Devices ({devices.length})</h3>
+        <button className="btn btn-small" onClick={() => setShowTagSheet(true)} disabled={devices.length === 0}>
+          🏷 Print tags
+        </button>
+      </div>
+
+      {message && (
+        <div className={`status-message ${message.type}`}>{message.text}</div>
+      )}
+
+      {transfers.incoming.length > 0 && (
+        <div className="settings-section device-transfers">
+          <h4>Devices Offered to You</h4>
+          {transfers.incoming.map(transfer => (
+            <div key={transfer.transfer_id} className="device-transfer">
+              <span>
+                <strong>{transfer.device_name}</strong> from {transfer.from_email}
+                <small> (expires {formatExpiry(transfer.expires_at)})</small>
+              </span>
+              <div className="device-manager-actions">
+                <button className="btn btn-small btn-primary" onClick={() => respondToTransfer(transfer, 'accept')} disabled={busy}>
+                  Accept
+                </button>
+                <button className="btn btn-small btn-secondary" onClick={() => respondToTransfer(transfer, 'decline')} disabled={busy}>
+                  Decline
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {devices.length === 0 && (
+        <p className="history-message">No devices registered yet.</p>
+      )}
+
+      {devices.map(device => {
+        const pendingTransfer = getPendingTransfer(device.device_id);
+
+        return (
+          <div key={device.device_id} className="settings-section device-manager-item">
+            {editingId === device.device_id ? (
+              <div className="device-manager-form">
+                <div className="form-group">
+                  <label>Name:</label>
+                  <input
+                    type="text"
+                    className="form-input"
+                    value={draft.device_name}
+                    onChange={(e) => setDraft(prev => ({ ...prev, device_name: e.target.value }))}
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Type:</label>
+                  <select
+                    className="form-input"
+                    value={draft.device_type}
+                    onChange={(e) => setDraft(prev => ({ ...prev, device_type: e.target.value }))}
+                  >
+                    {DEVICE_TYPES.map(type => (
+                      <option key={type.value} value={type.value}>{type.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="device-manager-actions">
+                  <button className="btn btn-small btn-primary" onClick={() => saveDevice(device)} disabled={busy}>
+                    Save
+                  </button>
+                  <button className="btn btn-small btn-secondary" onClick={() => setEditingId(null)} disabled={busy}>
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <div className="device-manager-summary">
+                <div>
+                  <h4>{device.device_name || device.device_id}</h4>
+                  <p>
+                    {DEVICE_TYPES.find(type => type.value === normalizeDeviceType(device.device_type))?.label || device.device_type}
+                    {device.device_id === currentDeviceId && ' • This device'}
+                  </p>
+                </div>
+                <div className="device-manager-actions">
+                  <button className="btn btn-small" onClick={() => startEditing(device)} disabled={busy}>
+                    ✏️ Edit
+                  </button>
+                  <button className="btn btn-small" onClick={() => openTransfer(device)} disabled={busy || !!pendingTransfer}>
+                    🔁 Transfer
+                  </button>
+                  <button className="btn btn-small btn-lost" onClick={() => removeDevice(device)} disabled={busy}>
+                    🗑 Remove
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {pendingTransfer && (
+              <div className="device-transfer">
+                <span>
+                  Waiting for {pendingTransfer.to_email} to accept
+                  <small> (expires {formatExpiry(pendingTransfer.expires_at)})</small>
+                </span>
+                <button className="btn btn-small btn-secondary" onClick={() => respondToTransfer(pendingTransfer, 'cancel')} disabled={busy}>
+                  Cancel Transfer
+                </button>
+              </div>
+            )}
+
+            {transferDeviceId === device.device_id && (
+              <form className="device-manager-form" onSubmit={(e) => startTransfer(e, device)}>
+                <p className="geofence-rules-hint">
+                  The new owner must accept the transfer from their own account. Until then the device stays yours.
+                </p>
+                <div className="form-group">
+                  <label>New owner's email:</label>
+                  <input
+                    type="email"
+                    className="form-input"
+                    value={transferEmail}
+                    onChange={(e) => setTransferEmail(e.target.value)}
+                    required
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Your password:</label>
+                  <input
+                    type="password"
+                    className="form-input"
+                    value={transferPassword}
+                    onChange={(e) => setTransferPassword(e.target.value)}
+                    autoComplete="current-password"
+                    required
+                  />
+                </div>
+                <div className="device-manager-actions">
+                  <button type="submit" className="btn btn-small btn-primary" disabled={busy}>
+                    Offer Transfer
+                  </button>
+                  <button type="button" className="btn btn-small btn-secondary" onClick={() => setTransferDeviceId(null)} disabled={busy}>
+                    Cancel
+                  </button>
+                </div>
+              </form>
+            )}
+          </div>
+        );
+      })}
+
+      {showTagSheet && (
+        <DeviceTagSheet devices={devices} onClose={() => setShowTagSheet(false)} />
+      )}
+    </div>
+  );
+};
+
+export default DeviceManager;
@@ -1,7 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { apiRequest } from './App';
+import { getDeviceId } from './deviceIdentity';
 
-const DeviceSetupModal = ({ deviceInfo, onConfirm, onSkip, userEmail }) => {
+const DeviceSetupModal = ({ deviceInfo, onConfirm, onSkip, pairingCode, skipLabel }) => {
   const [deviceName, setDeviceName] = useState('');
   const [deviceType, setDeviceType] = useState(deviceInfo.device_type || 'mobile');
   const [exactLocation, setExactLocation] = useState(null);
@@ -14,6 +15,7 @@ const DeviceSetupModal = ({ deviceInfo, onConfirm, onSkip, userEmail }) => {
   const [deviceOwnershipStatus, setDeviceOwnershipStatus] = useState('checking');
   const [gpsAccuracy, setGpsAccuracy] = useState(null);
   const [locationAttempts, setLocationAttempts] = useState(0);
+  const deviceId = getDeviceId();
 
   useEffect(() => {
     if (deviceInfo.is_mobile) {
@@ -25,7 +27,7 @@ const DeviceSetupModal = ({ deviceInfo, onConfirm, onSkip, userEmail }) => {
 
   useEffect(() => {
     checkDeviceOwnership();
-  }, [deviceInfo.device_id]);
+  }, [deviceId]);
 
   useEffect(() => {
     if (deviceInfo.is_mobile && window.DeviceOrientationEvent) {
@@ -45,15 +47,18 @@ const DeviceSetupModal = ({ deviceInfo, onConfirm, onSkip, userEmail }) => {
 
   const checkDeviceOwnership = async () => {
     try {
-      const response = await apiRequest(`/check_device_global/${deviceInfo.device_id}`);
+      // A device being paired isn't signed in yet, so the pairing code stands in for the account
+      const response = await apiRequest(pairingCode
+        ? `/pairing/${pairingCode}/device/${deviceId}`
+        : `/check_device_global/${deviceId}`);
       const data = await response.json();
       
       if (data.exists) {
-        if (data.owner_email === userEmail) {
+        if (data.owned_by_you) {
           setDeviceOwnershipStatus('owned_by_current_user');
         } else {
           setDeviceOwnershipStatus('owned_by_other_user');
-          setSetupError(`This device is already registered to ${data.owner_email}. Each device can only be registered to one account.`);
+          setSetupError('This device is already registered to another account. Each device can only be registered to one account. Ask the current owner to transfer it to you from their Devices page.');
         }
       } else {
         setDeviceOwnershipStatus('available');
@@ -233,7 +238,7 @@ General Mobile Location Fix:
     }
 
     const deviceData = {
-      device_id: deviceInfo.device_id,
+      device_id: deviceId,
       device_type: deviceType,
       device_name: deviceName,
       ip_address: deviceInfo.ip_address,
@@ -333,7 +338,7 @@ General Mobile Location Fix:
               </div>
               <div className="info-item">
                 <strong>Device ID:</strong> 
-                <span style={{fontSize: '12px', color: '#666'}}>{deviceInfo.device_id}</span>
+                <span style={{fontSize: '12px', color: '#666'}}>{deviceId}</span>
               </div>
             </div>
           </div>
@@ -502,12 +507,12 @@ General Mobile Location Fix:
                 {deviceOwnershipStatus === 'owned_by_current_user' ? 'Update Device Location' : 'Add Device with Precise Location'}
               </button>
               <button className="btn btn-secondary" onClick={onSkip}>
-                Skip for Now
+                {skipLabel || 'Skip for Now'}
               </button>
             </>
           ) : (
             <button className="btn btn-secondary" onClick={onSkip}>
-              Continue to Dashboard
+              {skipLabel || 'Continue to Dashboard'}
             </button>
           )}
         </div>
@@ -0,0 +1,188 @@
+import React, { useState, useEffect } from 'react';
+import {
+  SHARE_DURATIONS,
+  isShareActive,
+  fetchShares,
+  createShare,
+  revokeShare
+} from './trustedContacts';
+
+const formatDateTime = (value) => new Date(value).toLocaleString('en-US', { timeZone: 'Asia/Colombo' });
+
+// Owners pick devices to show a trusted contact read-only; either side can end the share early
+const DeviceSharing = ({ user, devices, onSharesChanged }) => {
+  const [shares, setShares] = useState({ outgoing: [], incoming: [] });
+  const [contactEmail, setContactEmail] = useState('');
+  const [selectedDeviceIds, setSelectedDeviceIds] = useState([]);
+  const [duration, setDuration] = useState(SHARE_DURATIONS[1].value);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    loadShares();
+  }, [user.email]);
+
+  const loadShares = async () => {
+    try {
+      setShares(await fetchShares(user.email));
+    } catch (err) {
+      console.error('Failed to fetch device shares:', err);
+    }
+  };
+
+  const getDeviceNames = (share) => share.device_ids
+    .map(deviceId => {
+      const device = devices.find(d => d.device_id === deviceId);
+      return device ? device.device_name : deviceId;
+    })
+    .join(', ');
+
+  const toggleDevice = (deviceId) => {
+    setSelectedDeviceIds(prev => (prev.includes(deviceId)
+      ? prev.filter(id => id !== deviceId)
+      : [...prev, deviceId]));
+  };
+
+  const submitShare = async (e) => {
+    e.preventDefault();
+    const contact = contactEmail.trim().toLowerCase();
+    if (contact === user.email.toLowerCase()) {
+      setMessage({ type: 'error', text: 'You can already see your own devices.' });
+      return;
+    }
+    if (selectedDeviceIds.length === 0) {
+      setMessage({ type: 'error', text: 'Choose at least one device to share.' });
+      return;
+    }
+
+    setBusy(true);
+    setMessage(null);
+    try {
+      await createShare(user.email, contact, selectedDeviceIds, duration);
+      await loadShares();
+      setMessage({ type: 'success', text: `${contact} can now see ${selectedDeviceIds.length === 1 ? 'this device' : 'these devices'} when they log in.` });
+      setContactEmail('');
+      setSelectedDeviceIds([]);
+    } catch (err) {
+      console.error('Failed to share devices:', err);
+      setMessage({ type: 'error', text: err.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const endShare = async (share, isOwner) => {
+    const prompt = isOwner
+      ? `Stop sharing with ${share.contact_email}? They will lose access straight away.`
+      : `Stop seeing ${share.owner_email}'s devices?`;
+    if (!window.confirm(prompt)) return;
+
+    setBusy(true);
+    setMessage(null);
+    try {
+      await revokeShare(user.email, share.share_id);
+      await loadShares();
+      if (!isOwner) onSharesChanged();
+      setMessage({ type: 'success', text: isOwner ? `${share.contact_email} can no longer see your devices.` : 'Removed the shared devices.' });
+    } catch (err) {
+      console.error('Failed to revoke device share:', err);
+      setMessage({ type: 'error', text: err.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const outgoing = shares.outgoing.filter(share => isShareActive(share.expires_at));
+  const incoming = shares.incoming.filter(share => isShareActive(share.expires_at));
+
+  return (
+    <div className="settings-section device-sharing">
+      <h3>Trusted Contacts</h3>
+      <p>
+        Let family or a roommate see where your devices are, so they can spot a lost laptop before you do.
+        They get read-only access until the share expires or you revoke it.
+      </p>
+
+      {message && (
+        <div className={`status-message ${message.type}`}>{message.text}</div>
+      )}
+
+      {devices.length > 0 && (
+        <form className="device-manager-form" onSubmit={submitShare}>
+          <div className="form-group">
+            <label>Contact's email:</label>
+            <input
+              type="email"
+              className="form-input"
+              value={contactEmail}
+              onChange={(e) => setContactEmail(e.target.value)}
+              required
+            />
+          </div>
+          <div className="form-group">
+            <label>Devices they can see:</label>
+            <div className="device-sharing-devices">
+              {devices.map(device => (
+                <label key={device.device_id}>
+                  <input
+                    type="checkbox"
+                    checked={selectedDeviceIds.includes(device.device_id)}
+                    onChange={() => toggleDevice(device.device_id)}
+                  />
+                  {device.device_name || device.device_id}
+                </label>
+              ))}
+            </div>
+          </div>
+          <div className="form-group">
+            <label>For:</label>
+            <select className="form-input" value={duration} onChange={(e) => setDuration(Number(e.target.value))}>
+              {SHARE_DURATIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+          <button type="submit" className="btn btn-small btn-primary" disabled={busy}>
+            👥 Share
+          </button>
+        </form>
+      )}
+
+      {outgoing.length > 0 && (
+        <>
+          <h4>Shared by You</h4>
+          {outgoing.map(share => (
+            <div key={share.share_id} className="device-transfer">
+              <span>
+                <strong>{share.contact_email}</strong> can see {getDeviceNames(share)}
+                <small> (until {formatDateTime(share.expires_at)})</small>
+              </span>
+              <button className="btn btn-small btn-secondary" onClick={() => endShare(share, true)} disabled={busy}>
+                Revoke
+              </button>
+            </div>
+          ))}
+        </>
+      )}
+
+      {incoming.length > 0 && (
+        <>
+          <h4>Shared with You</h4>
+          {incoming.map(share => (
+            <div key={share.share_id} className="device-transfer">
+              <span>
+                <strong>{share.owner_email}</strong> shares {share.device_ids.length} {share.device_ids.length === 1 ? 'device' : 'devices'}
+                <small> (until {formatDateTime(share.expires_at)})</small>
+              </span>
+              <button className="btn btn-small btn-secondary" onClick={() => endShare(share, false)} disabled={busy}>
+                Remove
+              </button>
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default DeviceSharing;
@@ -0,0 +1,91 @@
+import React, { useState, useEffect } from 'react';
+import { createPortal } from 'react-dom';
+import { QRCodeSVG } from 'qrcode.react';
+import { getFoundDeviceUrl } from './finderReports';
+import { getTagCode } from './tagCodes';
+
+const DeviceTag = ({ device, showName }) => (
+  <div className="device-tag">
+    <QRCodeSVG value={getFoundDeviceUrl(device.device_id)} size={96} marginSize={1} />
+    <div className="device-tag-text">
+      <strong>If found, please scan</strong>
+      <span className="device-tag-code">{getTagCode(device.device_id)}</span>
+      <small>or enter this code at {window.location.host}/found</small>
+      {showName && <small className="device-tag-name">{device.device_name || device.device_id}</small>}
+    </div>
+  </div>
+);
+
+// Labels are printed from a copy of the sheet rendered straight into <body>; while the panel is open
+// the print stylesheet hides everything else, so the browser's print dialog (or "Save as PDF")
+// gets only the labels.
+const DeviceTagSheet = ({ devices, onClose }) => {
+  const [selectedDeviceIds, setSelectedDeviceIds] = useState(() => devices.map(device => device.device_id));
+  const [showNames, setShowNames] = useState(true);
+
+  useEffect(() => {
+    document.body.classList.add('printing-tags');
+    return () => document.body.classList.remove('printing-tags');
+  }, []);
+
+  const toggleDevice = (deviceId) => {
+    setSelectedDeviceIds(prev => (prev.includes(deviceId)
+      ? prev.filter(id => id !== deviceId)
+      : [...prev, deviceId]));
+  };
+
+  const selectedDevices = devices.filter(device => selectedDeviceIds.includes(device.device_id));
+
+  const labels = selectedDevices.map(device => (
+    <DeviceTag key={device.device_id} device={device} showName={showNames} />
+  ));
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-content tag-sheet-panel">
+        <div className="modal-header">
+          <h2>Print Device Tags</h2>
+          <p>
+            Stick a tag on each device. Anyone who finds it can scan the code to message you without
+            seeing your details, and the library desk can type in the code if the QR won't scan.
+          </p>
+        </div>
+
+        <div className="device-sharing-devices">
+          {devices.map(device => (
+            <label key={device.device_id}>
+              <input
+                type="checkbox"
+                checked={selectedDeviceIds.includes(device.device_id)}
+                onChange={() => toggleDevice(device.device_id)}
+              />
+              {device.device_name || device.device_id}
+            </label>
+          ))}
+        </div>
+        <label className="tag-sheet-option">
+          <input type="checkbox" checked={showNames} onChange={(e) => setShowNames(e.target.checked)} />
+          Print device names on the tags
+        </label>
+
+        {selectedDevices.length === 0 ? (
+          <p className="history-message">Choose at least one device to print a tag for.</p>
+        ) : (
+          <div className="device-tag-preview">{labels}</div>
+        )}
+
+        <div className="modal-actions">
+          <button className="btn btn-small btn-primary" onClick={() => window.print()} disabled={selectedDevices.length === 0}>
+            🖨 Print {selectedDevices.length} {selectedDevices.length === 1 ? 'tag' : 'tags'}
+          </button>
+          <button className="btn btn-small btn-secondary" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+      {createPortal(<div className="device-tag-print-sheet">{labels}</div>, document.body)}
+    </div>
+  );
+};
+
+export default DeviceTagSheet;
@@ -0,0 +1,36 @@
+import React, { useState } from 'react';
+import { resendVerificationEmail } from './accountSecurity';
+
+// Shown until the address is verified, since password reset links can only go to a verified inbox
+const EmailVerificationBanner = ({ email }) => {
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const resend = async () => {
+    setBusy(true);
+    setMessage(null);
+    try {
+      await resendVerificationEmail(email);
+      setMessage({ type: 'success', text: 'Sent. The link works for 48 hours.' });
+    } catch (err) {
+      console.error('Failed to resend verification email:', err);
+      setMessage({ type: 'error', text: `Could not send the email: ${err.message}` });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="email-verification-banner">
+      <span>
+        ✉️ Please verify your email. We sent a link to <strong>{email}</strong>; you'll need it to reset a forgotten password.
+      </span>
+      <button className="btn btn-small btn-secondary" onClick={resend} disabled={busy}>
+        {busy ? 'Sending...' : 'Resend link'}
+      </button>
+      {message && <span className={`email-verification-${message.type}`}>{message.text}</span>}
+    </div>
+  );
+};
+
+export default EmailVerificationBanner;
@@ -0,0 +1,58 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import MessageThread from './MessageThread';
+import { fetchConversation, sendMessage, markConversationRead } from './messaging';
+
+// The owner's side of a finder report, shown in the alert drawer. The report is a conversation, so
+// the same thread also appears on the Messages page.
+const FinderReportPanel = ({ alert }) => {
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setReport(null);
+    loadReport();
+  }, [alert.report_id]);
+
+  const loadReport = async () => {
+    setError('');
+    try {
+      setReport(await fetchConversation(alert.report_id));
+      markConversationRead(alert.report_id)
+        .catch(err => console.error('Failed to mark finder report read:', err));
+    } catch (err) {
+      console.error('Failed to load finder report:', err);
+      setError(`Could not load the finder's report: ${err.message}`);
+    }
+  };
+
+  const sendReply = async (body) => {
+    await sendMessage(alert.report_id, body);
+    await loadReport();
+  };
+
+  return (
+    <div className="finder-report">
+      <div className="insights-header">
+        <h4>Finder's Report</h4>
+        <Link to={`/messages/${alert.report_id}`} className="btn btn-small btn-secondary">Open in Messages</Link>
+        <button className="btn btn-small btn-secondary" onClick={loadReport}>🔄 Refresh</button>
+      </div>
+      {error && <p className="history-message history-error">{error}</p>}
+      {!report && !error && <p className="history-message">Loading report...</p>}
+      {report && (
+        <>
+          <p>
+            <strong>Finder's contact:</strong> {report.contact || 'Not given - reply below and they will see it on the report page.'}
+          </p>
+          {report.photo && (
+            <img className="finder-report-photo" src={report.photo} alt="What the finder found" />
+          )}
+          <MessageThread messages={report.messages} viewer={report.role} placeholder="Reply to the finder" onSend={sendReply} />
+        </>
+      )}
+    </div>
+  );
+};
+
+export default FinderReportPanel;
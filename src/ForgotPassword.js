@@ -0,0 +1,65 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { requestPasswordReset, describeAccountError } from './accountSecurity';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [sentTo, setSentTo] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError('');
+    try {
+      await requestPasswordReset(email.trim());
+      setSentTo(email.trim());
+    } catch (err) {
+      console.error('Password reset request failed:', err);
+      setError(describeAccountError(err));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="auth-box">
+      <h2 className="auth-title">Forgot Password</h2>
+      {sentTo ? (
+        <div className="auth-notice">
+          If an account exists for <strong>{sentTo}</strong>, we've emailed it a link to choose a new password.
+          The link works for one hour. Check your spam folder if it hasn't arrived in a few minutes.
+        </div>
+      ) : (
+        <>
+          <p className="auth-intro">Enter the email you registered with and we'll send you a link to reset your password.</p>
+          {error && <div className="error-message">{error}</div>}
+          <form onSubmit={handleSubmit}>
+            <div className="form-group">
+              <input
+                type="email"
+                className="form-input"
+                placeholder="Email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                required
+              />
+            </div>
+            <button type="submit" className="btn" disabled={submitting}>
+              {submitting ? 'Sending...' : 'Send Reset Link'}
+            </button>
+          </form>
+        </>
+      )}
+      <div className="auth-switch">
+        Remembered it?{' '}
+        <Link className="auth-link" to="/login">
+          Back to login
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
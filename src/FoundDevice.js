@@ -0,0 +1,304 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import MessageThread from './MessageThread';
+import {
+  fetchFoundDevice,
+  submitFinderReport,
+  fetchReportThread,
+  sendReportMessage,
+  getSavedFinderReport,
+  saveFinderReport,
+  resizePhoto
+} from './finderReports';
+import { normalizeTagCode, isTagCode } from './tagCodes';
+import config from './config';
+
+// Public page behind the QR tag and lock-screen URL. Nothing here needs an account, and nothing
+// about the owner is shown; the finder's message reaches them as an alert. Without a device id it
+// asks for the code printed on the tag, and the backend accepts that code in place of the id.
+const FoundDevice = () => {
+  const { deviceId } = useParams();
+  const navigate = useNavigate();
+  const [enteredCode, setEnteredCode] = useState('');
+  const [codeError, setCodeError] = useState('');
+  const [device, setDevice] = useState(null);
+  const [status, setStatus] = useState('loading');
+  const [message, setMessage] = useState('');
+  const [contact, setContact] = useState('');
+  const [photo, setPhoto] = useState(null);
+  const [location, setLocation] = useState(null);
+  const [locating, setLocating] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+  const [report, setReport] = useState(null);
+  const [thread, setThread] = useState(null);
+
+  // The page stays mounted when another tag code is entered, so nothing from the last device carries over
+  useEffect(() => {
+    setDevice(null);
+    setStatus('loading');
+    setMessage('');
+    setContact('');
+    setPhoto(null);
+    setLocation(null);
+    setError('');
+    setReport(getSavedFinderReport(deviceId));
+    setThread(null);
+
+    if (!deviceId) return;
+
+    let cancelled = false;
+    fetchFoundDevice(deviceId)
+      .then(found => {
+        if (cancelled) return;
+        setDevice(found);
+        setStatus('ready');
+      })
+      .catch(err => {
+        if (cancelled) return;
+        console.error('Failed to look up found device:', err);
+        setStatus(err.status === 404 ? 'not_found' : 'error');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [deviceId]);
+
+  useEffect(() => {
+    if (!report) return;
+
+    loadThread();
+    const pollInterval = setInterval(loadThread, config.FINDER.THREAD_POLL_INTERVAL);
+    return () => clearInterval(pollInterval);
+  }, [report]);
+
+  const loadThread = async () => {
+    try {
+      setThread(await fetchReportThread(report.report_id, report.finder_token));
+    } catch (err) {
+      console.error('Failed to load report thread:', err);
+      if (err.status === 404) {
+        // The report is gone (or the token is from an old backend); let them report again
+        saveFinderReport(deviceId, null);
+        setReport(null);
+      }
+    }
+  };
+
+  const submitCode = (e) => {
+    e.preventDefault();
+    if (!isTagCode(enteredCode)) {
+      setCodeError('Tag codes are 8 letters and numbers, like K7QX-M2PD. Check the code and try again.');
+      return;
+    }
+    setCodeError('');
+    navigate(`/found/${normalizeTagCode(enteredCode)}`);
+  };
+
+  const choosePhoto = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setError('');
+    try {
+      setPhoto(await resizePhoto(file));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const addLocation = () => {
+    if (!navigator.geolocation) {
+      setError('This browser cannot share its location. Describe where you found the device instead.');
+      return;
+    }
+    setLocating(true);
+    setError('');
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        setLocation({
+          latitude: position.coords.latitude,
+          longitude: position.coords.longitude,
+          accuracy: position.coords.accuracy,
+          timestamp: new Date(position.timestamp).toISOString()
+        });
+        setLocating(false);
+      },
+      (geoError) => {
+        console.error('Finder location failed:', geoError);
+        setError('Your location could not be read. Describe where you found the device instead.');
+        setLocating(false);
+      },
+      { enableHighAccuracy: true, timeout: 10000, maximumAge: 0 }
+    );
+  };
+
+  const submitReport = async (e) => {
+    e.preventDefault();
+    if (!message.trim()) {
+      setError('Tell the owner where the device is or how to get it back.');
+      return;
+    }
+
+    setSubmitting(true);
+    setError('');
+    try {
+      const result = await submitFinderReport(device.device_id, {
+        message: message.trim(),
+        contact: contact.trim() || null,
+        photo,
+        location
+      });
+      const saved = { report_id: result.report_id, finder_token: result.finder_token };
+      saveFinderReport(deviceId, saved);
+      setReport(saved);
+    } catch (err) {
+      console.error('Failed to send finder report:', err);
+      setError(`Your report was not sent: ${err.message}`);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const sendFollowUp = async (body) => {
+    await sendReportMessage(report.report_id, report.finder_token, body);
+    await loadThread();
+  };
+
+  const startNewReport = () => {
+    saveFinderReport(deviceId, null);
+    setReport(null);
+    setThread(null);
+    setMessage('');
+    setPhoto(null);
+    setLocation(null);
+  };
+
+  if (!deviceId) {
+    return (
+      <div className="auth-box found-device-box">
+        <h2 className="auth-title">Found a Device?</h2>
+        <p className="found-device-intro">
+          Enter the code printed under the QR code on the device's tag and we'll help you get it back to its owner.
+        </p>
+        {codeError && <div className="error-message">{codeError}</div>}
+        <form onSubmit={submitCode}>
+          <div className="form-group">
+            <input
+              type="text"
+              className="form-input pairing-code-input"
+              placeholder="Tag code"
+              value={enteredCode}
+              onChange={(e) => setEnteredCode(e.target.value)}
+              autoCapitalize="characters"
+              required
+            />
+          </div>
+          <button type="submit" className="btn">Continue</button>
+        </form>
+      </div>
+    );
+  }
+
+  return (
+    <div className="auth-box found-device-box">
+      <h2 className="auth-title">Found This Device?</h2>
+
+      {status === 'loading' && <p>Looking up this tag...</p>}
+      {status === 'not_found' && (
+        <div className="error-message">
+          This tag doesn't match a registered device. Check the code, or hand the device in to campus security.
+        </div>
+      )}
+      {status === 'error' && (
+        <div className="error-message">
+          The lost-and-found service can't be reached right now. Please try again shortly or hand the device in to campus security.
+        </div>
+      )}
+
+      {status === 'ready' && report && (
+        <>
+          <p className="found-device-intro">
+            Thank you! The owner has been notified. Replies from them appear here, so keep this page
+            open or come back to this link later.
+          </p>
+          {thread ? (
+            <MessageThread
+              messages={thread.messages}
+              viewer="finder"
+              placeholder="Send the owner another message"
+              onSend={sendFollowUp}
+            />
+          ) : (
+            <p>Loading your conversation...</p>
+          )}
+          <button type="button" className="btn btn-secondary found-device-restart" onClick={startNewReport}>
+            Start a new report
+          </button>
+        </>
+      )}
+
+      {status === 'ready' && !report && (
+        <form onSubmit={submitReport}>
+          <p className="found-device-intro">
+            {device.is_lost
+              ? 'The owner has reported this device as lost. '
+              : ''}
+            Send the owner a message and we'll pass it on. Your message goes to them without revealing
+            their details, or yours unless you add them.
+          </p>
+          {error && <div className="error-message">{error}</div>}
+          <div className="form-group">
+            <label>Message to the owner:</label>
+            <textarea
+              className="form-input"
+              rows={4}
+              placeholder="Where did you find it, and where can they collect it?"
+              value={message}
+              onChange={(e) => setMessage(e.target.value)}
+              maxLength={1000}
+              required
+            />
+          </div>
+          <div className="form-group">
+            <label>Your phone or email (optional):</label>
+            <input
+              type="text"
+              className="form-input"
+              value={contact}
+              onChange={(e) => setContact(e.target.value)}
+              maxLength={200}
+            />
+          </div>
+          <div className="form-group">
+            <label>Photo (optional):</label>
+            <input type="file" accept="image/*" capture="environment" onChange={choosePhoto} />
+            {photo && (
+              <div className="found-device-photo">
+                <img src={photo} alt="Found device" />
+                <button type="button" className="btn btn-small btn-secondary" onClick={() => setPhoto(null)}>Remove photo</button>
+              </div>
+            )}
+          </div>
+          <div className="form-group">
+            {location ? (
+              <div className="found-device-location">
+                📍 Location added (±{Math.round(location.accuracy)}m)
+                <button type="button" className="btn btn-small btn-secondary" onClick={() => setLocation(null)}>Remove</button>
+              </div>
+            ) : (
+              <button type="button" className="btn btn-secondary" onClick={addLocation} disabled={locating}>
+                {locating ? 'Getting your location...' : '📍 Add where I am now'}
+              </button>
+            )}
+          </div>
+          <button type="submit" className="btn" disabled={submitting}>
+            {submitting ? 'Sending...' : 'Send to Owner'}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default FoundDevice;
@@ -0,0 +1,129 @@
+import React, { useState } from 'react';
+import { GEOFENCE_EVENT_TYPES } from './geofenceEngine';
+
+const EVENT_LABELS = {
+  enter: 'enters',
+  exit: 'leaves',
+  dwell: 'stays a long time in'
+};
+
+const createRuleId = () => `rule_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+
+const GeofenceRules = ({ devices, sections, rules, onSave }) => {
+  const [deviceId, setDeviceId] = useState('any');
+  const [eventType, setEventType] = useState('exit');
+  const [sectionId, setSectionId] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const getDeviceName = (id) => {
+    if (id === 'any') return 'Any device';
+    const device = devices.find(d => d.device_id === id);
+    return device ? device.device_name : id;
+  };
+
+  const getSectionName = (id) => {
+    const section = sections.find(s => s.id === id);
+    return section ? section.name : 'a removed section';
+  };
+
+  const persist = async (nextRules) => {
+    setSaving(true);
+    setError('');
+    try {
+      await onSave(nextRules);
+    } catch (err) {
+      console.error('Failed to save geofence rules:', err);
+      setError(`Failed to save rules: ${err.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const addRule = async (e) => {
+    e.preventDefault();
+    const selectedSectionId = sectionId || (sections[0] && sections[0].id);
+    if (!selectedSectionId) {
+      setError('There are no campus sections to watch yet.');
+      return;
+    }
+
+    const duplicate = rules.some(rule =>
+      rule.device_id === deviceId && rule.section_id === selectedSectionId && rule.event === eventType
+    );
+    if (duplicate) {
+      setError('That rule already exists.');
+      return;
+    }
+
+    await persist([
+      ...rules,
+      { rule_id: createRuleId(), device_id: deviceId, section_id: selectedSectionId, event: eventType, enabled: true }
+    ]);
+  };
+
+  const toggleRule = (ruleId) => {
+    persist(rules.map(rule => rule.rule_id === ruleId ? { ...rule, enabled: rule.enabled === false } : rule));
+  };
+
+  const removeRule = (ruleId) => {
+    persist(rules.filter(rule => rule.rule_id !== ruleId));
+  };
+
+  return (
+    <div className="geofence-rules">
+      <p className="geofence-rules-hint">
+        Every section change shows up in your alerts. Rules mark the ones you care about as high severity.
+      </p>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {rules.length === 0 ? (
+        <p className="history-message">No rules yet.</p>
+      ) : (
+        <ul className="geofence-rule-list">
+          {rules.map(rule => (
+            <li key={rule.rule_id} className={`geofence-rule ${rule.enabled === false ? 'disabled' : ''}`}>
+              <span>
+                Alert me if <strong>{getDeviceName(rule.device_id)}</strong> {EVENT_LABELS[rule.event]} <strong>{getSectionName(rule.section_id)}</strong>
+              </span>
+              <div className="geofence-rule-actions">
+                <button className="btn btn-small" onClick={() => toggleRule(rule.rule_id)} disabled={saving}>
+                  {rule.enabled === false ? 'Enable' : 'Disable'}
+                </button>
+                <button className="btn btn-small btn-secondary" onClick={() => removeRule(rule.rule_id)} disabled={saving}>
+                  Remove
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form className="geofence-rule-form" onSubmit={addRule}>
+        <span>Alert me if</span>
+        <select className="form-input" value={deviceId} onChange={(e) => setDeviceId(e.target.value)}>
+          <option value="any">Any device</option>
+          {devices.map(device => (
+            <option key={device.device_id} value={device.device_id}>{device.device_name}</option>
+          ))}
+        </select>
+        <select className="form-input" value={eventType} onChange={(e) => setEventType(e.target.value)}>
+          {GEOFENCE_EVENT_TYPES.map(type => (
+            <option key={type} value={type}>{EVENT_LABELS[type]}</option>
+          ))}
+        </select>
+        <select className="form-input" value={sectionId} onChange={(e) => setSectionId(e.target.value)}>
+          {sections.map(section => (
+            <option key={section.id} value={section.id}>{section.name}</option>
+          ))}
+        </select>
+        <button type="submit" className="btn btn-small btn-primary" disabled={saving || sections.length === 0}>
+          Add Rule
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default GeofenceRules;
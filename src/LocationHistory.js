@@ -0,0 +1,212 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { apiRequest } from './App';
+
+const TIME_RANGES = [
+  { value: '1h', label: 'Last hour', hours: 1 },
+  { value: '6h', label: 'Last 6 hours', hours: 6 },
+  { value: '24h', label: 'Last 24 hours', hours: 24 },
+  { value: '7d', label: 'Last 7 days', hours: 24 * 7 },
+  { value: 'custom', label: 'Custom range' }
+];
+
+const PLAYBACK_SPEEDS = [1, 2, 4, 8];
+const BASE_STEP_MS = 1000;
+
+const toDateTimeLocal = (date) => {
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+};
+
+const LocationHistory = ({ deviceId, userEmail, onTrailChange }) => {
+  const [range, setRange] = useState('1h');
+  const [customFrom, setCustomFrom] = useState(toDateTimeLocal(new Date(Date.now() - 3600000)));
+  const [customTo, setCustomTo] = useState(toDateTimeLocal(new Date()));
+  const [points, setPoints] = useState([]);
+  const [currentIndex, setCurrentIndex] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const playbackTimerRef = useRef(null);
+
+  useEffect(() => {
+    if (range !== 'custom') {
+      fetchHistory();
+    }
+  }, [deviceId, range]);
+
+  useEffect(() => {
+    onTrailChange(points.length > 0 ? { points, currentIndex } : null);
+  }, [points, currentIndex]);
+
+  // Clear the trail from the map when leaving the device page
+  useEffect(() => {
+    return () => onTrailChange(null);
+  }, []);
+
+  useEffect(() => {
+    if (!isPlaying) return;
+
+    playbackTimerRef.current = setInterval(() => {
+      setCurrentIndex(prev => Math.min(prev + 1, points.length - 1));
+    }, BASE_STEP_MS / speed);
+
+    return () => clearInterval(playbackTimerRef.current);
+  }, [isPlaying, speed, points.length]);
+
+  useEffect(() => {
+    if (isPlaying && currentIndex >= points.length - 1) {
+      setIsPlaying(false);
+    }
+  }, [isPlaying, currentIndex, points.length]);
+
+  const getRangeBounds = () => {
+    if (range === 'custom') {
+      return { from: new Date(customFrom), to: new Date(customTo) };
+    }
+    const selected = TIME_RANGES.find(r => r.value === range);
+    const to = new Date();
+    return { from: new Date(to.getTime() - selected.hours * 3600000), to };
+  };
+
+  const fetchHistory = async () => {
+    const { from, to } = getRangeBounds();
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+      setError('Choose a start time before the end time.');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+    setIsPlaying(false);
+
+    try {
+      const params = new URLSearchParams({
+        email: userEmail,
+        from: from.toISOString(),
+        to: to.toISOString()
+      });
+      const response = await apiRequest(`/devices/${deviceId}/history?${params}`);
+      const data = await response.json();
+      const history = (Array.isArray(data) ? data : data.history || [])
+        .filter(point => point.latitude && point.longitude)
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+      setPoints(history);
+      setCurrentIndex(history.length > 0 ? history.length - 1 : 0);
+    } catch (err) {
+      console.error('Failed to fetch location history:', err);
+      setError(err.message);
+      setPoints([]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const togglePlayback = () => {
+    if (isPlaying) {
+      setIsPlaying(false);
+      return;
+    }
+    // Start from the beginning when the scrubber is already at the end
+    if (currentIndex >= points.length - 1) {
+      setCurrentIndex(0);
+    }
+    setIsPlaying(true);
+  };
+
+  const formatTime = (timestamp) => new Date(timestamp).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    timeZone: 'Asia/Colombo'
+  });
+
+  const currentPoint = points[currentIndex];
+
+  return (
+    <div className="location-history">
+      <div className="section-header">
+        <h4>🕒 Location History</h4>
+        <select className="form-input history-range" value={range} onChange={(e) => setRange(e.target.value)}>
+          {TIME_RANGES.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {range === 'custom' && (
+        <div className="history-custom-range">
+          <input
+            type="datetime-local"
+            className="form-input"
+            value={customFrom}
+            onChange={(e) => setCustomFrom(e.target.value)}
+          />
+          <span>to</span>
+          <input
+            type="datetime-local"
+            className="form-input"
+            value={customTo}
+            onChange={(e) => setCustomTo(e.target.value)}
+          />
+          <button className="btn btn-small btn-primary" onClick={fetchHistory} disabled={loading}>
+            Load
+          </button>
+        </div>
+      )}
+
+      {loading && <p className="history-message">Loading history...</p>}
+      {error && <p className="history-message history-error">{error}</p>}
+      {!loading && !error && points.length === 0 && (
+        <p className="history-message">No positions recorded in this time range.</p>
+      )}
+
+      {points.length > 0 && (
+        <div className="history-playback">
+          <input
+            type="range"
+            className="history-scrubber"
+            min={0}
+            max={points.length - 1}
+            value={currentIndex}
+            onChange={(e) => {
+              setIsPlaying(false);
+              setCurrentIndex(Number(e.target.value));
+            }}
+          />
+          <div className="history-controls">
+            <button className="btn btn-small btn-primary" onClick={togglePlayback}>
+              {isPlaying ? '⏸ Pause' : '▶ Play'}
+            </button>
+            <div className="history-speeds">
+              {PLAYBACK_SPEEDS.map(option => (
+                <button
+                  key={option}
+                  className={`btn btn-small history-speed ${speed === option ? 'active' : ''}`}
+                  onClick={() => setSpeed(option)}
+                >
+                  {option}x
+                </button>
+              ))}
+            </div>
+          </div>
+          {currentPoint && (
+            <div className="history-position">
+              <span>{formatTime(currentPoint.timestamp)}</span>
+              <span>{currentIndex + 1} / {points.length}</span>
+              <span>
+                {currentPoint.latitude.toFixed(6)}, {currentPoint.longitude.toFixed(6)}
+                {currentPoint.accuracy && ` (±${Math.round(currentPoint.accuracy)}m)`}
+              </span>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LocationHistory;
@@ -1,19 +1,25 @@
 import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
 import { apiRequest } from './App';
+import { getDeviceId } from './deviceIdentity';
+import { isDemoMode } from './demoMode';
+import { describeAccountError } from './accountSecurity';
 
-const Login = ({ onLogin, onSwitchToRegister }) => {
+const Login = ({ onLogin }) => {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
+    setSubmitting(true);
 
     try {
       const response = await apiRequest('/login', {
         method: 'POST',
-        body: JSON.stringify({ email, password }),
+        body: JSON.stringify({ email, password, device_id: getDeviceId() }),
       });
 
       const data = await response.json();
@@ -21,20 +27,31 @@ const Login = ({ onLogin, onSwitchToRegister }) => {
       if (response.ok) {
         onLogin({ 
           email: data.email,
-          device_info: data.device_info 
+          role: data.role,
+          email_verified: data.email_verified,
+          device_info: data.device_info,
+          access_token: data.access_token,
+          refresh_token: data.refresh_token
         });
       } else {
         setError(data.error);
       }
     } catch (err) {
-      setError('Failed to connect to server. Make sure backend is running on port 5000 and check your network connection.');
+      setError(describeAccountError(err));
+    } finally {
+      setSubmitting(false);
     }
   };
 
   return (
     <div className="auth-box">
       <h2 className="auth-title">Login</h2>
-      {error && <div style={{color: 'red', marginBottom: '15px', textAlign: 'center'}}>{error}</div>}
+      {isDemoMode() && (
+        <div className="demo-login-notice">
+          Demo mode: any email and password work. Everything runs in this browser tab and nothing is sent to the real server.
+        </div>
+      )}
+      {error && <div className="error-message">{error}</div>}
       <form onSubmit={handleSubmit}>
         <div className="form-group">
           <input
@@ -56,13 +73,26 @@ const Login = ({ onLogin, onSwitchToRegister }) => {
             required
           />
         </div>
-        <button type="submit" className="btn">Login</button>
+        <button type="submit" className="btn" disabled={submitting}>
+          {submitting ? 'Logging in...' : 'Login'}
+        </button>
       </form>
+      <div className="auth-switch">
+        <Link className="auth-link" to="/forgot-password">
+          Forgot password?
+        </Link>
+      </div>
       <div className="auth-switch">
         Dont have an account?{' '}
-        <span className="auth-link" onClick={onSwitchToRegister}>
+        <Link className="auth-link" to="/register">
           Register here
-        </span>
+        </Link>
+      </div>
+      <div className="auth-switch">
+        Adding a device to a family account?{' '}
+        <Link className="auth-link" to="/pair">
+          Use a pairing code
+        </Link>
       </div>
     </div>
   );
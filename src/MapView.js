@@ -1,8 +1,10 @@
 import React, { useEffect, useRef, useState } from 'react';
-import { MapContainer, TileLayer, Marker, Popup, Polygon, useMap, Rectangle } from 'react-leaflet';
+import { MapContainer, TileLayer, Marker, Popup, Polygon, Polyline, Circle, CircleMarker, useMap, Rectangle } from 'react-leaflet';
 import 'leaflet/dist/leaflet.css';
 import L from 'leaflet';
 import config from './config';
+import { getFixStatus, describeFixStatus } from './locationFix';
+import { getSectionType } from './campusLayout';
 
 delete L.Icon.Default.prototype._getIconUrl;
 L.Icon.Default.mergeOptions({
@@ -12,10 +14,22 @@ L.Icon.Default.mergeOptions({
 });
 
 class CampusManager {
-  constructor(campusCenterLocation) {
+  constructor(campusCenterLocation, savedSections = null) {
     this.campusCenterLocation = campusCenterLocation;
-    this.campusBounds = this.generateCampusBounds();
-    this.sections = this.generateCampusSections();
+    // A layout drawn in the campus editor replaces the generated placeholder sections
+    this.isSavedLayout = !!(savedSections && savedSections.length > 0);
+    if (this.isSavedLayout) {
+      this.sections = savedSections;
+      this.campusBounds = this.getLayoutBounds(savedSections);
+    } else {
+      this.campusBounds = this.generateCampusBounds();
+      this.sections = this.generateCampusSections();
+    }
+  }
+
+  getLayoutBounds(sections) {
+    const bounds = this.getPolygonBounds(sections.flatMap(section => section.coordinates));
+    return [[bounds.south, bounds.west], [bounds.north, bounds.east]];
   }
 
   generateCampusBounds() {
@@ -50,42 +64,26 @@ class CampusManager {
     
     const sections = [
       {
-        id: 'library',
-        name: 'Library Section',
-        type: 'library',
-        color: '#3B82F6',
+        ...this.getSectionTemplate('library'),
         coordinates: this.generateRectangle(centerLat, centerLng, baseSize * 1.2, -baseSize * 1.2, baseSize * 2, baseSize * 1.8),
-        description: 'Library and study area with books and computers',
         width: '5m',
         height: '4.5m'
       },
       {
-        id: 'lab',
-        name: 'Laboratory Section',
-        type: 'lab',
-        color: '#10B981',
+        ...this.getSectionTemplate('lab'),
         coordinates: this.generateRectangle(centerLat, centerLng, baseSize * 1.2, baseSize * 1.2, baseSize * 2.5, baseSize * 2),
-        description: 'Science and computer laboratories with research equipment',
         width: '6m',
         height: '5m'
       },
       {
-        id: 'classroom',
-        name: 'Classroom Section',
-        type: 'classroom',
-        color: '#F59E0B',
+        ...this.getSectionTemplate('classroom'),
         coordinates: this.generateRectangle(centerLat, centerLng, -baseSize * 1.2, -baseSize * 1.2, baseSize * 1.8, baseSize * 1.6),
-        description: 'Lecture halls and classrooms for teaching',
         width: '4.5m',
         height: '4m'
       },
       {
-        id: 'admin',
-        name: 'Administration Section',
-        type: 'admin',
-        color: '#EF4444',
+        ...this.getSectionTemplate('admin'),
         coordinates: this.generateRectangle(centerLat, centerLng, -baseSize * 1.2, baseSize * 1.2, baseSize * 2, baseSize * 1.8),
-        description: 'Administrative offices and student services',
         width: '5m',
         height: '4.5m'
       }
@@ -96,6 +94,11 @@ class CampusManager {
     return sections;
   }
 
+  getSectionTemplate(type) {
+    const { name, color, description } = getSectionType(type);
+    return { id: type, name, type, color, description };
+  }
+
   generateRectangle(centerLat, centerLng, offsetLat, offsetLng, width, height) {
     const lat = centerLat + offsetLat;
     const lng = centerLng + offsetLng;
@@ -167,13 +170,7 @@ class CampusManager {
   }
 
   getZoneDescription(type) {
-    const descriptions = {
-      library: "Library and study area with books and computers",
-      lab: "Science and computer laboratories with research equipment",
-      classroom: "Lecture halls and classrooms for teaching",
-      admin: "Administrative offices and student services"
-    };
-    return descriptions[type] || "Campus section";
+    return getSectionType(type).description;
   }
 
   isInCampus(lat, lng) {
@@ -203,8 +200,9 @@ class CampusManager {
       const xi = polygon[i][1], yi = polygon[i][0];
       const xj = polygon[j][1], yj = polygon[j][0];
       
-      const intersect = ((yi > lng) !== (yj > lng)) &&
-          (lat < (xj - xi) * (lng - yi) / (yj - yi) + xi);
+      // x is longitude and y is latitude for both the vertices and the test point
+      const intersect = ((yi > lat) !== (yj > lat)) &&
+          (lng < (xj - xi) * (lat - yi) / (yj - yi) + xi);
       if (intersect) inside = !inside;
     }
     return inside;
@@ -223,7 +221,30 @@ class CampusManager {
   }
 }
 
-const createAdvancedDirectionalIcon = (color, heading, speed, isMobile, isCurrentDevice, gpsQuality, simulatedMovement, isFirstDevice = false) => {
+const createAdvancedDirectionalIcon = (color, heading, speed, isMobile, isCurrentDevice, gpsQuality, isStale, isFirstDevice = false, isLost = false) => {
+  const lostIndicator = isLost ? `
+    <div class="lost-marker-ring"></div>
+    <div class="lost-marker-badge">🚨 LOST</div>
+  ` : '';
+
+  const staleIndicator = isStale ? `
+    <div style="
+      position: absolute;
+      top: 50%;
+      left: 100%;
+      margin-left: 4px;
+      transform: translateY(-50%);
+      background: #6B7280;
+      color: white;
+      padding: 1px 5px;
+      border-radius: 8px;
+      font-size: 9px;
+      font-weight: bold;
+      white-space: nowrap;
+      border: 1px solid white;
+    ">STALE</div>
+  ` : '';
+
   if (isMobile) {
     const pulseAnimation = isCurrentDevice ? `
       @keyframes pulse {
@@ -274,6 +295,7 @@ const createAdvancedDirectionalIcon = (color, heading, speed, isMobile, isCurren
           width: 32px;
           height: 32px;
         ">
+          ${lostIndicator}
           ${isCurrentDevice ? `
             <div style="
               position: absolute;
@@ -315,6 +337,7 @@ const createAdvancedDirectionalIcon = (color, heading, speed, isMobile, isCurren
           "></div>
           
           ${qualityIndicator}
+          ${staleIndicator}
           ${firstDeviceIndicator}
         </div>
       `,
@@ -323,7 +346,7 @@ const createAdvancedDirectionalIcon = (color, heading, speed, isMobile, isCurren
     });
   }
 
-  // Desktop device icon with movement indicator
+  // Desktop device icon
   const firstDeviceIndicator = isFirstDevice ? `
     <div style="
       position: absolute;
@@ -342,27 +365,6 @@ const createAdvancedDirectionalIcon = (color, heading, speed, isMobile, isCurren
     ">🏫 CAMPUS</div>
   ` : '';
 
-  const simulationIndicator = simulatedMovement ? `
-    <div style="
-      position: absolute;
-      top: -5px;
-      right: -5px;
-      width: 10px;
-      height: 10px;
-      border-radius: 50%;
-      background: #10B981;
-      border: 2px solid white;
-      box-shadow: 0 1px 3px rgba(0,0,0,0.3);
-      animation: blink 1s infinite;
-    "></div>
-    <style>
-      @keyframes blink {
-        0%, 100% { opacity: 1; }
-        50% { opacity: 0.5; }
-      }
-    </style>
-  ` : '';
-
   return L.divIcon({
     className: 'computer-device-icon',
     html: `
@@ -371,6 +373,7 @@ const createAdvancedDirectionalIcon = (color, heading, speed, isMobile, isCurren
         width: 28px;
         height: 28px;
       ">
+        ${lostIndicator}
         <div style="
           width: 22px;
           height: 22px;
@@ -383,7 +386,7 @@ const createAdvancedDirectionalIcon = (color, heading, speed, isMobile, isCurren
           left: 50%;
           transform: translate(-50%, -50%);
         "></div>
-        ${simulationIndicator}
+        ${staleIndicator}
         ${firstDeviceIndicator}
       </div>
     `,
@@ -577,13 +580,20 @@ function CampusSectionsRenderer({ sections, campusCenterDevice }) {
               <h4>🏢 {section.name}</h4>
               <p><strong>Type:</strong> <span className={`section-${section.type}`}>{section.type.toUpperCase()}</span></p>
               <p><strong>Description:</strong> {section.description}</p>
-              <p><strong>Size:</strong> {section.width} × {section.height}</p>
+              {section.width && section.height && (
+                <p><strong>Size:</strong> {section.width} × {section.height}</p>
+              )}
               <p>
                 <strong>Campus Center:</strong> Fixed location
               </p>
-              <p>
-                <strong>Campus Creator:</strong> {campusCenterDevice?.device_name || 'First Device'}
-              </p>
+              {!section.width && (
+                <p><strong>Source:</strong> Saved campus layout</p>
+              )}
+              {section.width && (
+                <p>
+                  <strong>Campus Creator:</strong> {campusCenterDevice?.device_name || 'First Device'}
+                </p>
+              )}
               <p><em>Campus location is fixed and does not move with devices</em></p>
             </div>
           </Popup>
@@ -593,7 +603,7 @@ function CampusSectionsRenderer({ sections, campusCenterDevice }) {
   );
 }
 
-function CampusBoundaryRenderer({ campusBounds }) {
+function CampusBoundaryRenderer({ campusBounds, sectionCount, isSavedLayout }) {
   if (!campusBounds) return null;
 
   return (
@@ -613,9 +623,18 @@ function CampusBoundaryRenderer({ campusBounds }) {
           <h4>🏫 University Campus</h4>
           <p><strong>Main Campus Area</strong></p>
           <p><strong>Fixed Location:</strong> Campus does not move with devices</p>
-          <p><strong>Dimensions:</strong> 20m × 20m</p>
-          <p><strong>Sections:</strong> 4 properly separated rectangular sections</p>
-          <p><em>Campus center is fixed at the location where the first device registered</em></p>
+          {isSavedLayout ? (
+            <>
+              <p><strong>Sections:</strong> {sectionCount} buildings from the saved campus layout</p>
+              <p><em>Campus layout is maintained by campus staff in the campus editor</em></p>
+            </>
+          ) : (
+            <>
+              <p><strong>Dimensions:</strong> 20m × 20m</p>
+              <p><strong>Sections:</strong> 4 properly separated rectangular sections</p>
+              <p><em>Campus center is fixed at the location where the first device registered</em></p>
+            </>
+          )}
         </div>
       </Popup>
     </Rectangle>
@@ -629,108 +648,186 @@ function StableDevicesRenderer({ devices, campusManager, getMarkerColor, getStat
         const currentSection = getCurrentSection(device);
         const gpsQuality = device.last_location?.gps_quality;
         const isCampusCenterDevice = campusCenterDeviceId && device.device_id === campusCenterDeviceId;
-        const simulatedMovement = device.simulated_movement || false;
+        const fixStatus = getFixStatus(device.last_location);
+        const isStale = fixStatus === 'stale';
+        const position = [device.last_location.latitude, device.last_location.longitude];
         
         return (
-          <Marker
-            key={`${device.device_id}-${index}`}
-            position={[device.last_location.latitude, device.last_location.longitude]}
-            icon={createAdvancedDirectionalIcon(
-              getMarkerColor(device), 
-              device.last_location.heading || 0,
-              device.last_location.speed || 0,
-              device.is_mobile,
-              isCurrentDevice(device),
-              gpsQuality,
-              simulatedMovement,
-              isCampusCenterDevice
+          <React.Fragment key={`${device.device_id}-${index}`}>
+            {device.last_location.accuracy > 0 && (
+              // The device is somewhere inside this circle; a stale fix is drawn dashed and grey
+              <Circle
+                center={position}
+                radius={device.last_location.accuracy}
+                interactive={false}
+                pathOptions={{
+                  color: isStale ? '#6B7280' : getMarkerColor(device),
+                  fillColor: isStale ? '#6B7280' : getMarkerColor(device),
+                  fillOpacity: isStale ? 0.05 : 0.12,
+                  weight: 1,
+                  dashArray: isStale ? '4, 6' : null
+                }}
+              />
             )}
-          >
-            <Popup>
-              <div className="popup-content">
-                <strong>{device.device_name || `Device ${index + 1}`}</strong>
-                {isCampusCenterDevice && (
-                  <div style={{
-                    background: '#6366F1',
-                    color: 'white',
-                    padding: '4px 8px',
-                    borderRadius: '4px',
-                    fontSize: '12px',
-                    fontWeight: 'bold',
-                    margin: '5px 0'
-                  }}>
-                    🏫 CAMPUS CREATOR
-                  </div>
-                )}
-                <div className="popup-details">
-                  <div><strong>Type:</strong> {device.is_mobile ? '📱 Mobile' : '💻 Computer'}</div>
-                  <div><strong>Status:</strong> {getStatusText(device)}</div>
-                  {simulatedMovement && (
-                    <div>
-                      <strong>Simulated Movement:</strong> 
-                      <span style={{color: '#10B981', fontWeight: 'bold'}}> Active</span>
-                      <br/>
-                      <small>Network location with simulated movement for better UX</small>
+            <Marker
+              position={position}
+              icon={createAdvancedDirectionalIcon(
+                getMarkerColor(device), 
+                device.last_location.heading || 0,
+                device.last_location.speed || 0,
+                device.is_mobile,
+                isCurrentDevice(device),
+                gpsQuality,
+                isStale,
+                isCampusCenterDevice,
+                device.is_lost
+              )}
+              zIndexOffset={device.is_lost ? 1000 : 0}
+            >
+              <Popup>
+                <div className="popup-content">
+                  <strong>{device.device_name || `Device ${index + 1}`}</strong>
+                  {isCampusCenterDevice && (
+                    <div style={{
+                      background: '#6366F1',
+                      color: 'white',
+                      padding: '4px 8px',
+                      borderRadius: '4px',
+                      fontSize: '12px',
+                      fontWeight: 'bold',
+                      margin: '5px 0'
+                    }}>
+                      🏫 CAMPUS CREATOR
                     </div>
                   )}
-                  {gpsQuality && (
-                    <div>
-                      <strong>GPS Quality:</strong> 
-                      <span className={`gps-quality ${gpsQuality}`} style={{marginLeft: '5px'}}>
-                        {gpsQuality.toUpperCase()}
-                      </span>
-                    </div>
+                  {device.shared_by && (
+                    <div className="shared-badge">👥 Shared by {device.shared_by}</div>
                   )}
-                  {currentSection && (
-                    <div>
-                      <strong>Location:</strong> {currentSection.name}
-                      <span style={{color: currentSection.color, fontWeight: 'bold'}}> • {currentSection.type.toUpperCase()}</span>
-                      <br/>
-                      <small>Inside {currentSection.width} × {currentSection.height} section</small>
+                  {device.is_lost && (
+                    <div className="lost-banner">
+                      🚨 LOST{device.lost_since && ` since ${new Date(device.lost_since).toLocaleString('en-US', { timeZone: 'Asia/Colombo' })}`}
                     </div>
                   )}
-                  {!currentSection && campusManager && campusManager.isInCampus(
-                    device.last_location.latitude, 
-                    device.last_location.longitude
-                  ) && (
-                    <div><strong>Location:</strong> On Campus (Between sections)</div>
-                  )}
-                  {!currentSection && campusManager && !campusManager.isInCampus(
-                    device.last_location.latitude, 
-                    device.last_location.longitude
-                  ) && (
-                    <div><strong>Location:</strong> Outside Campus</div>
-                  )}
-                  <div><strong>Coordinates:</strong> {device.last_location.latitude.toFixed(6)}, {device.last_location.longitude.toFixed(6)}</div>
-                  {device.last_location.accuracy && (
-                    <div><strong>Accuracy:</strong> ±{Math.round(device.last_location.accuracy)}m</div>
-                  )}
-                  {device.last_location.heading && (
-                    <div><strong>Heading:</strong> {device.last_location.heading.toFixed(1)}°</div>
-                  )}
-                  {device.last_location.speed > 0 && (
-                    <div><strong>Speed:</strong> {(device.last_location.speed * 3.6).toFixed(1)} km/h</div>
-                  )}
-                  {isCurrentDevice(device) && (
-                    <div><strong>📍 Current Device - Live Tracking</strong></div>
-                  )}
-                  {isCampusCenterDevice && campusCenterLocation && (
-                    <div style={{marginTop: '5px', padding: '5px', background: '#f0f9ff', borderRadius: '4px'}}>
-                      <small>
-                        <strong>Campus Center:</strong> Fixed at (Lat: {campusCenterLocation.latitude.toFixed(6)}, Lng: {campusCenterLocation.longitude.toFixed(6)})
-                      </small>
+                  <div className="popup-details">
+                    {device.owner_email && (
+                      <div><strong>Owner:</strong> {device.owner_email}</div>
+                    )}
+                    <div><strong>Type:</strong> {device.is_mobile ? '📱 Mobile' : '💻 Computer'}</div>
+                    <div><strong>Status:</strong> {getStatusText(device)}</div>
+                    <div>
+                      <strong>Position:</strong> 
+                      <span className={`fix-status fix-${fixStatus}`}> {describeFixStatus(device.last_location)}</span>
                     </div>
-                  )}
+                    {gpsQuality && (
+                      <div>
+                        <strong>GPS Quality:</strong> 
+                        <span className={`gps-quality ${gpsQuality}`} style={{marginLeft: '5px'}}>
+                          {gpsQuality.toUpperCase()}
+                        </span>
+                      </div>
+                    )}
+                    {currentSection && (
+                      <div>
+                        <strong>Location:</strong> {currentSection.name}
+                        <span style={{color: currentSection.color, fontWeight: 'bold'}}> • {currentSection.type.toUpperCase()}</span>
+                        {currentSection.width && (
+                          <>
+                            <br/>
+                            <small>Inside {currentSection.width} × {currentSection.height} section</small>
+                          </>
+                        )}
+                      </div>
+                    )}
+                    {!currentSection && campusManager && campusManager.isInCampus(
+                      device.last_location.latitude, 
+                      device.last_location.longitude
+                    ) && (
+                      <div><strong>Location:</strong> On Campus (Between sections)</div>
+                    )}
+                    {!currentSection && campusManager && !campusManager.isInCampus(
+                      device.last_location.latitude, 
+                      device.last_location.longitude
+                    ) && (
+                      <div><strong>Location:</strong> Outside Campus</div>
+                    )}
+                    <div><strong>Coordinates:</strong> {device.last_location.latitude.toFixed(6)}, {device.last_location.longitude.toFixed(6)}</div>
+                    {device.last_location.accuracy && (
+                      <div><strong>Accuracy:</strong> ±{Math.round(device.last_location.accuracy)}m</div>
+                    )}
+                    {device.last_location.heading && (
+                      <div><strong>Heading:</strong> {device.last_location.heading.toFixed(1)}°</div>
+                    )}
+                    {device.last_location.speed > 0 && (
+                      <div><strong>Speed:</strong> {(device.last_location.speed * 3.6).toFixed(1)} km/h</div>
+                    )}
+                    {isCurrentDevice(device) && (
+                      <div><strong>📍 Current Device - Live Tracking</strong></div>
+                    )}
+                    {isCampusCenterDevice && campusCenterLocation && (
+                      <div style={{marginTop: '5px', padding: '5px', background: '#f0f9ff', borderRadius: '4px'}}>
+                        <small>
+                          <strong>Campus Center:</strong> Fixed at (Lat: {campusCenterLocation.latitude.toFixed(6)}, Lng: {campusCenterLocation.longitude.toFixed(6)})
+                        </small>
+                      </div>
+                    )}
+                  </div>
                 </div>
-              </div>
-            </Popup>
-          </Marker>
+              </Popup>
+            </Marker>
+          </React.Fragment>
         );
       })}
     </>
   );
 }
 
+function HistoryTrailRenderer({ history }) {
+  const map = useMap();
+  const fittedPointsRef = useRef(null);
+  const positions = history.points.map(point => [point.latitude, point.longitude]);
+  const currentPoint = history.points[history.currentIndex];
+
+  // Frame the whole trail once per loaded history, not on every playback step
+  useEffect(() => {
+    if (fittedPointsRef.current === history.points || positions.length === 0) return;
+    fittedPointsRef.current = history.points;
+    map.fitBounds(L.latLngBounds(positions), { padding: [30, 30], maxZoom: 20 });
+  }, [history.points, map]);
+
+  return (
+    <>
+      <Polyline
+        positions={positions}
+        pathOptions={{ color: '#6366F1', weight: 3, opacity: 0.35, dashArray: '6, 6' }}
+      />
+      <Polyline
+        positions={positions.slice(0, history.currentIndex + 1)}
+        pathOptions={{ color: '#6366F1', weight: 4, opacity: 0.9 }}
+      />
+      {currentPoint && (
+        <CircleMarker
+          center={[currentPoint.latitude, currentPoint.longitude]}
+          radius={8}
+          pathOptions={{ color: 'white', weight: 3, fillColor: '#6366F1', fillOpacity: 1 }}
+        >
+          <Popup>
+            <div className="popup-content">
+              <strong>History Position</strong>
+              <div className="popup-details">
+                <div><strong>Time:</strong> {new Date(currentPoint.timestamp).toLocaleString('en-US', { timeZone: 'Asia/Colombo' })}</div>
+                <div><strong>Coordinates:</strong> {currentPoint.latitude.toFixed(6)}, {currentPoint.longitude.toFixed(6)}</div>
+                {currentPoint.accuracy && (
+                  <div><strong>Accuracy:</strong> ±{Math.round(currentPoint.accuracy)}m</div>
+                )}
+              </div>
+            </div>
+          </Popup>
+        </CircleMarker>
+      )}
+    </>
+  );
+}
+
 const shouldUpdateMap = (currentDevices, lastPositions, lastCount) => {
   if (Math.abs(currentDevices.length - lastCount) > 0) return true;
   if (lastPositions.length === 0) return true;
@@ -777,7 +874,7 @@ const calculateZoom = (validDevices) => {
   return 17;
 };
 
-const MapView = ({ devices, userLocation }) => {
+const MapView = ({ devices, userLocation, history, savedCampusSections, onCampusChange }) => {
   const [userInteracting, setUserInteracting] = useState(false);
   const [campusManager, setCampusManager] = useState(null);
   const [campusSections, setCampusSections] = useState([]);
@@ -865,18 +962,23 @@ const MapView = ({ devices, userLocation }) => {
       campusLocation = userLocation;
     }
     
-    if (config.CAMPUS_SETTINGS.AUTO_CREATE_CAMPUS && campusLocation) {
+    const hasSavedLayout = savedCampusSections && savedCampusSections.length > 0;
+
+    if (hasSavedLayout || (config.CAMPUS_SETTINGS.AUTO_CREATE_CAMPUS && campusLocation)) {
       try {
-        console.log('Creating campus at fixed location:', campusLocation);
-        const manager = new CampusManager(campusLocation);
+        console.log(hasSavedLayout ? 'Using saved campus layout' : 'Creating campus at fixed location:', campusLocation);
+        const manager = new CampusManager(campusLocation, savedCampusSections);
         setCampusManager(manager);
         setCampusSections(manager.sections);
         setCampusBounds(manager.campusBounds);
+        if (onCampusChange) {
+          onCampusChange(manager);
+        }
       } catch (error) {
         console.error('Error creating campus sections:', error);
       }
     }
-  }, [campusCenterLocation, firstDevice, userLocation]);
+  }, [campusCenterLocation, firstDevice, userLocation, savedCampusSections]);
 
   const validDevices = devices.filter(device => 
     device.last_location && 
@@ -973,7 +1075,7 @@ const MapView = ({ devices, userLocation }) => {
       />
       <MapController onUserInteraction={handleUserInteraction} />
       
-      {mapReady && (
+      {mapReady && !history && (
         <StableMapUpdater 
           devices={devices} 
           userInteracting={userInteracting} 
@@ -989,8 +1091,12 @@ const MapView = ({ devices, userLocation }) => {
         updateWhenZooming={false}
       />
 
-      {campusBounds && config.CAMPUS_SETTINGS.AUTO_CREATE_CAMPUS && (
-        <CampusBoundaryRenderer campusBounds={campusBounds} />
+      {campusBounds && (config.CAMPUS_SETTINGS.AUTO_CREATE_CAMPUS || campusManager?.isSavedLayout) && (
+        <CampusBoundaryRenderer
+          campusBounds={campusBounds}
+          sectionCount={campusSections.length}
+          isSavedLayout={campusManager?.isSavedLayout}
+        />
       )}
       
       {campusSections.length > 0 && (
@@ -1013,6 +1119,10 @@ const MapView = ({ devices, userLocation }) => {
         />
       )}
 
+      {history && history.points.length > 0 && (
+        <HistoryTrailRenderer history={history} />
+      )}
+
       {validDevices.length === 0 && (
         <Marker position={getInitialCenter()}>
           <Popup>
@@ -1032,4 +1142,5 @@ const MapView = ({ devices, userLocation }) => {
   );
 };
 
-export default MapView;
\ No newline at end of file
+export default MapView;
+export { CampusManager };
\ No newline at end of file
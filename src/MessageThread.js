@@ -0,0 +1,60 @@
+import React, { useState } from 'react';
+import { SENDER_LABELS } from './messaging';
+
+const formatDateTime = (value) => new Date(value).toLocaleString('en-US', { timeZone: 'Asia/Colombo' });
+
+// Used by the Messages page, the alert drawer and the finder's public page; `viewer` decides which side is "You"
+const MessageThread = ({ messages, viewer, placeholder, onSend }) => {
+  const [draft, setDraft] = useState('');
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState('');
+
+  const submit = async (e) => {
+    e.preventDefault();
+    const body = draft.trim();
+    if (!body) return;
+
+    setSending(true);
+    setError('');
+    try {
+      await onSend(body);
+      setDraft('');
+    } catch (err) {
+      console.error('Failed to send message:', err);
+      setError(`Your message was not sent: ${err.message}`);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="message-thread">
+      <ul className="message-thread-messages">
+        {messages.map((message, index) => (
+          <li key={`${message.created_at}-${index}`} className={`thread-message ${message.sender === viewer ? 'mine' : ''}`}>
+            <small>
+              {message.sender === viewer ? 'You' : SENDER_LABELS[message.sender] || message.sender} · {formatDateTime(message.created_at)}
+            </small>
+            <p>{message.body}</p>
+          </li>
+        ))}
+      </ul>
+      {error && <div className="status-message error">{error}</div>}
+      <form className="message-thread-form" onSubmit={submit}>
+        <textarea
+          className="form-input"
+          rows={2}
+          placeholder={placeholder}
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          maxLength={1000}
+        />
+        <button type="submit" className="btn btn-small btn-primary" disabled={sending || !draft.trim()}>
+          {sending ? 'Sending...' : 'Send'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default MessageThread;
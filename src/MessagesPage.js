@@ -0,0 +1,128 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import MessageThread from './MessageThread';
+import {
+  SENDER_LABELS,
+  CONVERSATION_KINDS,
+  fetchConversation,
+  sendMessage,
+  markConversationRead
+} from './messaging';
+
+const formatDateTime = (value) => new Date(value).toLocaleString('en-US', { timeZone: 'Asia/Colombo' });
+
+const getPlaceholder = (conversation) => {
+  if (conversation.role === 'security') return 'Reply to the owner';
+  return conversation.kind === 'finder_report' ? 'Reply to the finder' : 'Message campus security';
+};
+
+// The conversation list comes from the dashboard, which keeps it current from the live channel; the open
+// thread is refetched whenever its summary says something new arrived.
+const MessagesPage = ({ user, conversations, selectedConversationId, onConversationsChanged }) => {
+  const [conversation, setConversation] = useState(null);
+  const [error, setError] = useState('');
+
+  const summary = conversations.find(c => c.conversation_id === selectedConversationId) || null;
+
+  useEffect(() => {
+    if (!selectedConversationId) {
+      setConversation(null);
+      return;
+    }
+    loadConversation();
+  }, [selectedConversationId, summary?.updated_at]);
+
+  const loadConversation = async () => {
+    setError('');
+    try {
+      const loaded = await fetchConversation(selectedConversationId);
+      setConversation(loaded);
+      if (loaded.unread_count > 0) {
+        await markConversationRead(selectedConversationId);
+        onConversationsChanged();
+      }
+    } catch (err) {
+      console.error('Failed to load conversation:', err);
+      setConversation(null);
+      setError(err.status === 404
+        ? 'This conversation does not exist or you are not part of it.'
+        : `Could not load the conversation: ${err.message}`);
+    }
+  };
+
+  const send = async (body) => {
+    await sendMessage(selectedConversationId, body);
+    await loadConversation();
+    onConversationsChanged();
+  };
+
+  return (
+    <div className="settings-page messages-page">
+      <div className="settings-section messages-list">
+        <h3>Messages</h3>
+        {conversations.length === 0 ? (
+          <p>
+            No conversations yet. Messages from people who find your devices appear here, and you can
+            contact campus security from a lost device's card.
+          </p>
+        ) : (
+          <ul>
+            {conversations.map(c => (
+              <li key={c.conversation_id}>
+                <Link
+                  to={`/messages/${c.conversation_id}`}
+                  className={`messages-list-item ${c.conversation_id === selectedConversationId ? 'active' : ''} ${c.unread_count > 0 ? 'unread' : ''}`}
+                >
+                  <div className="messages-list-header">
+                    <strong>{CONVERSATION_KINDS[c.kind] || c.kind} · {c.device_name || c.device_id}</strong>
+                    {c.unread_count > 0 && <span className="nav-badge">{c.unread_count}</span>}
+                  </div>
+                  {c.owner_email !== user.email && <small>{c.owner_email}</small>}
+                  {c.last_message && (
+                    <p>
+                      {c.last_message.sender === c.role ? 'You' : SENDER_LABELS[c.last_message.sender]}: {c.last_message.body}
+                    </p>
+                  )}
+                  <small>{formatDateTime(c.updated_at)}</small>
+                </Link>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <div className="settings-section messages-conversation">
+        {!selectedConversationId && conversations.length > 0 && <p>Choose a conversation to read it.</p>}
+        {error && <div className="status-message error">{error}</div>}
+        {selectedConversationId && !conversation && !error && <p className="history-message">Loading conversation...</p>}
+        {conversation && (
+          <>
+            <div className="insights-header">
+              <h3>{CONVERSATION_KINDS[conversation.kind] || conversation.kind} · {conversation.device_name || conversation.device_id}</h3>
+              <button className="btn btn-small btn-secondary" onClick={loadConversation}>🔄 Refresh</button>
+            </div>
+            {conversation.role === 'security' && <p>Owner: <strong>{conversation.owner_email}</strong></p>}
+            {conversation.kind === 'finder_report' && (
+              <>
+                <p>
+                  <strong>Finder's contact:</strong> {conversation.contact || 'Not given - reply below and they will see it on the report page.'}
+                </p>
+                {conversation.photo && (
+                  <img className="finder-report-photo" src={conversation.photo} alt="What the finder found" />
+                )}
+              </>
+            )}
+            <MessageThread
+              messages={conversation.messages}
+              viewer={conversation.role}
+              placeholder={getPlaceholder(conversation)}
+              onSend={send}
+            />
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MessagesPage;
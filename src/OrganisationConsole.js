@@ -0,0 +1,224 @@
+import React, { useState, useEffect } from 'react';
+import MapView from './MapView.js';
+import { STATUSES, getStatus, getStatusIcon, countStatuses } from './deviceStatus';
+import { fetchOrganisationOverview, matchesDeviceSearch } from './organisation';
+import { getAlertStatus, formatAlertType } from './alertWorkflow';
+import { describeFixStatus } from './locationFix';
+import config from './config';
+
+const formatDateTime = (value) => (value
+  ? new Date(value).toLocaleString('en-US', { timeZone: 'Asia/Colombo' })
+  : 'Never');
+
+const OrganisationConsole = ({ campusLayout }) => {
+  const [overview, setOverview] = useState(null);
+  const [error, setError] = useState('');
+  const [search, setSearch] = useState('');
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [openAlertsOnly, setOpenAlertsOnly] = useState(true);
+  const [refreshedAt, setRefreshedAt] = useState(null);
+
+  useEffect(() => {
+    loadOverview();
+    const refreshInterval = setInterval(loadOverview, config.ORGANISATION.REFRESH_INTERVAL);
+    return () => clearInterval(refreshInterval);
+  }, []);
+
+  const loadOverview = async () => {
+    try {
+      setOverview(await fetchOrganisationOverview());
+      setRefreshedAt(new Date().toISOString());
+      setError('');
+    } catch (err) {
+      console.error('Failed to load organisation overview:', err);
+      setError(err.status === 403
+        ? 'Your account does not have access to the organisation console.'
+        : `Could not load the organisation overview: ${err.message}`);
+    }
+  };
+
+  const devices = overview ? overview.devices : [];
+  const statusCounts = countStatuses(devices);
+  const lostCount = devices.filter(device => device.is_lost).length;
+
+  const visibleDevices = devices
+    .filter(device => matchesDeviceSearch(device, search))
+    .filter(device => statusFilter === 'all'
+      || (statusFilter === 'lost' ? device.is_lost : getStatus(device) === statusFilter))
+    // Lost devices first, then grouped by owner
+    .sort((a, b) => ((b.is_lost ? 1 : 0) - (a.is_lost ? 1 : 0))
+      || (a.owner_email || '').localeCompare(b.owner_email || ''));
+
+  const feedAlerts = overview
+    ? overview.alerts.filter(alert => !openAlertsOnly || getAlertStatus(alert) !== 'resolved')
+    : [];
+
+  const getDeviceName = (deviceId) => {
+    const device = devices.find(d => d.device_id === deviceId);
+    return device ? device.device_name : deviceId;
+  };
+
+  const toggleStatusFilter = (status) => setStatusFilter(statusFilter === status ? 'all' : status);
+
+  return (
+    <div className="org-console">
+      <div className="settings-section">
+        <div className="insights-header">
+          <h3>Organisation Overview</h3>
+          <button className="btn btn-small btn-secondary" onClick={loadOverview}>
+            🔄 Refresh
+          </button>
+        </div>
+        <p>
+          Every registered device on campus. Counts update every {config.ORGANISATION.REFRESH_INTERVAL / 1000} seconds;
+          click a count to filter the table and map.
+        </p>
+        <div className="org-status-counts">
+          {STATUSES.map(status => (
+            <button
+              key={status}
+              className={`org-status-count device-status status-${status} ${statusFilter === status ? 'active' : ''}`}
+              onClick={() => toggleStatusFilter(status)}
+            >
+              {getStatusIcon(status)} {status} <strong>{statusCounts[status]}</strong>
+            </button>
+          ))}
+          <button
+            className={`org-status-count org-status-lost ${statusFilter === 'lost' ? 'active' : ''}`}
+            onClick={() => toggleStatusFilter('lost')}
+          >
+            🚨 lost <strong>{lostCount}</strong>
+          </button>
+          <span className="org-totals">
+            {overview ? `${overview.users.length} users · ${devices.length} devices` : ''}
+            {refreshedAt && ` · updated ${new Date(refreshedAt).toLocaleTimeString('en-US', { timeZone: 'Asia/Colombo' })}`}
+          </span>
+        </div>
+      </div>
+
+      {error && <p className="status-message error">{error}</p>}
+      {!overview && !error && <p className="history-message">Loading organisation overview...</p>}
+
+      {overview && (
+        <>
+          <div className="settings-section">
+            <h3>Campus Map</h3>
+            <div className="map-container">
+              <MapView devices={visibleDevices} savedCampusSections={campusLayout} />
+            </div>
+          </div>
+
+          <div className="settings-section">
+            <div className="insights-header">
+              <h3>Devices ({visibleDevices.length})</h3>
+              <input
+                type="search"
+                className="form-input org-search"
+                placeholder="Search owner, device name or id"
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+              />
+            </div>
+            {visibleDevices.length === 0 ? (
+              <p>No devices match.</p>
+            ) : (
+              <div className="org-table-scroll">
+                <table className="org-table">
+                  <thead>
+                    <tr>
+                      <th>Owner</th>
+                      <th>Device</th>
+                      <th>Status</th>
+                      <th>Position</th>
+                      <th>Last Update</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {visibleDevices.map(device => (
+                      <tr key={device.device_id} className={device.is_lost ? 'org-row-lost' : ''}>
+                        <td>{device.owner_email}</td>
+                        <td>
+                          {device.is_mobile ? '📱' : '💻'} {device.device_name || device.device_id}
+                          {device.is_lost && <span className="org-lost-tag">LOST</span>}
+                        </td>
+                        <td>
+                          <span className={`device-status status-${getStatus(device)}`}>{getStatus(device)}</span>
+                        </td>
+                        <td>{describeFixStatus(device.last_location)}</td>
+                        <td>{formatDateTime(device.last_updated)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+
+          <div className="settings-section">
+            <div className="insights-header">
+              <h3>Alert Feed</h3>
+              <label className="org-feed-toggle">
+                <input type="checkbox" checked={openAlertsOnly} onChange={(e) => setOpenAlertsOnly(e.target.checked)} />
+                Open only
+              </label>
+            </div>
+            {feedAlerts.length === 0 ? (
+              <p>No {openAlertsOnly ? 'open ' : ''}alerts across the organisation.</p>
+            ) : (
+              <ul className="org-alert-feed">
+                {feedAlerts.map((alert, index) => (
+                  <li key={alert.alert_id || `${alert.created_at}-${index}`} className={`org-alert severity-${alert.severity || 'low'}`}>
+                    <div className="org-alert-header">
+                      <strong>{formatAlertType(alert.type)}</strong>
+                      <span className={`alert-status-badge status-${getAlertStatus(alert)}`}>{getAlertStatus(alert).toUpperCase()}</span>
+                    </div>
+                    <p>{alert.message}</p>
+                    <small>
+                      {alert.owner_email} · {getDeviceName(alert.device_id)} · {formatDateTime(alert.created_at)}
+                    </small>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          <div className="settings-section">
+            <h3>Users ({overview.users.length})</h3>
+            <div className="org-table-scroll">
+              <table className="org-table">
+                <thead>
+                  <tr>
+                    <th>Email</th>
+                    <th>Role</th>
+                    <th>Devices</th>
+                    <th>Lost</th>
+                    <th>Open Alerts</th>
+                    <th>Last Seen</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {overview.users.map(orgUser => (
+                    <tr key={orgUser.email}>
+                      <td>
+                        <button className="org-user-link" onClick={() => setSearch(orgUser.email)} title="Show this user's devices">
+                          {orgUser.email}
+                        </button>
+                      </td>
+                      <td>{orgUser.role}</td>
+                      <td>{orgUser.device_count}</td>
+                      <td>{orgUser.lost_count}</td>
+                      <td>{orgUser.open_alert_count}</td>
+                      <td>{formatDateTime(orgUser.last_seen)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default OrganisationConsole;
@@ -0,0 +1,102 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { apiRequest } from './App';
+import DeviceSetupModal from './DeviceSetupModal';
+import { getDeviceInfo } from './deviceIdentity';
+
+// Opened on the new device. The pairing code stands in for the password: it is single-use,
+// short-lived and was created by someone already signed in to the account.
+const PairDevice = ({ onPaired }) => {
+  const { code } = useParams();
+  const navigate = useNavigate();
+  const [enteredCode, setEnteredCode] = useState('');
+  const [status, setStatus] = useState(code ? 'checking' : 'enter_code');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!code) {
+      setStatus('enter_code');
+      return;
+    }
+    validateCode();
+  }, [code]);
+
+  const validateCode = async () => {
+    setStatus('checking');
+    setError('');
+    try {
+      // Only answers { expires_at }: the account's email isn't given to whoever holds the code
+      await apiRequest(`/pairing/${code}`);
+      setStatus('setup');
+    } catch (err) {
+      console.error('Pairing code rejected:', err);
+      setError(err.status === 404 || err.status === 410
+        ? 'This pairing code is invalid or has expired. Ask for a new one on the device that is already signed in.'
+        : err.message);
+      setStatus('error');
+    }
+  };
+
+  const submitCode = (e) => {
+    e.preventDefault();
+    navigate(`/pair/${enteredCode.trim().toUpperCase()}`);
+  };
+
+  const completePairing = async (deviceData) => {
+    try {
+      const response = await apiRequest(`/pairing/${code}/complete`, {
+        method: 'POST',
+        body: JSON.stringify({ device_data: deviceData }),
+      });
+      onPaired(await response.json());
+    } catch (err) {
+      console.error('Failed to complete pairing:', err);
+      setError(`Could not add this device: ${err.message}`);
+      setStatus('error');
+    }
+  };
+
+  if (status === 'setup') {
+    return (
+      <DeviceSetupModal
+        deviceInfo={{ ...getDeviceInfo(), needs_setup: true, ip_address: 'auto-detected' }}
+        pairingCode={code}
+        onConfirm={completePairing}
+        onSkip={() => navigate('/login', { replace: true })}
+        skipLabel="Cancel Pairing"
+      />
+    );
+  }
+
+  return (
+    <div className="auth-box">
+      <h2 className="auth-title">Pair This Device</h2>
+      {status === 'checking' && <p>Checking pairing code...</p>}
+      {error && <div className="error-message">{error}</div>}
+      {(status === 'enter_code' || status === 'error') && (
+        <form onSubmit={submitCode}>
+          <div className="form-group">
+            <input
+              type="text"
+              className="form-input pairing-code-input"
+              placeholder="Pairing code"
+              value={enteredCode}
+              onChange={(e) => setEnteredCode(e.target.value)}
+              autoCapitalize="characters"
+              required
+            />
+          </div>
+          <button type="submit" className="btn">Continue</button>
+        </form>
+      )}
+      <div className="auth-switch">
+        Have the account password?{' '}
+        <Link className="auth-link" to="/login">
+          Login instead
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default PairDevice;
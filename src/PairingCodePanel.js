@@ -0,0 +1,105 @@
+import React, { useState, useEffect } from 'react';
+import { QRCodeSVG } from 'qrcode.react';
+import { apiRequest } from './App';
+import config from './config';
+
+const getPairingUrl = (code) => `${window.location.origin}/pair/${code}`;
+
+const PairingCodePanel = ({ userEmail, onPaired, onClose }) => {
+  const [pairing, setPairing] = useState(null);
+  const [error, setError] = useState('');
+  const [now, setNow] = useState(Date.now());
+  const [pairedDevice, setPairedDevice] = useState(null);
+
+  useEffect(() => {
+    createCode();
+  }, []);
+
+  const secondsLeft = pairing ? Math.max(0, Math.round((new Date(pairing.expires_at).getTime() - now) / 1000)) : 0;
+  const isWaiting = !!pairing && !pairedDevice && secondsLeft > 0;
+
+  useEffect(() => {
+    if (!isWaiting) return;
+
+    const ticker = setInterval(() => setNow(Date.now()), 1000);
+    const poller = setInterval(checkStatus, config.PAIRING.STATUS_POLL_INTERVAL);
+    return () => {
+      clearInterval(ticker);
+      clearInterval(poller);
+    };
+  }, [isWaiting, pairing?.code]);
+
+  const createCode = async () => {
+    setError('');
+    setPairedDevice(null);
+    try {
+      const response = await apiRequest('/pairing/codes', {
+        method: 'POST',
+        body: JSON.stringify({ email: userEmail }),
+      });
+      const data = await response.json();
+      setPairing(data);
+      setNow(Date.now());
+    } catch (err) {
+      console.error('Failed to create pairing code:', err);
+      setError(`Could not create a pairing code: ${err.message}`);
+    }
+  };
+
+  const checkStatus = async () => {
+    try {
+      const response = await apiRequest(`/pairing/codes/${pairing.code}?email=${encodeURIComponent(userEmail)}`);
+      const data = await response.json();
+      if (data.status === 'claimed') {
+        setPairedDevice(data.device);
+        onPaired();
+      }
+    } catch (err) {
+      console.error('Failed to check pairing status:', err);
+    }
+  };
+
+  const formatCountdown = (seconds) => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-content pairing-panel">
+        <div className="modal-header">
+          <h2>Add Another Device</h2>
+          <p>Scan the QR code on the new phone, tablet or laptop, or open <strong>{window.location.origin}/pair</strong> and type the code.</p>
+        </div>
+
+        {error && <div className="error-message">{error}</div>}
+
+        {pairedDevice ? (
+          <div className="pairing-success">
+            ✅ <strong>{pairedDevice.device_name}</strong> was added to your account.
+          </div>
+        ) : pairing && (
+          <div className={`pairing-code-display ${secondsLeft === 0 ? 'expired' : ''}`}>
+            <QRCodeSVG value={getPairingUrl(pairing.code)} size={200} marginSize={2} />
+            <div className="pairing-code">{pairing.code}</div>
+            {secondsLeft > 0 ? (
+              <p className="pairing-countdown">Expires in {formatCountdown(secondsLeft)}. The new device never needs your password.</p>
+            ) : (
+              <p className="pairing-countdown">This code has expired.</p>
+            )}
+          </div>
+        )}
+
+        <div className="modal-actions">
+          {!pairedDevice && (
+            <button className="btn btn-small" onClick={createCode}>
+              🔄 New Code
+            </button>
+          )}
+          <button className="btn btn-small btn-secondary" onClick={onClose}>
+            {pairedDevice ? 'Done' : 'Close'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PairingCodePanel;
@@ -0,0 +1,15 @@
+import React from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+
+const ProtectedRoute = ({ user, children }) => {
+  const location = useLocation();
+
+  if (!user) {
+    // Remember where the user was going so login can send them back there
+    return <Navigate to="/login" replace state={{ from: location }} />;
+  }
+
+  return children;
+};
+
+export default ProtectedRoute;
@@ -0,0 +1,83 @@
+import React, { useState, useEffect } from 'react';
+import {
+  isPushSupported,
+  getPushSubscription,
+  enablePushNotifications,
+  disablePushNotifications,
+  sendTestNotification
+} from './pushNotifications';
+
+const PushNotificationSettings = ({ userEmail }) => {
+  const supported = isPushSupported();
+  const [subscribed, setSubscribed] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    if (!supported) return;
+    getPushSubscription()
+      .then(subscription => setSubscribed(!!subscription))
+      .catch(err => console.error('Failed to read push subscription:', err));
+  }, [supported]);
+
+  const run = async (action, successText) => {
+    setBusy(true);
+    setMessage(null);
+    try {
+      await action();
+      setMessage({ type: 'success', text: successText });
+    } catch (err) {
+      console.error('Push notification action failed:', err);
+      setMessage({ type: 'error', text: err.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const enable = () => run(async () => {
+    await enablePushNotifications(userEmail);
+    setSubscribed(true);
+  }, 'Notifications are on for this browser.');
+
+  const disable = () => run(async () => {
+    await disablePushNotifications(userEmail);
+    setSubscribed(false);
+  }, 'Notifications are off for this browser.');
+
+  const test = () => run(() => sendTestNotification(userEmail), 'Test notification sent.');
+
+  if (!supported) {
+    return <p>Push notifications need the installed app (production build) in a browser that supports them.</p>;
+  }
+
+  return (
+    <div className="push-settings">
+      <p>
+        Get a system notification for new high-severity and geofence alerts, even when this tab is closed.
+        Clicking it opens the alert.
+      </p>
+      {Notification.permission === 'denied' && (
+        <p className="status-message error">Notifications are blocked for this site in your browser settings.</p>
+      )}
+      <div className="push-settings-actions">
+        {subscribed ? (
+          <>
+            <button className="btn btn-small btn-secondary" onClick={disable} disabled={busy}>
+              🔕 Turn Off
+            </button>
+            <button className="btn btn-small" onClick={test} disabled={busy}>
+              Send Test
+            </button>
+          </>
+        ) : (
+          <button className="btn btn-small" onClick={enable} disabled={busy || Notification.permission === 'denied'}>
+            🔔 Turn On Notifications
+          </button>
+        )}
+      </div>
+      {message && <p className={`status-message ${message.type}`}>{message.text}</p>}
+    </div>
+  );
+};
+
+export default PushNotificationSettings;
@@ -1,26 +1,26 @@
 import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
 import { apiRequest } from './App';
+import { validateNewPassword, describeAccountError, MIN_PASSWORD_LENGTH } from './accountSecurity';
 
-const Register = ({ onRegister, onSwitchToLogin }) => {
+const Register = ({ onRegister }) => {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [confirmPassword, setConfirmPassword] = useState('');
   const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
 
-    if (password !== confirmPassword) {
-      setError('Passwords do not match');
-      return;
-    }
-
-    if (password.length < 6) {
-      setError('Password must be at least 6 characters long');
+    const validationError = validateNewPassword(password, confirmPassword);
+    if (validationError) {
+      setError(validationError);
       return;
     }
 
+    setSubmitting(true);
     try {
       const response = await apiRequest('/register', {
         method: 'POST',
@@ -30,19 +30,28 @@ const Register = ({ onRegister, onSwitchToLogin }) => {
       const data = await response.json();
 
       if (response.ok) {
-        onRegister({ email: email });
+        // The backend emails a verification link; the dashboard reminds them until it's followed
+        onRegister({
+          email: email,
+          role: data.role,
+          email_verified: data.email_verified,
+          access_token: data.access_token,
+          refresh_token: data.refresh_token
+        });
       } else {
         setError(data.error);
       }
     } catch (err) {
-      setError('Failed to connect to server. Make sure backend is running on port 5000 and check your network connection.');
+      setError(describeAccountError(err));
+    } finally {
+      setSubmitting(false);
     }
   };
 
   return (
     <div className="auth-box">
       <h2 className="auth-title">Register</h2>
-      {error && <div style={{color: 'red', marginBottom: '15px', textAlign: 'center'}}>{error}</div>}
+      {error && <div className="error-message">{error}</div>}
       <form onSubmit={handleSubmit}>
         <div className="form-group">
           <input
@@ -58,7 +67,8 @@ const Register = ({ onRegister, onSwitchToLogin }) => {
           <input
             type="password"
             className="form-input"
-            placeholder="Password"
+            placeholder={`Password (at least ${MIN_PASSWORD_LENGTH} characters)`}
+            autoComplete="new-password"
             value={password}
             onChange={(e) => setPassword(e.target.value)}
             required
@@ -69,18 +79,21 @@ const Register = ({ onRegister, onSwitchToLogin }) => {
             type="password"
             className="form-input"
             placeholder="Confirm Password"
+            autoComplete="new-password"
             value={confirmPassword}
             onChange={(e) => setConfirmPassword(e.target.value)}
             required
           />
         </div>
-        <button type="submit" className="btn">Register</button>
+        <button type="submit" className="btn" disabled={submitting}>
+          {submitting ? 'Creating account...' : 'Register'}
+        </button>
       </form>
       <div className="auth-switch">
         Already have an account?{' '}
-        <span className="auth-link" onClick={onSwitchToLogin}>
+        <Link className="auth-link" to="/login">
           Login here
-        </span>
+        </Link>
       </div>
     </div>
   );
@@ -0,0 +1,98 @@
+import React, { useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { resetPassword, validateNewPassword, describeAccountError } from './accountSecurity';
+
+// Reached from the emailed link. Resetting also signs the account out everywhere else.
+const ResetPassword = () => {
+  const { token } = useParams();
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [status, setStatus] = useState('form');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const validationError = validateNewPassword(password, confirmPassword);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    setSubmitting(true);
+    setError('');
+    try {
+      await resetPassword(token, password);
+      setStatus('done');
+    } catch (err) {
+      console.error('Password reset failed:', err);
+      if (err.status === 410 || err.code === 'INVALID_TOKEN') {
+        setStatus(err.status === 410 ? 'expired' : 'invalid');
+      } else {
+        setError(describeAccountError(err));
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="auth-box">
+      <h2 className="auth-title">Reset Password</h2>
+
+      {status === 'done' && (
+        <>
+          <div className="auth-notice">Your password has been changed. Log in with your new password.</div>
+          <Link className="btn auth-button-link" to="/login">Go to Login</Link>
+        </>
+      )}
+
+      {(status === 'expired' || status === 'invalid') && (
+        <>
+          <div className="error-message">
+            {status === 'expired'
+              ? 'This reset link has expired.'
+              : 'This reset link is invalid or has already been used.'}
+            {' '}Request a new one and use it within an hour.
+          </div>
+          <Link className="btn auth-button-link" to="/forgot-password">Request a New Link</Link>
+        </>
+      )}
+
+      {status === 'form' && (
+        <>
+          {error && <div className="error-message">{error}</div>}
+          <form onSubmit={handleSubmit}>
+            <div className="form-group">
+              <input
+                type="password"
+                className="form-input"
+                placeholder="New Password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                autoComplete="new-password"
+                required
+              />
+            </div>
+            <div className="form-group">
+              <input
+                type="password"
+                className="form-input"
+                placeholder="Confirm New Password"
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                autoComplete="new-password"
+                required
+              />
+            </div>
+            <button type="submit" className="btn" disabled={submitting}>
+              {submitting ? 'Saving...' : 'Set New Password'}
+            </button>
+          </form>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ResetPassword;
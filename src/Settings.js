@@ -0,0 +1,48 @@
+import React from 'react';
+import GeofenceRules from './GeofenceRules';
+import PushNotificationSettings from './PushNotificationSettings';
+import ChangePasswordForm from './ChangePasswordForm';
+
+const Settings = ({ user, currentDeviceId, onLogout, devices, sections, geofenceRules, onSaveGeofenceRules }) => {
+  return (
+    <div className="settings-page">
+      <div className="settings-section">
+        <h3>Account</h3>
+        <p>
+          <strong>Email:</strong> {user.email}
+          {user.email_verified === false && <span className="unverified-badge">Not verified</span>}
+        </p>
+        <button className="btn btn-small btn-secondary" onClick={onLogout}>
+          Logout
+        </button>
+      </div>
+
+      <div className="settings-section">
+        <h3>Password</h3>
+        <ChangePasswordForm userEmail={user.email} />
+      </div>
+
+      <div className="settings-section">
+        <h3>This Device</h3>
+        <p><strong>Device ID:</strong> {currentDeviceId || 'Not registered yet'}</p>
+      </div>
+
+      <div className="settings-section">
+        <h3>Notifications</h3>
+        <PushNotificationSettings userEmail={user.email} />
+      </div>
+
+      <div className="settings-section">
+        <h3>Geofence Rules</h3>
+        <GeofenceRules
+          devices={devices}
+          sections={sections}
+          rules={geofenceRules}
+          onSave={onSaveGeofenceRules}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default Settings;
@@ -0,0 +1,59 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { verifyEmail, describeAccountError } from './accountSecurity';
+
+// Reached from the link emailed after registration; works whether or not this browser is signed in
+const VerifyEmail = ({ signedIn, onVerified }) => {
+  const { token } = useParams();
+  const [status, setStatus] = useState('verifying');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    setStatus('verifying');
+    verifyEmail(token)
+      .then(result => {
+        if (cancelled) return;
+        setStatus('verified');
+        onVerified(result.email);
+      })
+      .catch(err => {
+        if (cancelled) return;
+        console.error('Email verification failed:', err);
+        setError(err.status === 410
+          ? 'This verification link has expired.'
+          : err.code === 'INVALID_TOKEN'
+            ? 'This verification link is invalid or has already been used.'
+            : describeAccountError(err));
+        setStatus('error');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [token]);
+
+  return (
+    <div className="auth-box">
+      <h2 className="auth-title">Verify Email</h2>
+      {status === 'verifying' && <p className="auth-intro">Verifying your email...</p>}
+      {status === 'verified' && (
+        <div className="auth-notice">Your email is verified. Password reset links can now reach you.</div>
+      )}
+      {status === 'error' && (
+        <div className="error-message">
+          {error}
+          {signedIn ? ' You can send a new link from the banner on your dashboard.' : ' Log in to send a new link.'}
+        </div>
+      )}
+      {status !== 'verifying' && (
+        <Link className="btn auth-button-link" to={signedIn ? '/dashboard' : '/login'}>
+          {signedIn ? 'Go to Dashboard' : 'Go to Login'}
+        </Link>
+      )}
+    </div>
+  );
+};
+
+export default VerifyEmail;
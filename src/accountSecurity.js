@@ -0,0 +1,75 @@
+import { apiRequest } from './App';
+
+const MIN_PASSWORD_LENGTH = 6;
+
+// Same rules as the backend, checked first so the form can say what's wrong without a round trip
+const validateNewPassword = (password, confirmPassword) => {
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`;
+  }
+  if (password !== confirmPassword) {
+    return 'Passwords do not match';
+  }
+  return null;
+};
+
+// Sign-in forms show the backend's own message, except when it couldn't be reached at all
+const describeAccountError = (err) => (err.isNetworkError
+  ? 'Could not reach the server. Check your connection and try again.'
+  : err.message);
+
+// Answers the same whether or not an account exists for the email
+const requestPasswordReset = async (email) => {
+  await apiRequest('/password/forgot', {
+    method: 'POST',
+    body: JSON.stringify({ email }),
+  });
+};
+
+// Tokens come from the emailed links; an expired one fails with status 410, a used or unknown one with 400
+const resetPassword = async (token, password) => {
+  const response = await apiRequest('/password/reset', {
+    method: 'POST',
+    body: JSON.stringify({ token, password }),
+  });
+  return response.json();
+};
+
+// Tokens are single-use, so a page that asks twice (StrictMode runs effects twice in development)
+// shares the first request's answer instead of failing the second time
+const verifications = new Map();
+
+const verifyEmail = (token) => {
+  if (!verifications.has(token)) {
+    verifications.set(token, apiRequest('/verify_email', {
+      method: 'POST',
+      body: JSON.stringify({ token }),
+    }).then(response => response.json()));
+  }
+  return verifications.get(token);
+};
+
+const resendVerificationEmail = async (email) => {
+  await apiRequest('/verify_email/resend', {
+    method: 'POST',
+    body: JSON.stringify({ email }),
+  });
+};
+
+const changePassword = async (email, currentPassword, newPassword) => {
+  await apiRequest('/password/change', {
+    method: 'POST',
+    body: JSON.stringify({ email, current_password: currentPassword, new_password: newPassword }),
+  });
+};
+
+export {
+  MIN_PASSWORD_LENGTH,
+  validateNewPassword,
+  describeAccountError,
+  requestPasswordReset,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  changePassword
+};
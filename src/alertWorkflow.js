@@ -0,0 +1,80 @@
+import { apiRequest } from './App';
+
+const ALERT_STATUSES = ['new', 'acknowledged', 'resolved'];
+
+// Alerts saved before statuses existed have none and count as new
+const getAlertStatus = (alert) => alert.status || 'new';
+
+const formatAlertType = (type) => (type || 'alert').replace(/_/g, ' ').toUpperCase();
+
+const DEFAULT_ALERT_FILTERS = {
+  status: 'open',
+  type: 'all',
+  severity: 'all',
+  deviceId: 'all',
+  from: '',
+  to: ''
+};
+
+const applyAlertFilters = (alerts, filters) => {
+  // Date inputs are calendar days in local time; "to" includes the whole day
+  const from = filters.from ? new Date(`${filters.from}T00:00:00`).getTime() : null;
+  const to = filters.to ? new Date(`${filters.to}T23:59:59.999`).getTime() : null;
+
+  return alerts.filter(alert => {
+    const status = getAlertStatus(alert);
+    if (filters.status === 'open' && status === 'resolved') return false;
+    if (filters.status !== 'open' && filters.status !== 'all' && status !== filters.status) return false;
+    if (filters.type !== 'all' && alert.type !== filters.type) return false;
+    if (filters.severity !== 'all' && (alert.severity || 'low') !== filters.severity) return false;
+    if (filters.deviceId !== 'all' && alert.device_id !== filters.deviceId) return false;
+
+    const createdAt = new Date(alert.created_at).getTime();
+    if (from !== null && createdAt < from) return false;
+    if (to !== null && createdAt > to) return false;
+    return true;
+  });
+};
+
+const saveAlertStatus = async (email, alertIds, status) => {
+  const response = await apiRequest('/alerts/status', {
+    method: 'POST',
+    body: JSON.stringify({ email, alert_ids: alertIds, status }),
+  });
+  return response.json();
+};
+
+// Alerts that carry their own position use it; otherwise take the history point closest to the alert time
+const fetchAlertPosition = async (alert, email, windowMinutes = 10) => {
+  if (alert.location?.latitude && alert.location?.longitude) {
+    return { ...alert.location, timestamp: alert.location.timestamp || alert.created_at };
+  }
+  if (!alert.device_id || !alert.created_at) return null;
+
+  const alertTime = new Date(alert.created_at).getTime();
+  const params = new URLSearchParams({
+    email,
+    from: new Date(alertTime - windowMinutes * 60000).toISOString(),
+    to: new Date(alertTime + windowMinutes * 60000).toISOString()
+  });
+  const response = await apiRequest(`/devices/${alert.device_id}/history?${params}`);
+  const data = await response.json();
+  const points = data.history || [];
+  if (points.length === 0) return null;
+
+  return points.reduce((closest, point) => (
+    Math.abs(new Date(point.timestamp).getTime() - alertTime) < Math.abs(new Date(closest.timestamp).getTime() - alertTime)
+      ? point
+      : closest
+  ));
+};
+
+export {
+  ALERT_STATUSES,
+  DEFAULT_ALERT_FILTERS,
+  getAlertStatus,
+  formatAlertType,
+  applyAlertFilters,
+  saveAlertStatus,
+  fetchAlertPosition
+};
@@ -0,0 +1,82 @@
+import { apiRequest } from './App';
+import {
+  ALERT_STATUSES,
+  DEFAULT_ALERT_FILTERS,
+  getAlertStatus,
+  applyAlertFilters,
+  saveAlertStatus
+} from './alertWorkflow';
+
+// App.js pulls in the whole UI; only its request helper is needed here
+jest.mock('./App', () => ({ apiRequest: jest.fn() }));
+
+const makeAlert = (alertId, overrides = {}) => ({
+  alert_id: alertId,
+  type: 'suspicious_behavior',
+  severity: 'medium',
+  device_id: 'phone',
+  created_at: '2024-03-04T09:00:00.000Z',
+  ...overrides
+});
+
+const withStatus = (filters, status) => ({ ...DEFAULT_ALERT_FILTERS, ...filters, status });
+const ids = (alerts) => alerts.map(alert => alert.alert_id);
+
+describe('alert statuses', () => {
+  it('treats alerts saved before statuses existed as new', () => {
+    expect(getAlertStatus(makeAlert('a'))).toBe('new');
+    expect(getAlertStatus(makeAlert('a', { status: 'acknowledged' }))).toBe('acknowledged');
+  });
+
+  it('keeps an alert in the open view until it is resolved', () => {
+    const open = (alert) => applyAlertFilters([alert], DEFAULT_ALERT_FILTERS).length === 1;
+    const alert = makeAlert('a');
+
+    expect(open(alert)).toBe(true);
+    expect(open({ ...alert, status: 'acknowledged' })).toBe(true);
+    expect(open({ ...alert, status: 'resolved' })).toBe(false);
+    // Reopening puts it back
+    expect(open({ ...alert, status: 'new' })).toBe(true);
+  });
+
+  it('filters on each status, or none', () => {
+    const alerts = ALERT_STATUSES.map(status => makeAlert(status, { status }));
+
+    ALERT_STATUSES.forEach(status => {
+      expect(ids(applyAlertFilters(alerts, withStatus({}, status)))).toEqual([status]);
+    });
+    expect(ids(applyAlertFilters(alerts, withStatus({}, 'all')))).toEqual(ALERT_STATUSES);
+  });
+});
+
+describe('applyAlertFilters', () => {
+  const alerts = [
+    makeAlert('phone-high', { severity: 'high' }),
+    makeAlert('laptop-geofence', { device_id: 'laptop', type: 'geofence_exit', severity: undefined }),
+    makeAlert('phone-later', { created_at: '2024-03-07T12:00:00.000Z' })
+  ];
+
+  it('combines type, severity and device filters', () => {
+    expect(ids(applyAlertFilters(alerts, withStatus({ deviceId: 'phone' }, 'all')))).toEqual(['phone-high', 'phone-later']);
+    expect(ids(applyAlertFilters(alerts, withStatus({ type: 'geofence_exit' }, 'all')))).toEqual(['laptop-geofence']);
+    // Alerts without a severity count as low
+    expect(ids(applyAlertFilters(alerts, withStatus({ severity: 'low' }, 'all')))).toEqual(['laptop-geofence']);
+  });
+
+  it('includes the whole of the "to" day', () => {
+    const filters = withStatus({ from: '2024-03-01', to: '2024-03-05' }, 'all');
+    expect(ids(applyAlertFilters(alerts, filters))).toEqual(['phone-high', 'laptop-geofence']);
+  });
+});
+
+describe('saveAlertStatus', () => {
+  it('sends the new status for every alert in one request', async () => {
+    apiRequest.mockResolvedValue({ json: () => Promise.resolve({ success: true, updated: ['a', 'b'] }) });
+
+    await expect(saveAlertStatus('owner@campus.test', ['a', 'b'], 'resolved')).resolves.toEqual({ success: true, updated: ['a', 'b'] });
+    expect(apiRequest).toHaveBeenCalledWith('/alerts/status', {
+      method: 'POST',
+      body: JSON.stringify({ email: 'owner@campus.test', alert_ids: ['a', 'b'], status: 'resolved' })
+    });
+  });
+});
@@ -0,0 +1,69 @@
+import { apiRequest } from './App';
+
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+
+const FEEDBACK_LABELS = {
+  normal: 'This was me / normal',
+  suspicious: 'This is suspicious'
+};
+
+// A "normal" label closes the alert; a confirmed one stays open until the owner deals with it
+const FEEDBACK_STATUS = {
+  normal: 'resolved',
+  suspicious: 'acknowledged'
+};
+
+const isBehaviorAlert = (alert) => alert.type === 'suspicious_behavior';
+
+// The learned routine as the backend sees it:
+//   heatmap   [{ section_id, section_name, minutes_by_hour: [24 x average minutes per day] }]
+//   routine   { typical_arrival, typical_departure, arrival_spread_minutes, departure_spread_minutes, days_observed }
+//   devices   [{ device_id, typical_arrival, typical_departure, sections: [{ section_id, section_name, share, visits_per_day }] }]
+//   feedback  { normal_count, suspicious_count, baseline_threshold, anomaly_threshold,
+//               recent: [{ alert_id, device_id, label, submitted_at, effect }] }
+// Times are "HH:MM" in campus time.
+const fetchBehaviorInsights = async (email) => {
+  const response = await apiRequest(`/behavior/insights/${email}`);
+  const data = await response.json();
+  return {
+    ...data,
+    heatmap: data.heatmap || [],
+    devices: data.devices || [],
+    feedback: data.feedback || null
+  };
+};
+
+// Labels an anomaly so the model can learn from it; the backend answers with the alert's new status
+const sendBehaviorFeedback = async (email, alert, label) => {
+  const response = await apiRequest('/behavior/feedback', {
+    method: 'POST',
+    body: JSON.stringify({
+      email,
+      alert_id: alert.alert_id || alert._id,
+      device_id: alert.device_id,
+      label
+    }),
+  });
+  return response.json();
+};
+
+const getHeatmapMax = (heatmap) => Math.max(0, ...heatmap.flatMap(row => row.minutes_by_hour));
+
+const formatHour = (hour) => `${String(hour).padStart(2, '0')}:00`;
+
+const formatRoutineTime = (time, spreadMinutes) => {
+  if (!time) return 'Not learned yet';
+  return spreadMinutes ? `${time} (±${Math.round(spreadMinutes)} min)` : time;
+};
+
+export {
+  HOURS,
+  FEEDBACK_LABELS,
+  FEEDBACK_STATUS,
+  isBehaviorAlert,
+  fetchBehaviorInsights,
+  sendBehaviorFeedback,
+  getHeatmapMax,
+  formatHour,
+  formatRoutineTime
+};
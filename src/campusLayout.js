@@ -0,0 +1,75 @@
+import { apiRequest } from './App';
+
+const SECTION_TYPES = [
+  {
+    type: 'library',
+    name: 'Library Section',
+    color: '#3B82F6',
+    description: 'Library and study area with books and computers'
+  },
+  {
+    type: 'lab',
+    name: 'Laboratory Section',
+    color: '#10B981',
+    description: 'Science and computer laboratories with research equipment'
+  },
+  {
+    type: 'classroom',
+    name: 'Classroom Section',
+    color: '#F59E0B',
+    description: 'Lecture halls and classrooms for teaching'
+  },
+  {
+    type: 'admin',
+    name: 'Administration Section',
+    color: '#EF4444',
+    description: 'Administrative offices and student services'
+  },
+  {
+    type: 'other',
+    name: 'Campus Building',
+    color: '#8B5CF6',
+    description: 'Campus section'
+  }
+];
+
+const getSectionType = (type) => {
+  return SECTION_TYPES.find(sectionType => sectionType.type === type) || SECTION_TYPES[SECTION_TYPES.length - 1];
+};
+
+const createSectionId = () => `section_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+
+// Sections are stored as open rings; drop the repeated closing corner some sources include
+const openRing = (coordinates) => {
+  const first = coordinates[0];
+  const last = coordinates[coordinates.length - 1];
+  const isClosed = coordinates.length > 3 && first[0] === last[0] && first[1] === last[1];
+  return isClosed ? coordinates.slice(0, -1) : coordinates;
+};
+
+const fetchCampusLayout = async () => {
+  const response = await apiRequest('/campus/layout');
+  const data = await response.json();
+  return (data.sections || []).map(section => ({
+    ...section,
+    coordinates: openRing(section.coordinates)
+  }));
+};
+
+const saveCampusLayout = async (sections) => {
+  const response = await apiRequest('/campus/layout', {
+    method: 'PUT',
+    body: JSON.stringify({ sections }),
+  });
+  const data = await response.json();
+  return data.sections || sections;
+};
+
+export {
+  SECTION_TYPES,
+  getSectionType,
+  createSectionId,
+  openRing,
+  fetchCampusLayout,
+  saveCampusLayout
+};
@@ -20,7 +20,70 @@ const getApiBaseUrl = () => {
 
 const config = {
   API_BASE_URL: getApiBaseUrl(),
+
+  LIVE_UPDATES: {
+    ENABLED: process.env.REACT_APP_LIVE_UPDATES !== 'off',
+    // Point the stream at the mock server (npm run mock:server) without moving the rest of the API
+    STREAM_BASE_URL: process.env.REACT_APP_LIVE_URL || getApiBaseUrl(),
+    POLL_INTERVAL: 3000,
+    RECONNECT_BASE_DELAY: 1000,
+    RECONNECT_MAX_DELAY: 30000
+  },
   
+  TRACKING: {
+    DESKTOP_UPDATE_INTERVAL: 2000,
+    // Lost devices report faster so the owner gets a fresher trail
+    LOST_DESKTOP_UPDATE_INTERVAL: 1000,
+    // watchPosition only fires on movement, so a lost phone also takes a forced fix on this cadence
+    LOST_MOBILE_FIX_INTERVAL: 5000,
+    // A position older than this is shown as stale rather than live
+    STALE_FIX_AGE: 60000
+  },
+
+  OFFLINE_QUEUE: {
+    // How often to check the backend while location updates are waiting to be replayed
+    RETRY_INTERVAL: 10000
+  },
+
+  PAIRING: {
+    // How often the Dashboard checks whether the new device has used the code
+    STATUS_POLL_INTERVAL: 3000
+  },
+
+  GEOFENCE: {
+    // A device staying in one section longer than this raises a single dwell event
+    DWELL_THRESHOLD: 10 * 60 * 1000
+  },
+
+  ORGANISATION: {
+    // The console polls: the live channel only carries the signed-in user's own events
+    REFRESH_INTERVAL: 5000,
+    ALERT_FEED_LIMIT: 50
+  },
+
+  FINDER: {
+    // Photos are scaled down in the finder's browser so a phone camera shot fits in one request
+    PHOTO_MAX_DIMENSION: 1024,
+    // The public page has no live channel, so an open report thread checks for replies this often
+    THREAD_POLL_INTERVAL: 10000
+  },
+
+  DEMO: {
+    // Can also be switched on for a single tab with ?demo=1
+    ENABLED: process.env.REACT_APP_DEMO_MODE === 'on',
+    DEFAULT_SCENARIO: 'typical_day',
+    TICK_INTERVAL: 1000
+  },
+
+  OFFLINE: {
+    // The service worker is only built by `npm run build`; the dev server doesn't serve one
+    SERVICE_WORKER_ENABLED: process.env.NODE_ENV === 'production',
+    // Campus map tiles saved for offline use, from neighbourhood to building level (OSM stops at 19)
+    TILE_ZOOM_LEVELS: [15, 16, 17, 18, 19],
+    // Extra rings of tiles kept around the campus at each zoom
+    TILE_PADDING: 1
+  },
+
   CAMPUS_SETTINGS: {
     AUTO_CREATE_CAMPUS: true,
     CAMPUS_WIDTH: 0.00018, 
@@ -0,0 +1,683 @@
+// In-browser stand-in for the API used in demo mode. apiRequest and the live channel are routed here,
+// so demos run scripted scenarios without a backend and without touching any real account.
+// State lives in memory and is gone when the tab closes.
+
+import config from './config';
+import {
+  DEMO_DEVICES,
+  DEMO_SCENARIOS,
+  getDemoSections,
+  getPlacePosition,
+  getTrackPosition
+} from './demoScenarios';
+import { getTagCode, normalizeTagCode } from './tagCodes';
+
+const BASELINE_THRESHOLD = 0.7;
+const FEEDBACK_STEP = 0.02;
+// The typical day scenario is stretched over these campus hours for the insights page
+const ROUTINE_START_HOUR = 8;
+const ROUTINE_END_HOUR = 18;
+// The organisation console shows the demo devices as one student's
+const DEMO_OWNER_EMAIL = 'demo.student@campus.test';
+// Campus security answers the first message in a demo security conversation after this long
+const SECURITY_REPLY_DELAY = 4000;
+
+const SYNTHETIC_ALERTS = [
+  { type: 'suspicious_behavior', severity: 'medium', message: (device) => `${device.device_name} is somewhere it is not usually at this time` },
+  { type: 'suspicious_behavior', severity: 'high', message: (device) => `${device.device_name} moved off campus at an unusual hour` },
+  { type: 'geofence_exit', severity: 'high', message: (device) => `${device.device_name} left the campus` }
+];
+
+const eventListeners = new Set();
+const stateListeners = new Set();
+let nextId = 1;
+let state = null;
+let player = null;
+
+const createId = (prefix) => `${prefix}_${Date.now().toString(36)}_${nextId++}`;
+
+const makeLocation = ({ latitude, longitude }, isMobile) => ({
+  // A few metres of jitter so stationary devices still look alive
+  latitude: latitude + (Math.random() - 0.5) * 0.00002,
+  longitude: longitude + (Math.random() - 0.5) * 0.00002,
+  accuracy: isMobile ? 8 : 30,
+  heading: null,
+  speed: null,
+  source: 'demo',
+  location_type: 'demo',
+  gps_quality: isMobile ? 'good' : 'moderate',
+  is_mobile: isMobile,
+  timestamp: new Date().toISOString()
+});
+
+const resetState = () => {
+  const now = new Date().toISOString();
+  state = {
+    progress: 0,
+    alerts: [],
+    feedback: [],
+    geofenceRules: [],
+    shares: [],
+    conversations: [],
+    campusLayout: getDemoSections(),
+    history: {},
+    devices: DEMO_DEVICES.map(device => ({
+      ...device,
+      created_at: now,
+      last_updated: now,
+      is_lost: false,
+      last_location: makeLocation(getPlacePosition('library'), device.is_mobile)
+    }))
+  };
+};
+
+const getState = () => {
+  if (!state) resetState();
+  return state;
+};
+
+const emit = (type, payload) => {
+  eventListeners.forEach(listener => listener(type, payload));
+};
+
+const getDemoState = () => ({
+  scenarioId: player ? player.scenario.id : null,
+  elapsed: player ? Math.floor(player.elapsed) : 0,
+  duration: player ? player.scenario.duration : 0,
+  playing: !!(player && player.timer),
+  speed: player ? player.speed : 1,
+  progress: getState().progress
+});
+
+const notifyStateChange = () => {
+  const snapshot = getDemoState();
+  stateListeners.forEach(listener => listener(snapshot));
+};
+
+const getBehaviorSummary = () => ({
+  schedule_consistency: 0.85,
+  learned_patterns: Math.floor(getState().progress / 10),
+  devices_analyzed: getState().devices.length,
+  days_observed: Math.floor(getState().progress / 100 * 7)
+});
+
+const setProgress = (progress) => {
+  getState().progress = Math.min(100, progress);
+  emit('behavior_progress', { learning_progress: getState().progress, behavior_summary: getBehaviorSummary() });
+  notifyStateChange();
+};
+
+const moveDevice = (device, position) => {
+  device.last_location = makeLocation(position, device.is_mobile);
+  device.last_updated = device.last_location.timestamp;
+  const { latitude, longitude, accuracy, timestamp } = device.last_location;
+  getState().history[device.device_id] = [...(getState().history[device.device_id] || []), { latitude, longitude, accuracy, timestamp }];
+  emit('device_location', { device_id: device.device_id, location: device.last_location, last_updated: device.last_updated });
+};
+
+const raiseAlert = ({ alert_id = createId('demo_alert'), type, severity, device_id, message, section_id = null, location = null, ...extra }) => {
+  const device = getState().devices.find(d => d.device_id === device_id);
+  const alert = {
+    ...extra,
+    alert_id,
+    type,
+    severity,
+    device_id,
+    section_id,
+    location: location || (device ? device.last_location : null),
+    message,
+    created_at: new Date().toISOString()
+  };
+  getState().alerts.push(alert);
+  emit('alert', alert);
+  return alert;
+};
+
+// Returns null once every demo device has been removed, as there is nothing to raise it about
+const raiseSyntheticAlert = () => {
+  const devices = getState().devices;
+  if (devices.length === 0) return null;
+  const device = devices[Math.floor(Math.random() * devices.length)];
+  const template = SYNTHETIC_ALERTS[Math.floor(Math.random() * SYNTHETIC_ALERTS.length)];
+  return raiseAlert({ type: template.type, severity: template.severity, device_id: device.device_id, message: template.message(device) });
+};
+
+const completeLearning = () => setProgress(100);
+
+// Scenario playback
+
+const tick = () => {
+  const { scenario } = player;
+  player.elapsed = Math.min(scenario.duration, player.elapsed + (config.DEMO.TICK_INTERVAL / 1000) * player.speed);
+
+  getState().devices.forEach(device => {
+    const track = scenario.tracks[device.device_id];
+    if (track) moveDevice(device, getTrackPosition(track, player.elapsed));
+  });
+
+  scenario.alerts.forEach((scriptedAlert, index) => {
+    if (!player.fired.has(index) && player.elapsed >= scriptedAlert.at) {
+      player.fired.add(index);
+      const { at, ...alert } = scriptedAlert;
+      // The scripted device may have been removed on the Devices page
+      if (findDevice(alert.device_id)) raiseAlert(alert);
+    }
+  });
+
+  if (getState().progress < 100) {
+    setProgress(getState().progress + 1);
+  }
+
+  if (player.elapsed >= scenario.duration) {
+    pauseScenario();
+  } else {
+    notifyStateChange();
+  }
+};
+
+const startScenario = (scenarioId, speed = player ? player.speed : 1) => {
+  const scenario = DEMO_SCENARIOS.find(s => s.id === scenarioId);
+  if (!scenario) return;
+
+  stopScenario();
+  player = { scenario, elapsed: 0, speed, fired: new Set(), timer: null };
+  resumeScenario();
+};
+
+const resumeScenario = () => {
+  if (!player || player.timer) return;
+  if (player.elapsed >= player.scenario.duration) {
+    startScenario(player.scenario.id, player.speed);
+    return;
+  }
+  player.timer = setInterval(tick, config.DEMO.TICK_INTERVAL);
+  notifyStateChange();
+};
+
+const pauseScenario = () => {
+  if (player && player.timer) {
+    clearInterval(player.timer);
+    player.timer = null;
+  }
+  notifyStateChange();
+};
+
+const stopScenario = () => {
+  pauseScenario();
+  player = null;
+};
+
+const setScenarioSpeed = (speed) => {
+  if (player) {
+    player.speed = speed;
+    notifyStateChange();
+  }
+};
+
+// Insights: the typical day scenario, stretched over a campus day
+
+const getSectionAt = ({ latitude, longitude }) => getState().campusLayout.find(section => {
+  const lats = section.coordinates.map(point => point[0]);
+  const lngs = section.coordinates.map(point => point[1]);
+  return latitude >= Math.min(...lats) && latitude <= Math.max(...lats)
+    && longitude >= Math.min(...lngs) && longitude <= Math.max(...lngs);
+});
+
+const formatClock = (hours) => `${String(Math.floor(hours)).padStart(2, '0')}:${String(Math.round((hours % 1) * 60)).padStart(2, '0')}`;
+
+const getAnomalyThreshold = () => {
+  const normal = getState().feedback.filter(entry => entry.label === 'normal').length;
+  const suspicious = getState().feedback.length - normal;
+  return Math.min(0.95, Math.max(0.5, BASELINE_THRESHOLD + (normal - suspicious) * FEEDBACK_STEP));
+};
+
+const buildInsights = () => {
+  const { progress, devices, feedback } = getState();
+  const routine = DEMO_SCENARIOS.find(s => s.id === 'typical_day');
+  const hoursPerSecond = (ROUTINE_END_HOUR - ROUTINE_START_HOUR) / routine.duration;
+  const heatmap = {};
+  const deviceSections = {};
+
+  devices.forEach(device => {
+    const track = routine.tracks[device.device_id];
+    if (!track) return;
+    deviceSections[device.device_id] = {};
+    for (let second = 0; second < routine.duration; second++) {
+      const section = getSectionAt(getTrackPosition(track, second));
+      if (!section) continue;
+      const hour = Math.floor(ROUTINE_START_HOUR + second * hoursPerSecond);
+      if (!heatmap[section.id]) {
+        heatmap[section.id] = { section_id: section.id, section_name: section.name, minutes_by_hour: new Array(24).fill(0) };
+      }
+      // Averaged over devices so the heatmap stays in minutes per hour
+      heatmap[section.id].minutes_by_hour[hour] += hoursPerSecond * 60 / devices.length;
+      deviceSections[device.device_id][section.id] = (deviceSections[device.device_id][section.id] || 0) + 1;
+    }
+  });
+
+  const learned = progress > 0;
+  return {
+    learning_progress: progress,
+    heatmap: learned ? Object.values(heatmap) : [],
+    routine: {
+      typical_arrival: learned ? formatClock(ROUTINE_START_HOUR) : null,
+      typical_departure: learned ? formatClock(ROUTINE_END_HOUR) : null,
+      arrival_spread_minutes: 15,
+      departure_spread_minutes: 30,
+      days_observed: getBehaviorSummary().days_observed
+    },
+    devices: learned ? Object.entries(deviceSections).map(([deviceId, counts]) => {
+      const total = Object.values(counts).reduce((a, b) => a + b, 0);
+      return {
+        device_id: deviceId,
+        typical_arrival: formatClock(ROUTINE_START_HOUR),
+        typical_departure: formatClock(ROUTINE_END_HOUR),
+        sections: Object.entries(counts)
+          .map(([sectionId, count]) => ({
+            section_id: sectionId,
+            section_name: heatmap[sectionId].section_name,
+            share: count / total
+          }))
+          .sort((a, b) => b.share - a.share)
+      };
+    }) : [],
+    feedback: {
+      normal_count: feedback.filter(entry => entry.label === 'normal').length,
+      suspicious_count: feedback.filter(entry => entry.label === 'suspicious').length,
+      baseline_threshold: BASELINE_THRESHOLD,
+      anomaly_threshold: getAnomalyThreshold(),
+      recent: feedback.slice(-10).reverse()
+    }
+  };
+};
+
+// Request handling
+
+const parseBody = (options) => {
+  try {
+    return options.body ? JSON.parse(options.body) : {};
+  } catch (e) {
+    return {};
+  }
+};
+
+const demoTokens = (email) => ({
+  email,
+  role: email && email.startsWith('admin') ? 'admin' : 'student',
+  email_verified: true,
+  device_info: { needs_setup: false },
+  access_token: 'demo-access-token',
+  refresh_token: 'demo-refresh-token'
+});
+
+const findDevice = (deviceId) => getState().devices.find(d => d.device_id === deviceId);
+
+// The found-device page is opened with a device id (QR code) or a typed tag code
+const findFoundDevice = (idOrCode) => findDevice(idOrCode)
+  || getState().devices.find(d => getTagCode(d.device_id) === normalizeTagCode(idOrCode));
+
+const notFound = (error, code) => [404, { error, code }];
+
+// There is only one account in demo mode, so every conversation is seen from the owner's side and
+// the finder token is the only other check
+const findConversation = (conversationId) => getState().conversations.find(c => c.conversation_id === conversationId);
+
+const findFinderConversation = (conversationId, token) => {
+  const conversation = findConversation(conversationId);
+  return conversation && token && token === conversation.finder_token ? conversation : null;
+};
+
+const summarizeConversation = (conversation) => {
+  const { finder_token, contact, photo, messages, read_at, ...summary } = conversation;
+  return {
+    ...summary,
+    role: 'owner',
+    unread_count: messages.filter(message => message.sender !== 'owner' && message.created_at > (read_at.owner || '')).length,
+    last_message: messages[messages.length - 1] || null
+  };
+};
+
+const addMessage = (conversation, sender, body) => {
+  const message = { sender, body: String(body).trim(), created_at: new Date().toISOString() };
+  conversation.messages.push(message);
+  conversation.updated_at = message.created_at;
+  conversation.read_at[sender] = message.created_at;
+  emit('message', { conversation_id: conversation.conversation_id, device_id: conversation.device_id, message });
+  return message;
+};
+
+const scheduleSecurityReply = (conversation) => {
+  if (conversation.messages.some(message => message.sender === 'security')) return;
+  setTimeout(() => {
+    if (!findConversation(conversation.conversation_id)) return;
+    addMessage(conversation, 'security', `Thanks, we have the report for ${conversation.device_name}. Security staff on patrol will keep an eye out; bring your student ID to the security office if it is handed in.`);
+  }, SECURITY_REPLY_DELAY);
+};
+
+const routes = [
+  ['POST', /^\/(login|register)$/, (body) => [200, demoTokens(body.email)]],
+  ['POST', /^\/refresh$/, () => [200, demoTokens()]],
+  // No email is sent in demo mode, so these only acknowledge the request
+  ['POST', /^\/(password\/forgot|password\/change|verify_email\/resend)$/, () => [200, { success: true }]],
+  ['POST', /^\/password\/reset$/, () => [200, { success: true, email: DEMO_OWNER_EMAIL }]],
+  ['POST', /^\/verify_email$/, () => [200, { success: true, email: DEMO_OWNER_EMAIL }]],
+  ['GET', /^\/devices\/([^/]+)\/history/, (body, [deviceId], query) => {
+    const from = new Date(query.get('from') || 0).getTime();
+    const to = new Date(query.get('to') || Date.now()).getTime();
+    const points = (getState().history[deviceId] || []).filter(point => {
+      const time = new Date(point.timestamp).getTime();
+      return time >= from && time <= to;
+    });
+    return [200, { device_id: deviceId, history: points }];
+  }],
+  ['GET', /^\/devices\/([^/]+)$/, () => [200, getState().devices]],
+  ['PUT', /^\/devices\/([^/]+)$/, (body, [deviceId]) => {
+    const device = findDevice(deviceId);
+    if (!device) return notFound('Device not found', 'DEVICE_NOT_FOUND');
+    ['device_name', 'device_type'].forEach(key => {
+      if (body[key]) device[key] = body[key];
+    });
+    return [200, { success: true, device }];
+  }],
+  ['DELETE', /^\/devices\/([^/]+)$/, (body, [deviceId]) => {
+    if (!findDevice(deviceId)) return notFound('Device not found', 'DEVICE_NOT_FOUND');
+    getState().devices = getState().devices.filter(d => d.device_id !== deviceId);
+    return [200, { success: true, device_id: deviceId }];
+  }],
+  ['POST', /^\/devices\/([^/]+)\/(lost|found)$/, (body, [deviceId, action]) => {
+    const device = findDevice(deviceId);
+    if (!device) return notFound('Device not found', 'DEVICE_NOT_FOUND');
+    device.is_lost = action === 'lost';
+    device.lost_since = device.is_lost ? body.lost_since : null;
+    if (!device.is_lost) {
+      raiseAlert({ type: 'device_recovered', severity: 'low', device_id: deviceId, message: `${device.device_name} was marked as found` });
+    }
+    return [200, { success: true, device_id: deviceId, is_lost: device.is_lost }];
+  }],
+  // A finder report can be tried from /found/demo_laptop in the same tab; it shows up as an alert
+  ['GET', /^\/found\/([^/]+)$/, (body, [idOrCode]) => {
+    const device = findFoundDevice(idOrCode);
+    if (!device) return notFound('No device is registered with this tag', 'DEVICE_NOT_FOUND');
+    return [200, { device_id: device.device_id, device_type: device.device_type, is_lost: !!device.is_lost }];
+  }],
+  ['POST', /^\/found\/([^/]+)\/reports$/, (body, [idOrCode]) => {
+    const device = findFoundDevice(idOrCode);
+    if (!device) return notFound('No device is registered with this tag', 'DEVICE_NOT_FOUND');
+    const deviceId = device.device_id;
+    const now = new Date().toISOString();
+    const conversation = {
+      conversation_id: createId('demo_conv'),
+      kind: 'finder_report',
+      finder_token: createId('demo_token'),
+      device_id: deviceId,
+      device_name: device.device_name,
+      device_type: device.device_type,
+      owner_email: DEMO_OWNER_EMAIL,
+      contact: body.contact || null,
+      photo: body.photo || null,
+      location: body.location || null,
+      messages: [],
+      read_at: {},
+      created_at: now,
+      updated_at: now
+    };
+    getState().conversations.push(conversation);
+    raiseAlert({
+      type: 'finder_report',
+      severity: 'high',
+      device_id: deviceId,
+      report_id: conversation.conversation_id,
+      location: conversation.location,
+      message: `Someone found ${device.device_name} and left a message: "${body.message}"`
+    });
+    addMessage(conversation, 'finder', body.message);
+    return [201, { report_id: conversation.conversation_id, finder_token: conversation.finder_token }];
+  }],
+  ['GET', /^\/found_reports\/([^/]+)$/, (body, [reportId], query) => {
+    const conversation = findFinderConversation(reportId, query.get('token'));
+    if (!conversation) return notFound('Report not found', 'REPORT_NOT_FOUND');
+    conversation.read_at.finder = new Date().toISOString();
+    return [200, {
+      report_id: conversation.conversation_id,
+      device_type: conversation.device_type,
+      messages: conversation.messages,
+      has_photo: !!conversation.photo,
+      created_at: conversation.created_at
+    }];
+  }],
+  ['POST', /^\/found_reports\/([^/]+)\/messages$/, (body, [reportId]) => {
+    const conversation = findFinderConversation(reportId, body.token);
+    if (!conversation) return notFound('Report not found', 'REPORT_NOT_FOUND');
+    return [201, { success: true, message: addMessage(conversation, 'finder', body.body) }];
+  }],
+  ['GET', /^\/conversations$/, () => [200, {
+    conversations: getState().conversations
+      .map(summarizeConversation)
+      .sort((a, b) => b.updated_at.localeCompare(a.updated_at))
+  }]],
+  ['GET', /^\/conversations\/([^/]+)$/, (body, [conversationId]) => {
+    const conversation = findConversation(conversationId);
+    if (!conversation) return notFound('Conversation not found', 'CONVERSATION_NOT_FOUND');
+    return [200, {
+      ...summarizeConversation(conversation),
+      messages: conversation.messages,
+      contact: conversation.contact || null,
+      photo: conversation.photo || null
+    }];
+  }],
+  ['POST', /^\/conversations$/, (body) => {
+    const device = findDevice(body.device_id);
+    if (!device) return notFound('Device not found', 'DEVICE_NOT_FOUND');
+    let conversation = getState().conversations.find(c => c.kind === 'security' && c.device_id === device.device_id);
+    if (!conversation) {
+      const now = new Date().toISOString();
+      conversation = {
+        conversation_id: createId('demo_conv'),
+        kind: 'security',
+        device_id: device.device_id,
+        device_name: device.device_name,
+        device_type: device.device_type,
+        owner_email: body.email,
+        location: device.last_location || null,
+        messages: [],
+        read_at: {},
+        created_at: now,
+        updated_at: now
+      };
+      getState().conversations.push(conversation);
+    }
+    if (body.body) {
+      addMessage(conversation, 'owner', body.body);
+      scheduleSecurityReply(conversation);
+    }
+    return [201, { success: true, conversation: summarizeConversation(conversation) }];
+  }],
+  ['POST', /^\/conversations\/([^/]+)\/messages$/, (body, [conversationId]) => {
+    const conversation = findConversation(conversationId);
+    if (!conversation) return notFound('Conversation not found', 'CONVERSATION_NOT_FOUND');
+    const message = addMessage(conversation, 'owner', body.body);
+    if (conversation.kind === 'security') scheduleSecurityReply(conversation);
+    return [201, { success: true, message }];
+  }],
+  ['POST', /^\/conversations\/([^/]+)\/read$/, (body, [conversationId]) => {
+    const conversation = findConversation(conversationId);
+    if (!conversation) return notFound('Conversation not found', 'CONVERSATION_NOT_FOUND');
+    conversation.read_at.owner = new Date().toISOString();
+    emit('conversation_read', { conversation_id: conversationId, role: 'owner' });
+    return [200, { success: true }];
+  }],
+  ['GET', /^\/check_device_global\/([^/]+)$/, (body, [deviceId]) => [200, findDevice(deviceId) ? { exists: true, owned_by_you: true } : { exists: false }]],
+  ['POST', /^\/(create_or_update_device|update_device_location)$/, (body) => {
+    const deviceId = body.device_id || body.device_data?.device_id;
+    let device = findDevice(deviceId);
+    if (!device && body.device_data) {
+      device = { ...body.device_data, created_at: new Date().toISOString() };
+      getState().devices.push(device);
+    }
+    const location = body.location || body.device_data?.location;
+    if (device && location) {
+      moveDevice(device, location);
+    }
+    return [200, { success: true, action: 'updated', device_id: deviceId, anomalies_detected: 0 }];
+  }],
+  ['GET', /^\/alerts\/([^/]+)$/, () => [200, getState().alerts]],
+  ['POST', /^\/alerts\/status$/, (body) => {
+    const statusUpdatedAt = new Date().toISOString();
+    const updated = getState().alerts.filter(alert => (body.alert_ids || []).includes(alert.alert_id));
+    updated.forEach(alert => {
+      alert.status = body.status;
+      alert.status_updated_at = statusUpdatedAt;
+    });
+    const updatedIds = updated.map(alert => alert.alert_id);
+    emit('alert_status', { alert_ids: updatedIds, status: body.status, status_updated_at: statusUpdatedAt });
+    return [200, { success: true, updated: updatedIds }];
+  }],
+  ['GET', /^\/behavior\/progress\/([^/]+)$/, () => [200, { learning_progress: getState().progress, behavior_summary: getBehaviorSummary() }]],
+  ['GET', /^\/behavior\/insights\/([^/]+)$/, () => [200, buildInsights()]],
+  ['POST', /^\/behavior\/feedback$/, (body) => {
+    const alert = getState().alerts.find(a => a.alert_id === body.alert_id);
+    if (!alert) return notFound('Alert not found', 'ALERT_NOT_FOUND');
+
+    const submittedAt = new Date().toISOString();
+    const hour = new Date(alert.created_at).toLocaleTimeString('en-GB', { timeZone: 'Asia/Colombo', hour: '2-digit', minute: '2-digit' });
+    getState().feedback = [
+      ...getState().feedback.filter(entry => entry.alert_id !== alert.alert_id),
+      {
+        alert_id: alert.alert_id,
+        device_id: alert.device_id,
+        label: body.label,
+        submitted_at: submittedAt,
+        effect: body.label === 'normal'
+          ? `movement like this around ${hour} is now treated as part of the routine`
+          : `movement like this around ${hour} will be flagged sooner`
+      }
+    ];
+    alert.feedback = { label: body.label, submitted_at: submittedAt };
+    alert.status = body.label === 'normal' ? 'resolved' : 'acknowledged';
+    alert.status_updated_at = submittedAt;
+    emit('alert_status', { alert_ids: [alert.alert_id], status: alert.status, status_updated_at: submittedAt, feedback: alert.feedback });
+    return [200, { success: true, alert, anomaly_threshold: getAnomalyThreshold() }];
+  }],
+  ['GET', /^\/campus\/layout$/, () => [200, { sections: getState().campusLayout }]],
+  ['PUT', /^\/campus\/layout$/, (body) => {
+    getState().campusLayout = Array.isArray(body.sections) ? body.sections : [];
+    return [200, { sections: getState().campusLayout }];
+  }],
+  ['GET', /^\/geofence\/rules\/([^/]+)$/, () => [200, { rules: getState().geofenceRules }]],
+  ['PUT', /^\/geofence\/rules\/([^/]+)$/, (body) => {
+    getState().geofenceRules = Array.isArray(body.rules) ? body.rules : [];
+    return [200, { rules: getState().geofenceRules }];
+  }],
+  ['POST', /^\/geofence\/events$/, (body) => {
+    if (!getState().alerts.some(alert => alert.alert_id === body.event_id)) {
+      raiseAlert({
+        alert_id: body.event_id,
+        type: `geofence_${body.event}`,
+        severity: body.severity || 'low',
+        device_id: body.device_id,
+        section_id: body.section_id,
+        message: `${body.device_name || body.device_id} ${body.event === 'enter' ? 'entered' : body.event === 'exit' ? 'left' : 'is still in'} ${body.section_name}`
+      });
+    }
+    return [200, { success: true, event_id: body.event_id }];
+  }],
+  ['GET', /^\/transfers\/([^/]+)$/, () => [200, { incoming: [], outgoing: [] }]],
+  // Nobody shares with the demo account, but its own shares can be created and revoked
+  ['GET', /^\/shares\/([^/]+)$/, () => [200, {
+    outgoing: getState().shares.filter(share => new Date(share.expires_at) > new Date()),
+    incoming: []
+  }]],
+  ['POST', /^\/shares$/, (body) => {
+    const share = {
+      share_id: createId('demo_share'),
+      owner_email: body.email,
+      contact_email: body.contact_email,
+      device_ids: body.device_ids || [],
+      created_at: new Date().toISOString(),
+      expires_at: body.expires_at
+    };
+    getState().shares.push(share);
+    return [201, { success: true, share }];
+  }],
+  ['DELETE', /^\/shares\/([^/]+)$/, (body, [shareId]) => {
+    if (!getState().shares.some(share => share.share_id === shareId)) return notFound('Share not found', 'SHARE_NOT_FOUND');
+    getState().shares = getState().shares.filter(share => share.share_id !== shareId);
+    return [200, { success: true, share_id: shareId }];
+  }],
+  ['GET', /^\/shared_devices\/([^/]+)$/, () => [200, { devices: [] }]],
+  ['GET', /^\/admin\/users$/, () => [200, {
+    users: [{
+      email: DEMO_OWNER_EMAIL,
+      role: 'student',
+      device_count: getState().devices.length,
+      lost_count: getState().devices.filter(device => device.is_lost).length,
+      open_alert_count: getState().alerts.filter(alert => alert.status !== 'resolved').length,
+      last_seen: getState().devices.map(device => device.last_updated).sort().pop() || null
+    }]
+  }]],
+  ['GET', /^\/admin\/devices$/, () => [200, { devices: getState().devices.map(device => ({ ...device, owner_email: DEMO_OWNER_EMAIL })) }]],
+  ['GET', /^\/admin\/alerts$/, (body, params, query) => [200, {
+    alerts: getState().alerts
+      .map(alert => ({ ...alert, owner_email: DEMO_OWNER_EMAIL }))
+      .reverse()
+      .slice(0, Number(query.get('limit')) || 50)
+  }]]
+];
+
+const handleDemoRequest = async (endpoint, options = {}) => {
+  const [path, search] = endpoint.split('?');
+  const method = (options.method || 'GET').toUpperCase();
+  const body = parseBody(options);
+
+  let result = [404, { error: `${method} ${path} isn't available in demo mode`, code: 'DEMO_UNSUPPORTED' }];
+  for (const [routeMethod, pattern, handler] of routes) {
+    const match = path.match(pattern);
+    if (routeMethod === method && match) {
+      result = handler(body, match.slice(1).map(decodeURIComponent), new URLSearchParams(search || ''));
+      break;
+    }
+  }
+
+  const [status, payload] = result;
+  return new Response(JSON.stringify(payload), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+};
+
+// Stands in for the SSE channel. The default scenario starts with the first subscriber and the
+// player stops with the last one, so nothing keeps running after logout.
+const subscribeDemoEvents = ({ onEvent, onStatusChange }) => {
+  eventListeners.add(onEvent);
+  if (!player) {
+    startScenario(config.DEMO.DEFAULT_SCENARIO);
+  }
+  setTimeout(() => onStatusChange && onStatusChange('live'), 0);
+
+  return {
+    close: () => {
+      eventListeners.delete(onEvent);
+      if (eventListeners.size === 0) {
+        stopScenario();
+      }
+    }
+  };
+};
+
+const onDemoStateChange = (listener) => {
+  stateListeners.add(listener);
+  listener(getDemoState());
+  return () => stateListeners.delete(listener);
+};
+
+export {
+  handleDemoRequest,
+  subscribeDemoEvents,
+  onDemoStateChange,
+  startScenario,
+  resumeScenario,
+  pauseScenario,
+  setScenarioSpeed,
+  completeLearning,
+  raiseSyntheticAlert
+};
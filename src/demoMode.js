@@ -0,0 +1,21 @@
+import config from './config';
+
+const DEMO_FLAG_KEY = 'demo_mode';
+
+// ?demo=1 switches demo mode on for this tab and ?demo=0 switches it off; the choice survives navigation
+const readDemoFlag = () => {
+  const flag = new URLSearchParams(window.location.search).get('demo');
+  if (flag === '1' || flag === 'true') {
+    sessionStorage.setItem(DEMO_FLAG_KEY, 'on');
+  } else if (flag === '0' || flag === 'false') {
+    sessionStorage.removeItem(DEMO_FLAG_KEY);
+  }
+  return sessionStorage.getItem(DEMO_FLAG_KEY) === 'on';
+};
+
+// Decided once at startup so a tab never mixes demo and real data
+const demoModeEnabled = config.DEMO.ENABLED || readDemoFlag();
+
+const isDemoMode = () => demoModeEnabled;
+
+export { isDemoMode };
@@ -0,0 +1,123 @@
+// Scripted demo data. Nothing here is sent to a real backend; demoBackend.js plays it back in the browser.
+
+import { getSectionType } from './campusLayout';
+
+const DEMO_CAMPUS_CENTER = { latitude: 6.9271, longitude: 79.8612 };
+const SECTION_HALF_SIZE = 0.00015;
+
+// Offsets from the campus centre in degrees; sections are squares around their point
+const DEMO_PLACES = {
+  library: { offset: [0.0004, -0.0004], name: 'Library Section', type: 'library' },
+  classroom: { offset: [0.0004, 0.0004], name: 'Classroom Section', type: 'classroom' },
+  lab: { offset: [-0.0004, 0.0004], name: 'Laboratory Section', type: 'lab' },
+  admin: { offset: [-0.0004, -0.0004], name: 'Administration Section', type: 'admin' },
+  gate: { offset: [-0.0009, 0] },
+  off_campus: { offset: [-0.0025, 0.0015] }
+};
+
+const DEMO_DEVICES = [
+  { device_id: 'demo_phone', device_name: 'Demo Phone', device_type: 'mobile', is_mobile: true },
+  { device_id: 'demo_laptop', device_name: 'Demo Laptop', device_type: 'laptop', is_mobile: false },
+  { device_id: 'demo_tablet', device_name: 'Demo Tablet', device_type: 'tablet', is_mobile: true }
+];
+
+const getPlacePosition = (place) => {
+  const [dLat, dLng] = DEMO_PLACES[place].offset;
+  return {
+    latitude: DEMO_CAMPUS_CENTER.latitude + dLat,
+    longitude: DEMO_CAMPUS_CENTER.longitude + dLng
+  };
+};
+
+const getDemoSections = () => Object.entries(DEMO_PLACES)
+  .filter(([, place]) => place.type)
+  .map(([id, place]) => {
+    const { latitude, longitude } = getPlacePosition(id);
+    const { color, description } = getSectionType(place.type);
+    return {
+      id: `demo_${id}`,
+      name: place.name,
+      type: place.type,
+      color,
+      description,
+      coordinates: [
+        [latitude - SECTION_HALF_SIZE, longitude - SECTION_HALF_SIZE],
+        [latitude + SECTION_HALF_SIZE, longitude - SECTION_HALF_SIZE],
+        [latitude + SECTION_HALF_SIZE, longitude + SECTION_HALF_SIZE],
+        [latitude - SECTION_HALF_SIZE, longitude + SECTION_HALF_SIZE]
+      ]
+    };
+  });
+
+// `tracks` list each device's waypoints as [seconds from start, place]; devices move in a straight line
+// between them. `alerts` fire once when the scenario clock passes `at`.
+const DEMO_SCENARIOS = [
+  {
+    id: 'typical_day',
+    name: 'Typical study day',
+    description: 'Phone, laptop and tablet follow the usual library, lecture and lab routine. No alerts.',
+    duration: 120,
+    tracks: {
+      demo_phone: [[0, 'library'], [30, 'classroom'], [60, 'lab'], [90, 'admin'], [120, 'library']],
+      demo_laptop: [[0, 'library'], [30, 'classroom'], [60, 'lab'], [120, 'lab']],
+      demo_tablet: [[0, 'classroom'], [45, 'classroom'], [75, 'library'], [120, 'library']]
+    },
+    alerts: []
+  },
+  {
+    id: 'laptop_left_behind',
+    name: 'Laptop left in the library',
+    description: 'The owner walks off campus with their phone while the laptop stays behind.',
+    duration: 90,
+    tracks: {
+      demo_phone: [[0, 'library'], [20, 'library'], [45, 'gate'], [70, 'off_campus'], [90, 'off_campus']],
+      demo_laptop: [[0, 'library'], [90, 'library']],
+      demo_tablet: [[0, 'classroom'], [90, 'classroom']]
+    },
+    alerts: [
+      { at: 50, type: 'geofence_exit', severity: 'low', device_id: 'demo_phone', message: 'Demo Phone left the campus' },
+      { at: 65, type: 'suspicious_behavior', severity: 'medium', device_id: 'demo_laptop', message: 'Demo Laptop stayed in the Library Section after its owner left campus' }
+    ]
+  },
+  {
+    id: 'phone_taken',
+    name: 'Phone taken off campus',
+    description: 'The phone leaves a lecture quickly and heads off campus while the other devices stay put.',
+    duration: 60,
+    tracks: {
+      demo_phone: [[0, 'classroom'], [10, 'classroom'], [25, 'gate'], [40, 'off_campus'], [60, 'off_campus']],
+      demo_laptop: [[0, 'classroom'], [60, 'classroom']],
+      demo_tablet: [[0, 'lab'], [60, 'lab']]
+    },
+    alerts: [
+      { at: 22, type: 'suspicious_behavior', severity: 'high', device_id: 'demo_phone', message: 'Demo Phone is moving much faster than usual and away from its owner\'s other devices' },
+      { at: 32, type: 'geofence_exit', severity: 'high', device_id: 'demo_phone', message: 'Demo Phone left the campus during a lecture' }
+    ]
+  }
+];
+
+// Position of a device `elapsed` seconds into a scenario
+const getTrackPosition = (track, elapsed) => {
+  const nextIndex = track.findIndex(([at]) => at > elapsed);
+  if (nextIndex === -1) return getPlacePosition(track[track.length - 1][1]);
+  if (nextIndex === 0) return getPlacePosition(track[0][1]);
+
+  const [fromAt, fromPlace] = track[nextIndex - 1];
+  const [toAt, toPlace] = track[nextIndex];
+  const from = getPlacePosition(fromPlace);
+  const to = getPlacePosition(toPlace);
+  const progress = (elapsed - fromAt) / (toAt - fromAt);
+  return {
+    latitude: from.latitude + (to.latitude - from.latitude) * progress,
+    longitude: from.longitude + (to.longitude - from.longitude) * progress
+  };
+};
+
+export {
+  DEMO_CAMPUS_CENTER,
+  DEMO_DEVICES,
+  DEMO_SCENARIOS,
+  getDemoSections,
+  getPlacePosition,
+  getTrackPosition
+};
@@ -0,0 +1,40 @@
+// One id per browser install, created on first use and kept in localStorage.
+// It outlives logout on purpose: the same physical device must map to the same record for every account check.
+
+const DEVICE_ID_KEY = 'device_id';
+
+const createDeviceId = () => {
+  if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+    return `device_${window.crypto.randomUUID()}`;
+  }
+  return `device_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 12)}`;
+};
+
+const getDeviceId = () => {
+  let deviceId = localStorage.getItem(DEVICE_ID_KEY);
+  if (!deviceId) {
+    deviceId = createDeviceId();
+    localStorage.setItem(DEVICE_ID_KEY, deviceId);
+  }
+  return deviceId;
+};
+
+const isMobileDevice = () => {
+  return /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
+};
+
+const getDeviceInfo = () => {
+  const isMobile = isMobileDevice();
+  return {
+    device_id: getDeviceId(),
+    device_type: isMobile ? 'mobile' : 'laptop/desktop',
+    user_agent: navigator.userAgent,
+    is_mobile: isMobile
+  };
+};
+
+export {
+  getDeviceId,
+  isMobileDevice,
+  getDeviceInfo
+};
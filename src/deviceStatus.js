@@ -0,0 +1,39 @@
+const STATUSES = ['safe', 'warning', 'offline'];
+
+const getStatus = (device) => {
+  if (device.is_active === false) return 'offline';
+
+  if (!device.last_updated) return 'offline';
+
+  const lastUpdate = new Date(device.last_updated);
+  const now = new Date();
+  const diffSeconds = (now - lastUpdate) / 1000;
+
+  if (device.is_mobile) {
+    if (diffSeconds > 45) return 'offline';
+    if (diffSeconds > 25) return 'warning';
+  } else {
+    // Desktop devices have more lenient thresholds
+    if (diffSeconds > 120) return 'offline';
+    if (diffSeconds > 60) return 'warning';
+  }
+
+  return 'safe';
+};
+
+const getStatusIcon = (status) => (status === 'safe' ? '🟢' : status === 'warning' ? '🟡' : '🔴');
+
+const countStatuses = (devices) => {
+  const counts = { safe: 0, warning: 0, offline: 0 };
+  devices.forEach(device => {
+    counts[getStatus(device)] += 1;
+  });
+  return counts;
+};
+
+export {
+  STATUSES,
+  getStatus,
+  getStatusIcon,
+  countStatuses
+};
@@ -0,0 +1,94 @@
+import { apiRequest } from './App';
+import config from './config';
+
+const FINDER_REPORT_TYPE = 'finder_report';
+const SAVED_REPORTS_KEY = 'finder_reports';
+
+const isFinderReport = (alert) => alert.type === FINDER_REPORT_TYPE;
+
+// The public address printed on tags and lock screens
+const getFoundDeviceUrl = (deviceId) => `${window.location.origin}/found/${encodeURIComponent(deviceId)}`;
+
+// Only what a stranger needs to know; the backend never returns the owner's email or the device's name
+const fetchFoundDevice = async (deviceId) => {
+  const response = await apiRequest(`/found/${encodeURIComponent(deviceId)}`);
+  return response.json();
+};
+
+// report: { message, contact, photo (JPEG data URL), location: { latitude, longitude, accuracy, timestamp } }
+// Answers { report_id, finder_token }
+const submitFinderReport = async (deviceId, report) => {
+  const response = await apiRequest(`/found/${encodeURIComponent(deviceId)}/reports`, {
+    method: 'POST',
+    body: JSON.stringify(report),
+  });
+  return response.json();
+};
+
+// Finders have no account, so the token handed back with the report is what lets them read replies.
+// Owners see the same thread as a conversation (messaging.js).
+const fetchReportThread = async (reportId, token) => {
+  const response = await apiRequest(`/found_reports/${reportId}?${new URLSearchParams({ token })}`);
+  return response.json();
+};
+
+const sendReportMessage = async (reportId, token, body) => {
+  const response = await apiRequest(`/found_reports/${reportId}/messages`, {
+    method: 'POST',
+    body: JSON.stringify({ token, body }),
+  });
+  return response.json();
+};
+
+// Kept per device on the finder's browser so coming back to the page reopens their thread
+const getSavedReports = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SAVED_REPORTS_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+};
+
+const getSavedFinderReport = (deviceId) => getSavedReports()[deviceId] || null;
+
+const saveFinderReport = (deviceId, report) => {
+  const reports = getSavedReports();
+  if (report) {
+    reports[deviceId] = report;
+  } else {
+    delete reports[deviceId];
+  }
+  localStorage.setItem(SAVED_REPORTS_KEY, JSON.stringify(reports));
+};
+
+const resizePhoto = (file, maxDimension = config.FINDER.PHOTO_MAX_DIMENSION) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file);
+  const image = new Image();
+  image.onload = () => {
+    const scale = Math.min(1, maxDimension / Math.max(image.width, image.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(image.width * scale);
+    canvas.height = Math.round(image.height * scale);
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+    URL.revokeObjectURL(url);
+    resolve(canvas.toDataURL('image/jpeg', 0.8));
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('That file could not be read as an image.'));
+  };
+  image.src = url;
+});
+
+export {
+  FINDER_REPORT_TYPE,
+  isFinderReport,
+  getFoundDeviceUrl,
+  fetchFoundDevice,
+  submitFinderReport,
+  fetchReportThread,
+  sendReportMessage,
+  getSavedFinderReport,
+  saveFinderReport,
+  resizePhoto
+};
@@ -0,0 +1,98 @@
+import config from './config';
+
+const GEOFENCE_EVENT_TYPES = ['enter', 'exit', 'dwell'];
+
+// Tracks which campus section each device was last seen in and turns membership changes
+// into enter/exit/dwell events. The first sighting of a device only sets its baseline.
+const createGeofenceEngine = () => {
+  const membership = {};
+
+  const buildEvent = (device, type, section, timestamp) => ({
+    // Derived from the fix itself so two open dashboards report the same event id
+    event_id: `geofence_${device.device_id}_${section.id}_${type}_${new Date(timestamp).getTime()}`,
+    event: type,
+    device_id: device.device_id,
+    device_name: device.device_name,
+    section_id: section.id,
+    section_name: section.name,
+    timestamp,
+    location: {
+      latitude: device.last_location.latitude,
+      longitude: device.last_location.longitude,
+      accuracy: device.last_location.accuracy
+    }
+  });
+
+  const update = (devices, campusManager) => {
+    if (!campusManager) return [];
+
+    const events = [];
+    const now = Date.now();
+
+    devices.forEach(device => {
+      const location = device.last_location;
+      if (!location || !location.latitude || !location.longitude) return;
+
+      const section = campusManager.getCurrentSection(location.latitude, location.longitude);
+      const timestamp = location.timestamp || device.last_updated || new Date(now).toISOString();
+      const previous = membership[device.device_id];
+
+      if (!previous) {
+        membership[device.device_id] = { section, enteredAt: now, dwellReported: false };
+        return;
+      }
+
+      const previousId = previous.section?.id || null;
+      const currentId = section?.id || null;
+
+      if (previousId !== currentId) {
+        if (previous.section) {
+          events.push(buildEvent(device, 'exit', previous.section, timestamp));
+        }
+        if (section) {
+          events.push(buildEvent(device, 'enter', section, timestamp));
+        }
+        membership[device.device_id] = { section, enteredAt: now, dwellReported: false };
+      } else if (section && !previous.dwellReported && now - previous.enteredAt >= config.GEOFENCE.DWELL_THRESHOLD) {
+        events.push(buildEvent(device, 'dwell', section, timestamp));
+        previous.dwellReported = true;
+      }
+    });
+
+    return events;
+  };
+
+  const reset = () => {
+    Object.keys(membership).forEach(deviceId => delete membership[deviceId]);
+  };
+
+  return { update, reset };
+};
+
+const matchesRule = (rule, event) => {
+  return rule.enabled !== false &&
+    rule.event === event.event &&
+    rule.section_id === event.section_id &&
+    (rule.device_id === 'any' || rule.device_id === event.device_id);
+};
+
+const describeGeofenceEvent = (event) => {
+  const deviceName = event.device_name || event.device_id;
+  switch (event.event) {
+    case 'enter':
+      return `${deviceName} entered ${event.section_name}`;
+    case 'exit':
+      return `${deviceName} left ${event.section_name}`;
+    case 'dwell':
+      return `${deviceName} has stayed in ${event.section_name} for over ${Math.round(config.GEOFENCE.DWELL_THRESHOLD / 60000)} minutes`;
+    default:
+      return `${deviceName}: ${event.event} ${event.section_name}`;
+  }
+};
+
+export {
+  GEOFENCE_EVENT_TYPES,
+  createGeofenceEngine,
+  matchesRule,
+  describeGeofenceEvent
+};
@@ -0,0 +1,114 @@
+import { createGeofenceEngine, matchesRule, describeGeofenceEvent } from './geofenceEngine';
+import config from './config';
+
+const LIBRARY = { id: 'library', name: 'Library Section' };
+const LAB = { id: 'lab', name: 'Laboratory Section' };
+
+// Sections keyed by latitude so a test moves a device by changing one number; 3 is outside every section
+const campusManager = {
+  getCurrentSection: (latitude) => ({ 1: LIBRARY, 2: LAB }[latitude] || null)
+};
+
+const at = (latitude, timestamp = '2024-03-04T09:00:00.000Z') => ({
+  device_id: 'phone',
+  device_name: 'My Phone',
+  last_location: { latitude, longitude: 79.86, accuracy: 10, timestamp }
+});
+
+describe('createGeofenceEngine', () => {
+  let now;
+  let engine;
+
+  beforeEach(() => {
+    now = new Date('2024-03-04T09:00:00.000Z').getTime();
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    engine = createGeofenceEngine();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('only records where a device starts', () => {
+    expect(engine.update([at(1)], campusManager)).toEqual([]);
+  });
+
+  it('reports entering a section', () => {
+    engine.update([at(3)], campusManager);
+    const events = engine.update([at(1)], campusManager);
+
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({ event: 'enter', device_id: 'phone', section_id: 'library', section_name: 'Library Section' });
+  });
+
+  it('reports leaving a section', () => {
+    engine.update([at(1)], campusManager);
+    const events = engine.update([at(3)], campusManager);
+
+    expect(events.map(event => [event.event, event.section_id])).toEqual([['exit', 'library']]);
+  });
+
+  it('reports the exit before the enter when moving between sections', () => {
+    engine.update([at(1)], campusManager);
+    const events = engine.update([at(2)], campusManager);
+
+    expect(events.map(event => [event.event, event.section_id])).toEqual([['exit', 'library'], ['enter', 'lab']]);
+  });
+
+  it('reports one dwell once the device has stayed long enough', () => {
+    engine.update([at(3)], campusManager);
+    engine.update([at(1)], campusManager);
+
+    now += config.GEOFENCE.DWELL_THRESHOLD - 1;
+    expect(engine.update([at(1)], campusManager)).toEqual([]);
+
+    now += 1;
+    expect(engine.update([at(1)], campusManager).map(event => event.event)).toEqual(['dwell']);
+
+    now += config.GEOFENCE.DWELL_THRESHOLD;
+    expect(engine.update([at(1)], campusManager)).toEqual([]);
+  });
+
+  it('gives the same fix the same event id, so open dashboards agree', () => {
+    const other = createGeofenceEngine();
+    engine.update([at(3)], campusManager);
+    other.update([at(3)], campusManager);
+
+    expect(engine.update([at(1)], campusManager)[0].event_id).toBe(other.update([at(1)], campusManager)[0].event_id);
+  });
+
+  it('ignores devices without a position and does nothing without a campus', () => {
+    expect(engine.update([{ device_id: 'laptop', last_location: null }], campusManager)).toEqual([]);
+    expect(engine.update([at(1)], null)).toEqual([]);
+  });
+
+  it('starts over after a reset', () => {
+    engine.update([at(1)], campusManager);
+    engine.reset();
+
+    expect(engine.update([at(2)], campusManager)).toEqual([]);
+  });
+});
+
+describe('matchesRule', () => {
+  const event = { event: 'enter', section_id: 'library', device_id: 'phone' };
+
+  it('matches rules for this section and event, for this device or any', () => {
+    expect(matchesRule({ event: 'enter', section_id: 'library', device_id: 'phone' }, event)).toBe(true);
+    expect(matchesRule({ event: 'enter', section_id: 'library', device_id: 'any' }, event)).toBe(true);
+  });
+
+  it('skips disabled rules and rules for something else', () => {
+    expect(matchesRule({ event: 'enter', section_id: 'library', device_id: 'any', enabled: false }, event)).toBe(false);
+    expect(matchesRule({ event: 'exit', section_id: 'library', device_id: 'any' }, event)).toBe(false);
+    expect(matchesRule({ event: 'enter', section_id: 'lab', device_id: 'any' }, event)).toBe(false);
+    expect(matchesRule({ event: 'enter', section_id: 'library', device_id: 'laptop' }, event)).toBe(false);
+  });
+});
+
+describe('describeGeofenceEvent', () => {
+  it('names the device and section', () => {
+    expect(describeGeofenceEvent({ event: 'exit', device_name: 'My Phone', section_name: 'Library Section' }))
+      .toBe('My Phone left Library Section');
+  });
+});
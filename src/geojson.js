@@ -0,0 +1,141 @@
+import { getSectionType, createSectionId, openRing } from './campusLayout';
+
+// GeoJSON positions are [longitude, latitude]; the campus layout and Leaflet use [latitude, longitude]
+const toLatLng = ([lng, lat]) => [lat, lng];
+const toLngLat = ([lat, lng]) => [lng, lat];
+
+const isValidPosition = (position) => {
+  return Array.isArray(position) &&
+    typeof position[0] === 'number' &&
+    typeof position[1] === 'number' &&
+    Math.abs(position[0]) <= 180 &&
+    Math.abs(position[1]) <= 90;
+};
+
+const getPolygonRings = (geometry) => {
+  if (!geometry) return [];
+  if (geometry.type === 'Polygon') return [geometry.coordinates[0]];
+  // Each part of a MultiPolygon becomes its own section
+  if (geometry.type === 'MultiPolygon') return geometry.coordinates.map(polygon => polygon[0]);
+  return [];
+};
+
+const sectionsFromGeoJSON = (geojson) => {
+  if (!geojson || geojson.type !== 'FeatureCollection' || !Array.isArray(geojson.features)) {
+    throw new Error('File is not a GeoJSON FeatureCollection.');
+  }
+
+  const crsName = geojson.crs?.properties?.name;
+  if (crsName && !/(CRS84|4326)$/.test(crsName)) {
+    throw new Error(`Unsupported coordinate system ${crsName}. Export the layer from QGIS as EPSG:4326 (WGS 84).`);
+  }
+
+  const sections = [];
+  geojson.features.forEach((feature, featureIndex) => {
+    const properties = feature.properties || {};
+    const rings = getPolygonRings(feature.geometry);
+
+    rings.forEach((ring, ringIndex) => {
+      if (!Array.isArray(ring) || ring.length < 3) return;
+      if (!ring.every(isValidPosition)) {
+        throw new Error(`Feature ${featureIndex + 1} has coordinates outside longitude/latitude range. Export the layer as EPSG:4326 (WGS 84).`);
+      }
+
+      const template = getSectionType(properties.type);
+      const baseName = properties.name || `Building ${featureIndex + 1}`;
+      sections.push({
+        id: createSectionId(),
+        name: rings.length > 1 ? `${baseName} (${ringIndex + 1})` : baseName,
+        type: template.type,
+        color: properties.color || properties.colour || properties.fill || template.color,
+        description: properties.description || template.description,
+        coordinates: openRing(ring.map(toLatLng))
+      });
+    });
+  });
+
+  if (sections.length === 0) {
+    throw new Error('No polygon features found in the file.');
+  }
+
+  return sections;
+};
+
+const layoutToGeoJSON = (sections, devices = []) => {
+  const sectionFeatures = sections.map(section => {
+    const ring = section.coordinates.map(toLngLat);
+    const [first] = ring;
+    const last = ring[ring.length - 1];
+    if (first[0] !== last[0] || first[1] !== last[1]) {
+      ring.push(first);
+    }
+
+    return {
+      type: 'Feature',
+      geometry: { type: 'Polygon', coordinates: [ring] },
+      properties: {
+        kind: 'campus_section',
+        id: section.id,
+        name: section.name,
+        type: section.type,
+        color: section.color,
+        description: section.description || ''
+      }
+    };
+  });
+
+  const deviceFeatures = devices
+    .filter(device => device.last_location?.latitude && device.last_location?.longitude)
+    .map(device => ({
+      type: 'Feature',
+      geometry: {
+        type: 'Point',
+        coordinates: toLngLat([device.last_location.latitude, device.last_location.longitude])
+      },
+      properties: {
+        kind: 'device',
+        device_id: device.device_id,
+        device_name: device.device_name || '',
+        device_type: device.device_type || '',
+        accuracy: device.last_location.accuracy || null,
+        last_updated: device.last_updated || null
+      }
+    }));
+
+  return {
+    type: 'FeatureCollection',
+    features: [...sectionFeatures, ...deviceFeatures]
+  };
+};
+
+const downloadGeoJSON = (geojson, filename) => {
+  const blob = new Blob([JSON.stringify(geojson, null, 2)], { type: 'application/geo+json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+const readGeoJSONFile = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => {
+    try {
+      resolve(JSON.parse(reader.result));
+    } catch (err) {
+      reject(new Error('File is not valid JSON.'));
+    }
+  };
+  reader.onerror = () => reject(new Error('Could not read the file.'));
+  reader.readAsText(file);
+});
+
+export {
+  sectionsFromGeoJSON,
+  layoutToGeoJSON,
+  downloadGeoJSON,
+  readGeoJSONFile
+};
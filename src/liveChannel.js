@@ -0,0 +1,94 @@
+import config from './config';
+import { getAccessToken } from './session';
+import { isDemoMode } from './demoMode';
+import { subscribeDemoEvents } from './demoBackend';
+
+const LIVE_EVENTS = ['device_location', 'alert', 'alert_status', 'behavior_progress', 'share_changed', 'message', 'conversation_read'];
+
+// Opens a Server-Sent Events stream for the user and reconnects with exponential backoff.
+// onStatusChange reports 'connecting', 'live' or 'disconnected' so callers can fall back to polling.
+const createLiveChannel = ({ email, onEvent, onStatusChange }) => {
+  if (isDemoMode()) {
+    return subscribeDemoEvents({ onEvent, onStatusChange });
+  }
+
+  const { STREAM_BASE_URL, RECONNECT_BASE_DELAY, RECONNECT_MAX_DELAY } = config.LIVE_UPDATES;
+  let eventSource = null;
+  let reconnectTimer = null;
+  let attempts = 0;
+  let closed = false;
+
+  const setStatus = (status) => {
+    if (!closed && onStatusChange) {
+      onStatusChange(status);
+    }
+  };
+
+  const scheduleReconnect = () => {
+    if (closed) return;
+
+    const delay = Math.min(RECONNECT_BASE_DELAY * 2 ** attempts, RECONNECT_MAX_DELAY);
+    attempts += 1;
+    console.log(`🔌 Live channel reconnecting in ${Math.round(delay / 1000)}s (attempt ${attempts})`);
+    reconnectTimer = setTimeout(connect, delay);
+  };
+
+  const connect = () => {
+    if (closed) return;
+
+    if (typeof EventSource === 'undefined') {
+      console.warn('EventSource not supported, live channel disabled');
+      setStatus('disconnected');
+      return;
+    }
+
+    setStatus('connecting');
+
+    // EventSource can't send headers, so the access token travels as a query parameter.
+    // It is read on every attempt so reconnects pick up refreshed tokens.
+    const token = getAccessToken();
+    const url = `${STREAM_BASE_URL}/live/${email}?access_token=${encodeURIComponent(token || '')}`;
+    eventSource = new EventSource(url);
+
+    eventSource.onopen = () => {
+      attempts = 0;
+      console.log('✅ Live channel connected');
+      setStatus('live');
+    };
+
+    eventSource.onerror = () => {
+      // Take over reconnection so we control the backoff instead of the browser's fixed retry
+      eventSource.close();
+      eventSource = null;
+      setStatus('disconnected');
+      scheduleReconnect();
+    };
+
+    LIVE_EVENTS.forEach(type => {
+      eventSource.addEventListener(type, (event) => {
+        try {
+          onEvent(type, JSON.parse(event.data));
+        } catch (err) {
+          console.error(`Failed to parse live ${type} event:`, err);
+        }
+      });
+    });
+  };
+
+  const close = () => {
+    closed = true;
+    if (reconnectTimer) {
+      clearTimeout(reconnectTimer);
+    }
+    if (eventSource) {
+      eventSource.close();
+      eventSource = null;
+    }
+  };
+
+  connect();
+
+  return { close };
+};
+
+export { createLiveChannel };
@@ -0,0 +1,38 @@
+import config from './config';
+
+// Positions are never invented, so a device that stops getting fixes keeps its last real one
+// and ages from "live" into "stale". A device that has never reported a fix is "unknown".
+const getFixStatus = (location) => {
+  if (!location || location.latitude == null || location.longitude == null) return 'unknown';
+
+  const fixTime = new Date(location.timestamp).getTime();
+  if (isNaN(fixTime)) return 'stale';
+
+  return Date.now() - fixTime > config.TRACKING.STALE_FIX_AGE ? 'stale' : 'live';
+};
+
+const formatFixAge = (location) => {
+  const seconds = Math.max(0, Math.round((Date.now() - new Date(location.timestamp).getTime()) / 1000));
+  if (seconds < 60) return `${seconds}s ago`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes} min ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ago`;
+  return `${Math.floor(hours / 24)}d ago`;
+};
+
+const describeFixStatus = (location) => {
+  switch (getFixStatus(location)) {
+    case 'live':
+      return 'Live fix';
+    case 'stale':
+      return location.timestamp ? `Stale (last fix ${formatFixAge(location)})` : 'Stale (fix time unknown)';
+    default:
+      return 'Unknown (no fix yet)';
+  }
+};
+
+export {
+  getFixStatus,
+  describeFixStatus
+};
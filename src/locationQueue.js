@@ -0,0 +1,119 @@
+// Persistent queue of location updates that couldn't reach the backend.
+// Entries are kept in IndexedDB so they survive a reload and are replayed oldest first.
+
+const DB_NAME = 'device-tracker';
+const DB_VERSION = 1;
+const STORE_NAME = 'pending_locations';
+
+let dbPromise = null;
+let flushInProgress = null;
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not supported in this browser'));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          // Auto-increment keys give us insertion order for replay
+          db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+};
+
+const runTransaction = async (mode, operation) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+const enqueueLocationUpdate = (payload) => {
+  return runTransaction('readwrite', store => store.add({
+    ...payload,
+    queued_at: new Date().toISOString()
+  }));
+};
+
+const getPendingLocationUpdates = () => {
+  return runTransaction('readonly', store => store.getAll());
+};
+
+const countPendingLocationUpdates = async () => {
+  try {
+    return await runTransaction('readonly', store => store.count());
+  } catch (err) {
+    console.error('Failed to count queued location updates:', err);
+    return 0;
+  }
+};
+
+const removeLocationUpdate = (id) => {
+  return runTransaction('readwrite', store => store.delete(id));
+};
+
+// Entries carry the account's email and are replayed with whoever is signed in, so they must not
+// outlive the session that queued them
+const clearLocationQueue = () => {
+  return runTransaction('readwrite', store => store.clear());
+};
+
+// Only connectivity problems and server outages are worth retrying; a 4xx will fail the same way again
+const isRetryableError = (err) => !!(err && (err.isNetworkError || err.status >= 500));
+
+// Sends queued updates in order and stops at the first failure so nothing is replayed out of order.
+// Returns the number of updates still waiting.
+const flushLocationQueue = (sendUpdate) => {
+  if (!flushInProgress) {
+    flushInProgress = (async () => {
+      const pending = await getPendingLocationUpdates();
+      console.log(`📤 Replaying ${pending.length} queued location updates`);
+
+      for (const entry of pending) {
+        const { id, queued_at, ...payload } = entry;
+        try {
+          await sendUpdate(payload);
+          await removeLocationUpdate(id);
+        } catch (err) {
+          if (!isRetryableError(err)) {
+            console.warn('Dropping queued location update rejected by backend:', err);
+            await removeLocationUpdate(id);
+            continue;
+          }
+          console.error('Replay of queued location update failed, will retry later:', err);
+          break;
+        }
+      }
+
+      return countPendingLocationUpdates();
+    })().finally(() => {
+      flushInProgress = null;
+    });
+  }
+  return flushInProgress;
+};
+
+export {
+  isRetryableError,
+  enqueueLocationUpdate,
+  countPendingLocationUpdates,
+  flushLocationQueue,
+  clearLocationQueue
+};
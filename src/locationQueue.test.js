@@ -0,0 +1,105 @@
+import 'fake-indexeddb/auto';
+import {
+  isRetryableError,
+  enqueueLocationUpdate,
+  countPendingLocationUpdates,
+  flushLocationQueue,
+  clearLocationQueue
+} from './locationQueue';
+
+const httpError = (status) => Object.assign(new Error(`HTTP error! status: ${status}`), { status });
+const networkError = () => Object.assign(new Error('Cannot connect to server'), { isNetworkError: true });
+
+const queueUpdates = async (count) => {
+  for (let i = 1; i <= count; i++) {
+    await enqueueLocationUpdate({ email: 'owner@campus.test', device_id: 'phone', sequence: i });
+  }
+};
+
+describe('location queue', () => {
+  beforeEach(async () => {
+    await clearLocationQueue();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('replays updates oldest first and empties the queue', async () => {
+    await queueUpdates(3);
+    const sent = [];
+
+    const remaining = await flushLocationQueue(async (payload) => {
+      sent.push(payload.sequence);
+    });
+
+    expect(sent).toEqual([1, 2, 3]);
+    expect(remaining).toBe(0);
+  });
+
+  it('sends the payload without the queue bookkeeping', async () => {
+    await queueUpdates(1);
+    const send = jest.fn().mockResolvedValue();
+
+    await flushLocationQueue(send);
+
+    expect(send).toHaveBeenCalledWith({ email: 'owner@campus.test', device_id: 'phone', sequence: 1 });
+  });
+
+  it('stops at the first retryable failure and keeps the rest in order', async () => {
+    await queueUpdates(3);
+    const sent = [];
+    const send = async (payload) => {
+      if (payload.sequence === 2) throw networkError();
+      sent.push(payload.sequence);
+    };
+
+    expect(await flushLocationQueue(send)).toBe(2);
+    expect(sent).toEqual([1]);
+
+    const retried = [];
+    expect(await flushLocationQueue(async (payload) => { retried.push(payload.sequence); })).toBe(0);
+    expect(retried).toEqual([2, 3]);
+  });
+
+  it('drops updates the backend rejects and carries on', async () => {
+    await queueUpdates(3);
+    const sent = [];
+    const send = async (payload) => {
+      if (payload.sequence === 2) throw httpError(400);
+      sent.push(payload.sequence);
+    };
+
+    expect(await flushLocationQueue(send)).toBe(0);
+    expect(sent).toEqual([1, 3]);
+  });
+
+  it('shares one replay between callers that ask at the same time', async () => {
+    await queueUpdates(2);
+    const send = jest.fn().mockResolvedValue();
+
+    await Promise.all([flushLocationQueue(send), flushLocationQueue(send)]);
+
+    expect(send).toHaveBeenCalledTimes(2);
+  });
+
+  it('is emptied by clearLocationQueue', async () => {
+    await queueUpdates(2);
+    await clearLocationQueue();
+
+    expect(await countPendingLocationUpdates()).toBe(0);
+  });
+});
+
+describe('isRetryableError', () => {
+  it('retries network failures and server errors only', () => {
+    expect(isRetryableError(networkError())).toBe(true);
+    expect(isRetryableError(httpError(503))).toBe(true);
+    expect(isRetryableError(httpError(400))).toBe(false);
+    expect(isRetryableError(httpError(401))).toBe(false);
+    expect(isRetryableError(null)).toBe(false);
+  });
+});
@@ -0,0 +1,65 @@
+import { apiRequest } from './App';
+
+const SENDER_LABELS = {
+  owner: 'Owner',
+  finder: 'Finder',
+  security: 'Campus Security'
+};
+
+const CONVERSATION_KINDS = {
+  finder_report: 'Finder',
+  security: 'Campus Security'
+};
+
+// Conversations are attached to one device and come in two kinds: a finder report (owner and the
+// person who found it) and a security conversation (owner and campus security staff).
+//   { conversation_id, kind, role, device_id, device_name, owner_email, location, created_at, updated_at,
+//     unread_count, last_message: { sender, body, created_at } }
+// `role` is the side this account is on. Staff see every security conversation; owners see their own.
+// The backend works out the account and its side from the access token, so no email is sent.
+const fetchConversations = async () => {
+  const response = await apiRequest('/conversations');
+  const data = await response.json();
+  return data.conversations || [];
+};
+
+// The summary fields plus the full history and, for finder reports, the finder's contact and photo
+const fetchConversation = async (conversationId) => {
+  const response = await apiRequest(`/conversations/${conversationId}`);
+  return response.json();
+};
+
+const sendMessage = async (conversationId, body) => {
+  const response = await apiRequest(`/conversations/${conversationId}/messages`, {
+    method: 'POST',
+    body: JSON.stringify({ body }),
+  });
+  return response.json();
+};
+
+const markConversationRead = async (conversationId) => {
+  await apiRequest(`/conversations/${conversationId}/read`, { method: 'POST' });
+};
+
+// Reuses the device's open security conversation if there is one
+const startSecurityConversation = async (deviceId) => {
+  const response = await apiRequest('/conversations', {
+    method: 'POST',
+    body: JSON.stringify({ device_id: deviceId }),
+  });
+  const data = await response.json();
+  return data.conversation;
+};
+
+const countUnread = (conversations) => conversations.reduce((total, conversation) => total + (conversation.unread_count || 0), 0);
+
+export {
+  SENDER_LABELS,
+  CONVERSATION_KINDS,
+  fetchConversations,
+  fetchConversation,
+  sendMessage,
+  markConversationRead,
+  startSecurityConversation,
+  countUnread
+};
@@ -0,0 +1,18 @@
+import { countUnread } from './messaging';
+
+// App.js pulls in the whole UI; only its request helper is needed here
+jest.mock('./App', () => ({ apiRequest: jest.fn() }));
+
+describe('countUnread', () => {
+  it('adds up the unread messages across conversations', () => {
+    expect(countUnread([{ unread_count: 2 }, { unread_count: 0 }, { unread_count: 3 }])).toBe(5);
+  });
+
+  it('counts summaries without an unread count as read', () => {
+    expect(countUnread([{ unread_count: 1 }, {}])).toBe(1);
+  });
+
+  it('is zero with no conversations', () => {
+    expect(countUnread([])).toBe(0);
+  });
+});
@@ -0,0 +1,101 @@
+import config from './config';
+
+// src/service-worker.js, compiled to the site root so it controls every route
+const SERVICE_WORKER_URL = `${process.env.PUBLIC_URL}/service-worker.js`;
+const TILE_URL = 'https://tile.openstreetmap.org';
+const LOCATION_SYNC_TAG = 'location-queue';
+
+let precachedTileKey = null;
+
+const isServiceWorkerEnabled = () => config.OFFLINE.SERVICE_WORKER_ENABLED && 'serviceWorker' in navigator;
+
+const registerServiceWorker = () => {
+  if (!isServiceWorkerEnabled()) return Promise.resolve(null);
+
+  return navigator.serviceWorker.register(SERVICE_WORKER_URL).catch(err => {
+    console.error('Service worker registration failed:', err);
+    return null;
+  });
+};
+
+const postToServiceWorker = async (message) => {
+  if (!isServiceWorkerEnabled()) return;
+  const registration = await navigator.serviceWorker.ready;
+  if (registration.active) {
+    registration.active.postMessage(message);
+  }
+};
+
+// Slippy-map tile numbers, as used by OpenStreetMap and Leaflet
+const toTile = (lat, lng, zoom) => {
+  const scale = 2 ** zoom;
+  const latRad = lat * Math.PI / 180;
+  return {
+    x: Math.floor((lng + 180) / 360 * scale),
+    y: Math.floor((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * scale)
+  };
+};
+
+const getTileUrls = ([[south, west], [north, east]]) => {
+  const { TILE_ZOOM_LEVELS, TILE_PADDING } = config.OFFLINE;
+  const urls = [];
+
+  TILE_ZOOM_LEVELS.forEach(zoom => {
+    const topLeft = toTile(north, west, zoom);
+    const bottomRight = toTile(south, east, zoom);
+    for (let x = topLeft.x - TILE_PADDING; x <= bottomRight.x + TILE_PADDING; x++) {
+      for (let y = topLeft.y - TILE_PADDING; y <= bottomRight.y + TILE_PADDING; y++) {
+        urls.push(`${TILE_URL}/${zoom}/${x}/${y}.png`);
+      }
+    }
+  });
+  return urls;
+};
+
+// Saves the map around the campus so it still draws offline; repeat calls for the same area are ignored
+const precacheCampusTiles = (campusBounds) => {
+  if (!campusBounds || !isServiceWorkerEnabled()) return;
+
+  const key = campusBounds.flat().map(value => value.toFixed(5)).join(',');
+  if (key === precachedTileKey) return;
+  precachedTileKey = key;
+
+  postToServiceWorker({ type: 'precache_tiles', urls: getTileUrls(campusBounds) })
+    .catch(err => console.error('Failed to precache campus tiles:', err));
+};
+
+// Background Sync wakes the service worker when the connection comes back, even if this tab is in the
+// background and its retry timer is throttled. Browsers without it rely on the timer alone.
+const requestLocationSync = async () => {
+  if (!isServiceWorkerEnabled()) return;
+  const registration = await navigator.serviceWorker.ready;
+  if (registration.sync) {
+    await registration.sync.register(LOCATION_SYNC_TAG);
+  }
+};
+
+const onServiceWorkerMessage = (type, handler) => {
+  if (!isServiceWorkerEnabled()) return () => {};
+
+  const listener = (event) => {
+    if (event.data?.type === type) {
+      handler(event.data);
+    }
+  };
+  navigator.serviceWorker.addEventListener('message', listener);
+  return () => navigator.serviceWorker.removeEventListener('message', listener);
+};
+
+const clearOfflineData = () => {
+  precachedTileKey = null;
+  return postToServiceWorker({ type: 'clear_user_data' });
+};
+
+export {
+  isServiceWorkerEnabled,
+  registerServiceWorker,
+  precacheCampusTiles,
+  requestLocationSync,
+  onServiceWorkerMessage,
+  clearOfflineData
+};
@@ -0,0 +1,33 @@
+import { apiRequest } from './App';
+import config from './config';
+
+// Campus-wide view for staff. The backend only answers these for admin accounts:
+//   users    [{ email, role, device_count, lost_count, open_alert_count, last_seen }]
+//   devices  [device records plus owner_email]
+//   alerts   [alert records plus owner_email], newest first
+const fetchOrganisationOverview = async () => {
+  const endpoints = {
+    users: '/admin/users',
+    devices: '/admin/devices',
+    alerts: `/admin/alerts?limit=${config.ORGANISATION.ALERT_FEED_LIMIT}`
+  };
+  const entries = await Promise.all(Object.entries(endpoints).map(async ([key, endpoint]) => {
+    const response = await apiRequest(endpoint);
+    const data = await response.json();
+    return [key, data[key] || []];
+  }));
+  return Object.fromEntries(entries);
+};
+
+// Matches owner email, device name or id, so staff can search with whatever the student tells them
+const matchesDeviceSearch = (device, search) => {
+  const query = search.trim().toLowerCase();
+  if (!query) return true;
+  return [device.owner_email, device.device_name, device.device_id]
+    .some(value => value && value.toLowerCase().includes(query));
+};
+
+export {
+  fetchOrganisationOverview,
+  matchesDeviceSearch
+};
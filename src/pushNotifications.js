@@ -0,0 +1,91 @@
+import { apiRequest } from './App';
+import { getDeviceId } from './deviceIdentity';
+import { isServiceWorkerEnabled, onServiceWorkerMessage } from './offlineSupport';
+
+const isPushSupported = () => (
+  isServiceWorkerEnabled() && 'PushManager' in window && 'Notification' in window
+);
+
+// VAPID keys arrive base64url encoded; PushManager wants the raw bytes
+const urlBase64ToUint8Array = (value) => {
+  const padded = `${value}${'='.repeat((4 - (value.length % 4)) % 4)}`.replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(padded), char => char.charCodeAt(0));
+};
+
+const sameKey = (buffer, key) => {
+  if (!buffer) return false;
+  const bytes = new Uint8Array(buffer);
+  return bytes.length === key.length && bytes.every((byte, i) => byte === key[i]);
+};
+
+const getPushSubscription = async () => {
+  if (!isPushSupported()) return null;
+  const registration = await navigator.serviceWorker.ready;
+  return registration.pushManager.getSubscription();
+};
+
+const enablePushNotifications = async (email) => {
+  const permission = await Notification.requestPermission();
+  if (permission !== 'granted') {
+    const error = new Error('Notifications are blocked for this site. Allow them in your browser settings and try again.');
+    error.code = 'PERMISSION_DENIED';
+    throw error;
+  }
+
+  const response = await apiRequest('/push/vapid_public_key');
+  const { public_key } = await response.json();
+  const applicationServerKey = urlBase64ToUint8Array(public_key);
+
+  const registration = await navigator.serviceWorker.ready;
+  let subscription = await registration.pushManager.getSubscription();
+  // A subscription made for another server key (e.g. a restarted mock server) can't receive our pushes
+  if (subscription && !sameKey(subscription.options.applicationServerKey, applicationServerKey)) {
+    await subscription.unsubscribe();
+    subscription = null;
+  }
+  if (!subscription) {
+    subscription = await registration.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey });
+  }
+
+  await apiRequest('/push/subscriptions', {
+    method: 'POST',
+    body: JSON.stringify({ email, device_id: getDeviceId(), subscription: subscription.toJSON() }),
+  });
+  return subscription;
+};
+
+const disablePushNotifications = async (email) => {
+  const subscription = await getPushSubscription();
+  if (!subscription) return;
+
+  await apiRequest('/push/subscriptions', {
+    method: 'DELETE',
+    body: JSON.stringify({ email, endpoint: subscription.endpoint }),
+  });
+  await subscription.unsubscribe();
+};
+
+// Used on logout, when the session is already gone: the push service then rejects the
+// endpoint and the backend drops it on its next send
+const unsubscribeFromPush = async () => {
+  const subscription = await getPushSubscription();
+  if (subscription) await subscription.unsubscribe();
+};
+
+const sendTestNotification = (email) => apiRequest('/push/test', {
+  method: 'POST',
+  body: JSON.stringify({ email }),
+});
+
+// Notification clicks on an already open tab arrive as messages from the service worker
+const onNotificationNavigate = (handler) => onServiceWorkerMessage('open_alert', ({ url }) => handler(url));
+
+export {
+  isPushSupported,
+  getPushSubscription,
+  enablePushNotifications,
+  disablePushNotifications,
+  unsubscribeFromPush,
+  sendTestNotification,
+  onNotificationNavigate
+};
@@ -0,0 +1,129 @@
+/* eslint-disable no-restricted-globals */
+// Built by `npm run build` (CRA injects the precache manifest). Keeps the app shell, campus map tiles and
+// the last device and alert lists available offline, shows pushed alert notifications and asks open tabs
+// to replay queued location updates when connectivity returns.
+
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute, NavigationRoute } from 'workbox-routing';
+import { CacheFirst, NetworkFirst, StaleWhileRevalidate } from 'workbox-strategies';
+import { CacheableResponsePlugin } from 'workbox-cacheable-response';
+
+const TILE_CACHE = 'map-tiles';
+const API_CACHE = 'api-data';
+const LOCATION_SYNC_TAG = 'location-queue';
+
+self.skipWaiting();
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Every route is rendered by the app; skip /_ paths and anything that looks like a file
+registerRoute(new NavigationRoute(createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`), {
+  denylist: [/^\/_/, /\/[^/?]+\.[^/]+$/]
+}));
+
+// Leaflet spreads tiles over a/b/c subdomains; cache them under one host so a tile is found
+// whichever subdomain asks for it, and fetch with CORS so the cache stores real (not opaque) responses
+const tileStrategy = new CacheFirst({
+  cacheName: TILE_CACHE,
+  plugins: [
+    {
+      cacheKeyWillBeUsed: async ({ request }) => request.url.replace(/\/\/[a-c]\.tile\./, '//tile.'),
+      requestWillFetch: async ({ request }) => new Request(request.url, { mode: 'cors', credentials: 'omit' })
+    },
+    new CacheableResponsePlugin({ statuses: [200] }),
+    new ExpirationPlugin({ maxEntries: 1000, maxAgeSeconds: 30 * 24 * 60 * 60, purgeOnQuotaError: true })
+  ]
+});
+
+registerRoute(({ url }) => /(^|\.)tile\.openstreetmap\.org$/.test(url.hostname), tileStrategy);
+
+// Leaflet stylesheet and marker images come from public CDNs
+registerRoute(
+  ({ url }) => url.hostname === 'unpkg.com' || url.hostname === 'cdnjs.cloudflare.com',
+  new StaleWhileRevalidate({
+    cacheName: 'cdn-assets',
+    plugins: [new CacheableResponsePlugin({ statuses: [0, 200] })]
+  })
+);
+
+// Last known devices, alerts and campus layout; the network always wins when it answers.
+// The health check and the live stream are left alone so being offline still shows as offline.
+registerRoute(
+  ({ request, url }) => request.method === 'GET' && /\/api\/(devices|alerts|campus\/layout)(\/|$)/.test(url.pathname),
+  new NetworkFirst({
+    cacheName: API_CACHE,
+    networkTimeoutSeconds: 10,
+    plugins: [new CacheableResponsePlugin({ statuses: [200] })]
+  })
+);
+
+self.addEventListener('message', (event) => {
+  const message = event.data || {};
+
+  if (message.type === 'precache_tiles') {
+    event.waitUntil(Promise.all(message.urls.map(url =>
+      tileStrategy.handle({ request: new Request(url), event }).catch(() => null)
+    )));
+  }
+
+  // Sent on logout so the next person on this browser doesn't see the account's devices offline
+  if (message.type === 'clear_user_data') {
+    event.waitUntil(caches.delete(API_CACHE));
+  }
+});
+
+// Queued updates need the page's session to be sent, so the worker only wakes up the open tabs
+self.addEventListener('sync', (event) => {
+  if (event.tag !== LOCATION_SYNC_TAG) return;
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window' }).then((windows) => {
+      windows.forEach(client => client.postMessage({ type: 'flush_location_queue' }));
+    })
+  );
+});
+
+// Payloads are { alert_id, type, severity, title, message }
+self.addEventListener('push', (event) => {
+  let alert = {};
+  if (event.data) {
+    try {
+      alert = event.data.json();
+    } catch (e) {
+      alert = { message: event.data.text() };
+    }
+  }
+
+  const url = alert.alert_id ? `/alerts/${encodeURIComponent(alert.alert_id)}` : '/alerts';
+
+  event.waitUntil(
+    self.registration.showNotification(alert.title || 'Device Alert', {
+      body: alert.message || 'Open the dashboard for details.',
+      icon: '/icons/icon-192.png',
+      // One notification per alert, even if the backend sends it twice
+      tag: alert.alert_id || 'device-alert',
+      requireInteraction: alert.severity === 'high',
+      data: { url }
+    })
+  );
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = (event.notification.data && event.notification.data.url) || '/alerts';
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      const openTab = windows.find(client => new URL(client.url).origin === self.location.origin);
+      if (openTab) {
+        // The app navigates with its router so the running tracking session isn't reloaded
+        openTab.postMessage({ type: 'open_alert', url });
+        return openTab.focus();
+      }
+      return self.clients.openWindow(url);
+    })
+  );
+});
@@ -0,0 +1,61 @@
+import { isDemoMode } from './demoMode';
+
+const ACCESS_TOKEN_KEY = 'access_token';
+const REFRESH_TOKEN_KEY = 'refresh_token';
+const USER_KEY = 'user';
+
+// A demo session only lives as long as its tab, so it never replaces a real saved login
+const storage = isDemoMode() ? sessionStorage : localStorage;
+
+let sessionExpiredHandler = null;
+
+const getAccessToken = () => storage.getItem(ACCESS_TOKEN_KEY);
+
+const getRefreshToken = () => storage.getItem(REFRESH_TOKEN_KEY);
+
+const hasSession = () => !!getAccessToken() && !!getRefreshToken();
+
+const saveTokens = ({ access_token, refresh_token }) => {
+  if (access_token) {
+    storage.setItem(ACCESS_TOKEN_KEY, access_token);
+  }
+  if (refresh_token) {
+    storage.setItem(REFRESH_TOKEN_KEY, refresh_token);
+  }
+};
+
+const getSavedUser = () => storage.getItem(USER_KEY);
+
+const saveUser = (user) => {
+  storage.setItem(USER_KEY, JSON.stringify(user));
+};
+
+const clearSession = () => {
+  storage.removeItem(ACCESS_TOKEN_KEY);
+  storage.removeItem(REFRESH_TOKEN_KEY);
+  storage.removeItem(USER_KEY);
+};
+
+// App registers its logout here so apiRequest can end the session when a refresh fails
+const onSessionExpired = (handler) => {
+  sessionExpiredHandler = handler;
+};
+
+const expireSession = () => {
+  clearSession();
+  if (sessionExpiredHandler) {
+    sessionExpiredHandler();
+  }
+};
+
+export {
+  getAccessToken,
+  getRefreshToken,
+  hasSession,
+  saveTokens,
+  getSavedUser,
+  saveUser,
+  clearSession,
+  onSessionExpired,
+  expireSession
+};
@@ -0,0 +1,44 @@
+// Short codes printed under the QR code on device tags, for finders whose phone can't scan it.
+// The code is derived from the device id, so nothing has to be stored for it; the backend resolves
+// a code by deriving it for each device (mock-server/tagCodes.js keeps a copy of getTagCode).
+
+// No 0/O or 1/I so codes survive being read aloud
+const TAG_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+// Two FNV-1a passes with different offsets give 8 characters (40 bits) instead of 32 bits' worth
+const HASH_SEEDS = [0x811c9dc5, 0xdeadbeef];
+
+const hashDeviceId = (deviceId, seed) => {
+  let hash = seed;
+  for (const char of deviceId) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// e.g. "K7QX-M2PD"
+const getTagCode = (deviceId) => HASH_SEEDS
+  .map(seed => {
+    let hash = hashDeviceId(String(deviceId), seed);
+    let part = '';
+    for (let i = 0; i < 4; i++) {
+      part += TAG_CODE_ALPHABET[hash % TAG_CODE_ALPHABET.length];
+      hash = Math.floor(hash / TAG_CODE_ALPHABET.length);
+    }
+    return part;
+  })
+  .join('-');
+
+// Accepts what people actually type: lower case, spaces, a missing dash
+const normalizeTagCode = (input) => {
+  const compact = String(input).toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return compact.length === 8 ? `${compact.slice(0, 4)}-${compact.slice(4)}` : compact;
+};
+
+const isTagCode = (value) => new RegExp(`^[${TAG_CODE_ALPHABET}]{4}-[${TAG_CODE_ALPHABET}]{4}$`).test(normalizeTagCode(value));
+
+export {
+  getTagCode,
+  normalizeTagCode,
+  isTagCode
+};
@@ -0,0 +1,47 @@
+import { getTagCode, normalizeTagCode, isTagCode } from './tagCodes';
+
+const { getTagCode: getMockTagCode } = require('../mock-server/tagCodes');
+
+const DEVICE_IDS = ['demo_phone', 'mock_laptop_student.one@campus.test', 'device_3f9a1c', 'ünïcode_📱'];
+
+describe('getTagCode', () => {
+  it('gives the same code for the same device every time', () => {
+    expect(getTagCode('demo_phone')).toBe(getTagCode('demo_phone'));
+  });
+
+  it('gives different devices different codes', () => {
+    const codes = DEVICE_IDS.map(getTagCode);
+    expect(new Set(codes).size).toBe(DEVICE_IDS.length);
+  });
+
+  it('formats codes as two groups of four', () => {
+    DEVICE_IDS.forEach(deviceId => {
+      expect(getTagCode(deviceId)).toMatch(/^[A-Z2-9]{4}-[A-Z2-9]{4}$/);
+      expect(isTagCode(getTagCode(deviceId))).toBe(true);
+    });
+  });
+
+  it('agrees with the mock backend, which resolves typed codes', () => {
+    DEVICE_IDS.forEach(deviceId => {
+      expect(normalizeTagCode(getMockTagCode(deviceId))).toBe(getTagCode(deviceId));
+    });
+  });
+});
+
+describe('normalizeTagCode', () => {
+  it('round-trips what people type back to the printed code', () => {
+    const code = getTagCode('demo_laptop');
+    [code, code.toLowerCase(), code.replace('-', ''), ` ${code.replace('-', ' ')} `].forEach(typed => {
+      expect(normalizeTagCode(typed)).toBe(code);
+    });
+  });
+
+  it('rejects input of the wrong length', () => {
+    expect(isTagCode('ABCD-EFG')).toBe(false);
+    expect(isTagCode('demo_phone')).toBe(false);
+  });
+
+  it('rejects characters the tags never use', () => {
+    expect(isTagCode('ABCD-EF01')).toBe(false);
+  });
+});
@@ -0,0 +1,54 @@
+import { apiRequest } from './App';
+
+// How long a trusted contact can see the devices; the backend refuses anything over 30 days
+const SHARE_DURATIONS = [
+  { value: 24 * 60 * 60 * 1000, label: '1 day' },
+  { value: 7 * 24 * 60 * 60 * 1000, label: '1 week' },
+  { value: 30 * 24 * 60 * 60 * 1000, label: '30 days' }
+];
+
+// The backend stops returning a share once it expires, but a page left open keeps the old copy
+const isShareActive = (expiresAt) => new Date(expiresAt).getTime() > Date.now();
+
+// Shares are { share_id, owner_email, contact_email, device_ids, created_at, expires_at }
+const fetchShares = async (email) => {
+  const response = await apiRequest(`/shares/${email}`);
+  const data = await response.json();
+  return { outgoing: data.outgoing || [], incoming: data.incoming || [] };
+};
+
+const createShare = async (email, contactEmail, deviceIds, duration) => {
+  const response = await apiRequest('/shares', {
+    method: 'POST',
+    body: JSON.stringify({
+      email,
+      contact_email: contactEmail,
+      device_ids: deviceIds,
+      expires_at: new Date(Date.now() + duration).toISOString()
+    }),
+  });
+  return response.json();
+};
+
+const revokeShare = async (email, shareId) => {
+  await apiRequest(`/shares/${shareId}`, {
+    method: 'DELETE',
+    body: JSON.stringify({ email }),
+  });
+};
+
+// Device records other people share with this account, each with shared_by, shared_until and share_id
+const fetchSharedDevices = async (email) => {
+  const response = await apiRequest(`/shared_devices/${email}`);
+  const data = await response.json();
+  return data.devices || [];
+};
+
+export {
+  SHARE_DURATIONS,
+  isShareActive,
+  fetchShares,
+  createShare,
+  revokeShare,
+  fetchSharedDevices
+};